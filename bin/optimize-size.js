@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+/**
+ * optimize-size command line entry point
+ * See src/cli.js for commands and options
+ */
+
+const { run } = require('../src/cli');
+
+// First Ctrl+C stops batch runs between files, the second exits at once
+const controller = new AbortController();
+process.on('SIGINT', () => {
+    if (controller.signal.aborted) process.exit(130);
+    controller.abort();
+});
+
+run(process.argv.slice(2), { signal: controller.signal }).then(code => {
+    process.exitCode = code;
+});
@@ -18,344 +18,23 @@ if (typeof process.versions.electron === 'undefined') {
 const { app, BrowserWindow, dialog, ipcMain } = require('electron');
 const path = require('path');
 const http = require('http');
-const fs = require('fs');
-const { scanDirectory } = require('./src/scanner');
-const { compressDirectory, estimateCompression, compressImage } = require('./src/compressor');
+const { handleRequest, listRoutes, getRootDir } = require('./src/router');
 
 const PORT = 3456;
-let ROOT_DIR = path.resolve(__dirname, '../../assets');
-const PUBLIC_DIR = path.resolve(__dirname, 'public');
 
 let mainWindow;
-let server;
 
-// MIME types for static files
-const mimeTypes = {
-    '.html': 'text/html',
-    '.css': 'text/css',
-    '.js': 'application/javascript',
-    '.json': 'application/json'
-};
-
-/**
- * Serve static file
- */
-function serveStatic(filePath, res) {
-    const ext = path.extname(filePath);
-    const contentType = mimeTypes[ext] || 'text/plain';
-
-    fs.readFile(filePath, (err, data) => {
-        if (err) {
-            res.writeHead(404);
-            res.end('Not Found');
-            return;
-        }
-        res.writeHead(200, { 'Content-Type': contentType });
-        res.end(data);
-    });
-}
+// Same routes as app.js (src/router.js); listens once the app is ready
+const server = http.createServer(handleRequest);
 
 /**
- * Create HTTP Server
+ * Start the HTTP server the window loads from
  */
-function createServer() {
-    server = http.createServer(async (req, res) => {
-        const url = req.url;
-
-        // API: Scan directory
-        if (url === '/api/scan') {
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify(scanDirectory(ROOT_DIR)));
-            return;
-        }
-
-        // API: Estimate compression
-        if (url === '/api/compress/estimate') {
-            try {
-                const estimate = await estimateCompression(ROOT_DIR);
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify(estimate));
-            } catch (error) {
-                res.writeHead(500, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: error.message }));
-            }
-            return;
-        }
-
-        // API: Get image metadata
-        if (url === '/api/image/metadata' && req.method === 'POST') {
-            let body = '';
-            req.on('data', chunk => { body += chunk; });
-            req.on('end', async () => {
-                try {
-                    const { filePath } = JSON.parse(body);
-                    const fullPath = path.resolve(ROOT_DIR, filePath);
-
-                    if (!fullPath.startsWith(ROOT_DIR)) {
-                        res.writeHead(403, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({ success: false, error: 'Invalid path' }));
-                        return;
-                    }
-
-                    const sharp = require('sharp');
-                    const image = sharp(fullPath);
-                    const metadata = await image.metadata();
-
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({
-                        success: true,
-                        width: metadata.width,
-                        height: metadata.height,
-                        format: metadata.format
-                    }));
-                } catch (error) {
-                    res.writeHead(500, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ success: false, error: error.message }));
-                }
-            });
-            return;
-        }
-
-        // API: Resize single image
-        if (url === '/api/resize/single' && req.method === 'POST') {
-            let body = '';
-            req.on('data', chunk => { body += chunk; });
-            req.on('end', async () => {
-                try {
-                    const { filePath, width, height } = JSON.parse(body);
-                    const fullPath = path.resolve(ROOT_DIR, filePath);
-
-                    if (!fullPath.startsWith(ROOT_DIR)) {
-                        res.writeHead(403, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({ success: false, error: 'Invalid path' }));
-                        return;
-                    }
-
-                    const sharp = require('sharp');
-                    const stats = await fs.promises.stat(fullPath);
-                    const originalSize = stats.size;
-
-                    const image = sharp(fullPath);
-                    const metadata = await image.metadata();
-
-                    let finalWidth = width;
-                    let finalHeight = height;
-
-                    if (width && !height) {
-                        const aspectRatio = metadata.height / metadata.width;
-                        finalHeight = Math.round(width * aspectRatio);
-                    } else if (height && !width) {
-                        const aspectRatio = metadata.width / metadata.height;
-                        finalWidth = Math.round(height * aspectRatio);
-                    }
-
-                    if (metadata.width === finalWidth && metadata.height === finalHeight) {
-                        res.writeHead(200, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({
-                            success: true,
-                            skipped: true,
-                            reason: 'Image already has the requested dimensions',
-                            originalSize,
-                            newSize: originalSize,
-                            saved: 0,
-                            originalWidth: metadata.width,
-                            originalHeight: metadata.height,
-                            newWidth: finalWidth,
-                            newHeight: finalHeight
-                        }));
-                        return;
-                    }
-
-                    const resizedBuffer = await image
-                        .resize(finalWidth, finalHeight, { fit: 'fill' })
-                        .toBuffer();
-                    const newMetadata = await sharp(resizedBuffer).metadata();
-
-                    await fs.promises.writeFile(fullPath, resizedBuffer);
-
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({
-                        success: true,
-                        skipped: false,
-                        originalSize,
-                        newSize: resizedBuffer.length,
-                        saved: originalSize - resizedBuffer.length,
-                        originalWidth: metadata.width,
-                        originalHeight: metadata.height,
-                        newWidth: newMetadata.width,
-                        newHeight: newMetadata.height
-                    }));
-                } catch (error) {
-                    res.writeHead(500, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ success: false, error: error.message }));
-                }
-            });
-            return;
-        }
-
-        // API: Compress single image
-        if (url === '/api/compress/single' && req.method === 'POST') {
-            let body = '';
-            req.on('data', chunk => { body += chunk; });
-            req.on('end', async () => {
-                try {
-                    const { filePath, quality = 80 } = JSON.parse(body);
-                    const fullPath = path.resolve(ROOT_DIR, filePath);
-
-                    if (!fullPath.startsWith(ROOT_DIR)) {
-                        res.writeHead(403, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({ success: false, error: 'Invalid path' }));
-                        return;
-                    }
-
-                    const result = await compressImage(fullPath, { quality });
-
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify(result));
-                } catch (error) {
-                    res.writeHead(500, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ success: false, error: error.message }));
-                }
-            });
-            return;
-        }
-
-        // API: Set root directory
-        if (url === '/api/set-root' && req.method === 'POST') {
-            let body = '';
-            req.on('data', chunk => { body += chunk; });
-            req.on('end', async () => {
-                try {
-                    const { rootPath } = JSON.parse(body);
-                    const newRootPath = path.resolve(rootPath);
-
-                    if (!fs.existsSync(newRootPath)) {
-                        res.writeHead(400, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({ success: false, error: 'Directory does not exist' }));
-                        return;
-                    }
-
-                    ROOT_DIR = newRootPath;
-
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ success: true, rootPath: ROOT_DIR }));
-                } catch (error) {
-                    res.writeHead(500, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ success: false, error: error.message }));
-                }
-            });
-            return;
-        }
-
-        // API: List directories
-        if (url === '/api/list-directories' && req.method === 'POST') {
-            let body = '';
-            req.on('data', chunk => { body += chunk; });
-            req.on('end', async () => {
-                try {
-                    const { dirPath } = JSON.parse(body);
-                    let targetDir = dirPath ? path.resolve(dirPath) : ROOT_DIR;
-
-                    if (dirPath && !path.isAbsolute(dirPath)) {
-                        targetDir = path.resolve(ROOT_DIR, dirPath);
-                        if (!targetDir.startsWith(ROOT_DIR)) {
-                            res.writeHead(403, { 'Content-Type': 'application/json' });
-                            res.end(JSON.stringify({ success: false, error: 'Invalid path' }));
-                            return;
-                        }
-                    }
-
-                    if (!fs.existsSync(targetDir)) {
-                        res.writeHead(400, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({ success: false, error: 'Directory does not exist' }));
-                        return;
-                    }
-
-                    const entries = await fs.promises.readdir(targetDir, { withFileTypes: true });
-                    const directories = entries
-                        .filter(entry => entry.isDirectory())
-                        .map(entry => ({
-                            name: entry.name,
-                            path: path.join(targetDir, entry.name)
-                        }))
-                        .sort((a, b) => a.name.localeCompare(b.name));
-
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({
-                        success: true,
-                        currentPath: targetDir,
-                        parentPath: path.dirname(targetDir),
-                        directories
-                    }));
-                } catch (error) {
-                    res.writeHead(500, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ success: false, error: error.message }));
-                }
-            });
-            return;
-        }
-
-        // API: Compress images
-        if (url === '/api/compress/run' && req.method === 'POST') {
-            try {
-                let body = '';
-                req.on('data', chunk => { body += chunk; });
-                req.on('end', async () => {
-                    const options = body ? JSON.parse(body) : {};
-                    const { targetPath } = options;
-
-                    let compressDir = ROOT_DIR;
-                    if (targetPath) {
-                        compressDir = path.resolve(ROOT_DIR, targetPath);
-
-                        if (!compressDir.startsWith(ROOT_DIR)) {
-                            res.writeHead(403, { 'Content-Type': 'application/json' });
-                            res.end(JSON.stringify({ error: 'Invalid path' }));
-                            return;
-                        }
-
-                        if (!fs.existsSync(compressDir)) {
-                            res.writeHead(400, { 'Content-Type': 'application/json' });
-                            res.end(JSON.stringify({ error: 'Directory does not exist' }));
-                            return;
-                        }
-                    }
-
-                    res.writeHead(200, {
-                        'Content-Type': 'text/event-stream',
-                        'Cache-Control': 'no-cache',
-                        'Connection': 'keep-alive'
-                    });
-
-                    const progressCallback = (progress) => {
-                        res.write(`data: ${JSON.stringify({ type: 'progress', ...progress })}\n\n`);
-                    };
-
-                    try {
-                        const results = await compressDirectory(compressDir, options, progressCallback);
-                        res.write(`data: ${JSON.stringify({ type: 'complete', results })}\n\n`);
-                        res.end();
-                    } catch (error) {
-                        res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
-                        res.end();
-                    }
-                });
-            } catch (error) {
-                res.writeHead(500, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: error.message }));
-            }
-            return;
-        }
-
-        // Static files
-        let filePath = path.join(PUBLIC_DIR, url === '/' ? 'index.html' : url);
-        serveStatic(filePath, res);
-    });
-
+function startServer() {
     server.listen(PORT, () => {
         console.log(`\n  File Size Analyzer - Electron`);
         console.log(`  Server running on: http://localhost:${PORT}`);
-        console.log(`  Scanning: ${ROOT_DIR}\n`);
+        console.log(`  Scanning: ${getRootDir()}\n`);
     });
 }
 
@@ -417,15 +96,16 @@ function setupIPCHandlers() {
         const result = await dialog.showOpenDialog(mainWindow, {
             properties: ['openDirectory'],
             title: 'Select Directory to Optimize',
-            defaultPath: ROOT_DIR
+            defaultPath: getRootDir()
         });
 
         if (!result.canceled && result.filePaths.length > 0) {
-            // Calculate relative path from ROOT_DIR
+            // Calculate relative path from the analyzed root
             const selectedPath = result.filePaths[0];
+            const rootDir = getRootDir();
             let relativePath = '';
-            if (selectedPath.startsWith(ROOT_DIR)) {
-                relativePath = path.relative(ROOT_DIR, selectedPath);
+            if (selectedPath.startsWith(rootDir)) {
+                relativePath = path.relative(rootDir, selectedPath);
             } else {
                 relativePath = selectedPath;
             }
@@ -444,7 +124,7 @@ app.whenReady().then(() => {
     setupIPCHandlers();
 
     // Start HTTP server first
-    createServer();
+    startServer();
 
     // Wait a bit for server to start, then create window
     setTimeout(() => {
@@ -460,7 +140,7 @@ app.whenReady().then(() => {
 
 app.on('window-all-closed', () => {
     // Close HTTP server
-    if (server) {
+    if (server.listening) {
         server.close();
     }
 
@@ -471,7 +151,12 @@ app.on('window-all-closed', () => {
 });
 
 app.on('quit', () => {
-    if (server) {
+    if (server.listening) {
         server.close();
     }
 });
+
+module.exports = {
+    server,
+    routes: listRoutes()
+};
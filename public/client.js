@@ -3,7 +3,34 @@
  */
 
 let DATA = null;
+let DEPS = null;
+let DUPLICATES = [];
+let BUDGETS = null;
+let HISTORY = null;
+let DIFF = null;
+// Per-file commit attribution from /api/git/blame, null while annotations are off
+let GIT_BLAME = null;
+// Folder the size map is zoomed into and the file list is filtered to ("" = root)
+let FOLDER_FILTER = '';
+// Files the list shows (filtered and sorted) and the paths checked for bulk actions
+let FILE_ROWS = [];
+let SELECTED_FILES = new Set();
+let lastCheckedIdx = null;
+// Virtualized file list: rows rendered beyond the visible ones, measured row height, rendered range
+const FILE_LIST_OVERSCAN = 10;
+let fileRowHeight = 0;
+let renderedRange = null;
 let showLargeOnly = false;
+let sizeView = 'raw';
+// Results of the last image / audio runs, added to exported reports
+let LAST_COMPRESSION = { images: null, audio: null };
+
+const SIZE_VIEW_LABELS = {
+    raw: '',
+    inlined: ' (inlined)',
+    gzip: ' (gzip)',
+    brotli: ' (brotli)'
+};
 
 const icons = {
     image: '🖼️',
@@ -132,35 +159,112 @@ function sizeClass(b) {
  * Load data from server
  */
 async function load() {
-    const res = await fetch('/api/scan');
+    const res = await fetch(sizeView === 'raw' ? '/api/scan' : '/api/scan/delivered');
     DATA = await res.json();
+    DEPS = null;
 
     // Load tags
     await TagManager.loadTags();
 
     render();
+    loadBudgets();
+    loadHistory();
+    if (GIT_BLAME) loadGitBlame();
+    loadUnused();
+    loadDuplicates();
+    loadBackups();
+}
+
+/**
+ * Get file size for the current size view
+ * @param {object} f - Scanned file
+ * @returns {number}
+ */
+function viewSize(f) {
+    if (sizeView === 'raw') return f.size;
+    return f.delivered ? f.delivered[sizeView] : 0;
+}
+
+/**
+ * Switch stats cards between raw, inlined and compressed sizes
+ * @param {string} view - raw | inlined | gzip | brotli
+ */
+async function setSizeView(view) {
+    const deliveredChanged = (view === 'raw') !== (sizeView === 'raw');
+    sizeView = view;
+    if (deliveredChanged) startLiveUpdates();
+    document.querySelectorAll('#sizeView .filter-btn[data-view]').forEach(btn => {
+        btn.classList.toggle('active', btn.getAttribute('data-view') === view);
+    });
+
+    if (view !== 'raw' && !DATA.deliveredStats) {
+        document.getElementById('totalSize').textContent = '...';
+        const res = await fetch('/api/scan/delivered');
+        DATA = await res.json();
+    }
+
+    render();
+}
+
+/**
+ * Download a size report of the scanned folder, with the last compression results if any
+ * @param {string} format - json | csv | md | html
+ */
+async function exportReport(format) {
+    try {
+        const hasCompression = LAST_COMPRESSION.images || LAST_COMPRESSION.audio;
+        const response = await fetch('/api/report', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ format, compression: hasCompression ? LAST_COMPRESSION : null })
+        });
+
+        if (!response.ok) {
+            const result = await response.json();
+            alert(`❌ Export failed: ${result.error}`);
+            return;
+        }
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = /filename="([^"]+)"/.exec(disposition);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await response.blob());
+        link.download = match ? match[1] : `size-report.${format}`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    } catch (error) {
+        alert(`❌ Error: ${error.message}`);
+    }
 }
 
 /**
  * Main render function
  */
 function render() {
-    const { files, folderTree, typeStats, rootPath } = DATA;
+    renderSummary();
+    renderFiles();
+    renderChart();
+    renderTree();
+    renderRecs();
+}
+
+/**
+ * Render the stats cards
+ */
+function renderSummary() {
+    const { files, folderTree, rootPath } = DATA;
 
-    document.getElementById('pathInfo').textContent = rootPath;
+    document.getElementById('pathInfo').textContent = DATA.mode === 'build' ? `Build: ${rootPath}` : rootPath;
 
-    const total = files.reduce((s, f) => s + f.size, 0);
+    const total = files.reduce((s, f) => s + viewSize(f), 0);
     document.getElementById('totalSize').textContent = fmt(total);
+    document.getElementById('totalSizeLabel').textContent = 'Total Size' + SIZE_VIEW_LABELS[sizeView];
     document.getElementById('totalFiles').textContent = files.length;
     document.getElementById('totalFolders').textContent = Object.keys(folderTree.children || {}).length;
 
-    const largest = files.reduce((m, f) => f.size > m.size ? f : m, { size: 0 });
+    const largest = files.reduce((m, f) => viewSize(f) > m.size ? { size: viewSize(f) } : m, { size: 0 });
     document.getElementById('largestFile').textContent = fmt(largest.size);
-
-    renderFiles();
-    renderChart();
-    renderTree();
-    renderRecs();
+    document.getElementById('largestFileLabel').textContent = 'Largest File' + SIZE_VIEW_LABELS[sizeView];
 }
 
 /**
@@ -176,6 +280,7 @@ function renderFiles() {
     let f = files.filter(x => {
         if (x.type === 'meta') return false;
         if (search && !x.path.toLowerCase().includes(search)) return false;
+        if (FOLDER_FILTER && !x.path.startsWith(FOLDER_FILTER + '/')) return false;
         if (type !== 'all' && x.type !== type) return false;
 
         // Tag filtering
@@ -193,67 +298,214 @@ function renderFiles() {
         return a.name.localeCompare(b.name);
     });
 
-    document.getElementById('fileList').innerHTML = f.slice(0, 100).map((x, idx) => {
-        const fileTag = TagManager.getFileTag(x.path);
-        const tagDef = TAG_DEFINITIONS[fileTag] || TAG_DEFINITIONS['original'];
+    FILE_ROWS = f;
+    lastCheckedIdx = null;
 
-        return `
-        <div class="file-item" data-file-path="${x.path}" data-file-type="${x.type}" data-file-idx="${idx}">
-            <div class="file-icon ${x.type}">${icons[x.type] || icons.other}</div>
-            <div class="file-info">
-                <div class="file-name">
-                    ${x.name}
-                    <span class="tag-badge" style="background-color: ${tagDef.color};" title="${tagDef.label}">
-                        ${tagDef.icon} ${tagDef.label}
-                    </span>
-                </div>
-                <div class="file-path">${x.path}</div>
-            </div>
-            <div class="file-size ${sizeClass(x.size)}">${fmt(x.size)}</div>
-            <div class="file-dropdown" style="display: none;">
-                ${x.type === 'image' ? `
-                    <div class="dropdown-item" data-action="resize">📐 Resize</div>
-                    <div class="dropdown-item" data-action="compress">⚡ Compress</div>
-                ` : x.type === 'audio' ? `
-                    <div class="dropdown-item" data-action="compress">⚡ Compress</div>
-                ` : `
-                    <div class="dropdown-item disabled" data-action="compress">⚡ Compress</div>
-                `}
+    // Selected files that a rescan removed can no longer be acted on
+    const existing = new Set(files.map(x => x.path));
+    SELECTED_FILES.forEach(p => { if (!existing.has(p)) SELECTED_FILES.delete(p); });
+
+    document.getElementById('fileListSummary').innerHTML = `(${f.length} files${FOLDER_FILTER
+        ? ` in ${FOLDER_FILTER} <span class="folder-filter-clear" title="Show all folders" onclick="setFolderFilter('')">✖</span>`
+        : ''})`;
+    renderFileWindow(true);
+    renderSelection();
+
+    // Tag changes re-render the list, so the size map's tag colors follow here
+    renderTreemap();
+}
+
+/**
+ * Render the rows of FILE_ROWS scrolled into view; the rest is stood in for by spacers
+ * so the list scrolls through every file without building tens of thousands of rows
+ * @param {boolean} force - Re-render even when the visible range did not change
+ */
+function renderFileWindow(force = false) {
+    const list = document.getElementById('fileList');
+    const rowHeight = fileRowHeight || 80;
+    const visible = Math.ceil(list.clientHeight / rowHeight);
+    // A filter may shrink the list below the current scroll position
+    const first = Math.min(Math.floor(list.scrollTop / rowHeight), Math.max(0, FILE_ROWS.length - visible));
+    const start = Math.max(0, first - FILE_LIST_OVERSCAN);
+    const end = Math.min(FILE_ROWS.length, first + visible + FILE_LIST_OVERSCAN);
+    if (!force && renderedRange && renderedRange.start === start && renderedRange.end === end) return;
+    renderedRange = { start, end };
+
+    list.innerHTML = `<div style="height: ${start * rowHeight}px;"></div>
+        ${FILE_ROWS.slice(start, end).map((x, i) => fileRowHtml(x, start + i)).join('')}
+        <div style="height: ${(FILE_ROWS.length - end) * rowHeight}px;"></div>`;
+    list.querySelectorAll('.file-item').forEach(bindFileRow);
+
+    // Rows are one line each, so one measurement (margin included) fits them all
+    const row = list.querySelector('.file-item');
+    if (row && row.offsetHeight && !fileRowHeight) {
+        fileRowHeight = row.offsetHeight + parseFloat(getComputedStyle(row).marginBottom);
+        renderFileWindow(true);
+    }
+}
+
+/**
+ * Update the selection count, the select-all box and the bulk action buttons
+ */
+function renderSelection() {
+    const selected = DATA.files.filter(f => SELECTED_FILES.has(f.path));
+    const shown = FILE_ROWS.filter(f => SELECTED_FILES.has(f.path)).length;
+    const selectAll = document.getElementById('selectAllFiles');
+
+    selectAll.checked = FILE_ROWS.length > 0 && shown === FILE_ROWS.length;
+    selectAll.indeterminate = shown > 0 && shown < FILE_ROWS.length;
+    document.getElementById('selectionCount').textContent = selected.length
+        ? `${selected.length} selected (${fmt(selected.reduce((s, f) => s + f.size, 0))})${shown < selected.length ? `, ${selected.length - shown} hidden by filters` : ''}`
+        : 'None selected';
+    document.querySelectorAll('.selection-actions button, #bulkTag').forEach(el => {
+        el.disabled = !selected.length;
+    });
+}
+
+/**
+ * Check or uncheck a file row; with shift held, every row since the last checked one follows
+ * @param {number} idx - Row position in FILE_ROWS
+ * @param {boolean} checked - New state
+ * @param {boolean} range - Whether shift was held
+ */
+function selectFileRow(idx, checked, range) {
+    const from = range && lastCheckedIdx !== null ? Math.min(lastCheckedIdx, idx) : idx;
+    const to = range && lastCheckedIdx !== null ? Math.max(lastCheckedIdx, idx) : idx;
+    for (let i = from; i <= to; i++) {
+        if (checked) SELECTED_FILES.add(FILE_ROWS[i].path);
+        else SELECTED_FILES.delete(FILE_ROWS[i].path);
+    }
+    lastCheckedIdx = idx;
+    renderFileWindow(true);
+    renderSelection();
+}
+
+/**
+ * Check or uncheck every file the filters show
+ * @param {boolean} checked - New state
+ */
+function selectAllFiles(checked) {
+    FILE_ROWS.forEach(f => {
+        if (checked) SELECTED_FILES.add(f.path);
+        else SELECTED_FILES.delete(f.path);
+    });
+    lastCheckedIdx = null;
+    renderFileWindow(true);
+    renderSelection();
+}
+
+/**
+ * Describe image dimensions or audio duration from the scan index
+ * @param {object} x - Scanned file
+ * @returns {string}
+ */
+function fileDetails(x) {
+    const d = x.details;
+    if (!d) return '';
+    if (d.width) return ` · ${d.width}×${d.height}`;
+    if (d.duration) return ` · ${Number(d.duration).toFixed(1)}s`;
+    return '';
+}
+
+/**
+ * Describe the commit that introduced or last grew a file, when git annotations are on
+ * @param {object} x - Scanned file
+ * @returns {string}
+ */
+function gitDetails(x) {
+    if (!GIT_BLAME) return '';
+    const entry = GIT_BLAME.files[x.path];
+    if (!entry) return ' · <span class="git-info" title="Not committed yet">🌿 uncommitted</span>';
+
+    const introduced = GIT_BLAME.commits[entry.introduced];
+    const grown = GIT_BLAME.commits[entry.lastGrown];
+    const title = [
+        `Introduced in ${entry.introduced.slice(0, 7)} by ${introduced.author}: ${introduced.subject}`,
+        entry.lastGrown !== entry.introduced
+            ? `Last grew ${signedSize(entry.lastGrownDelta)} in ${entry.lastGrown.slice(0, 7)} by ${grown.author}: ${grown.subject}`
+            : null,
+        entry.size !== x.size ? `Changed since HEAD (${fmt(entry.size)} committed)` : null
+    ].filter(Boolean).join('\n').replace(/"/g, '&quot;');
+
+    return ` · <span class="git-info" title="${title}">🌿 ${entry.lastGrown.slice(0, 7)} ${grown.author}${entry.size !== x.size ? ' (modified)' : ''}</span>`;
+}
+
+/**
+ * Build one file list row
+ * @param {object} x - Scanned file
+ * @param {number} idx - Position in the list
+ * @returns {string}
+ */
+function fileRowHtml(x, idx) {
+    const fileTag = TagManager.getFileTag(x.path);
+    const tagDef = TAG_DEFINITIONS[fileTag] || TAG_DEFINITIONS['original'];
+
+    return `
+    <div class="file-item${SELECTED_FILES.has(x.path) ? ' selected' : ''}" data-file-path="${x.path}" data-file-type="${x.type}" data-file-idx="${idx}">
+        <input type="checkbox" class="file-check" title="Select; shift-click selects a range"${SELECTED_FILES.has(x.path) ? ' checked' : ''}>
+        <div class="file-icon ${x.type}">${icons[x.type] || icons.other}</div>
+        <div class="file-info">
+            <div class="file-name">
+                ${x.name}
+                <span class="tag-badge" style="background-color: ${tagDef.color};" title="${tagDef.label}">
+                    ${tagDef.icon} ${tagDef.label}
+                </span>
+                ${x.rule ? `<span class="rule-badge" title="${x.rule.patterns.join(', ')}">📏 ${x.rule.summary || 'rule'}</span>` : ''}
             </div>
+            <div class="file-path">${x.path}${fileDetails(x)}${gitDetails(x)}</div>
         </div>
-        `;
-    }).join('');
+        <div class="file-size ${sizeClass(x.size)}">${fmt(x.size)}</div>
+        <div class="file-dropdown" style="display: none;">
+            ${x.type === 'image' ? `
+                <div class="dropdown-item" data-action="resize">📐 Resize</div>
+                <div class="dropdown-item" data-action="compress">⚡ Compress</div>
+            ` : x.type === 'audio' ? `
+                <div class="dropdown-item" data-action="compress">⚡ Compress</div>
+            ` : x.type === 'prefab' || x.type === 'scene' ? `
+                <div class="dropdown-item" data-action="deps">🔗 What this pulls in</div>
+            ` : `
+                <div class="dropdown-item disabled" data-action="compress">⚡ Compress</div>
+            `}
+        </div>
+    </div>
+    `;
+}
 
-    // Add click handlers for file items
-    document.querySelectorAll('.file-item').forEach(item => {
-        item.onclick = () => {
-            // Close all other dropdowns
-            document.querySelectorAll('.file-dropdown').forEach(d => {
-                if (d !== item.querySelector('.file-dropdown')) {
-                    d.style.display = 'none';
-                }
-            });
+/**
+ * Attach the selection and dropdown handlers of one file list row
+ * @param {HTMLElement} item - .file-item element
+ */
+function bindFileRow(item) {
+    item.querySelector('.file-check').onclick = (e) => {
+        e.stopPropagation();
+        selectFileRow(parseInt(item.getAttribute('data-file-idx')), e.target.checked, e.shiftKey);
+    };
 
-            // Toggle current dropdown
-            const dropdown = item.querySelector('.file-dropdown');
-            dropdown.style.display = dropdown.style.display === 'none' ? 'block' : 'none';
-        };
-    });
+    item.onclick = () => {
+        // Close all other dropdowns
+        document.querySelectorAll('.file-dropdown').forEach(d => {
+            if (d !== item.querySelector('.file-dropdown')) {
+                d.style.display = 'none';
+            }
+        });
+
+        // Toggle current dropdown
+        const dropdown = item.querySelector('.file-dropdown');
+        dropdown.style.display = dropdown.style.display === 'none' ? 'block' : 'none';
+    };
 
-    // Add click handlers for dropdown items
-    document.querySelectorAll('.dropdown-item').forEach(item => {
-        item.onclick = (e) => {
+    item.querySelectorAll('.dropdown-item').forEach(option => {
+        option.onclick = (e) => {
             e.stopPropagation();
 
-            if (item.classList.contains('disabled')) return;
+            if (option.classList.contains('disabled')) return;
 
-            const action = item.getAttribute('data-action');
-            const fileItem = item.closest('.file-item');
-            const filePath = fileItem.getAttribute('data-file-path');
-            const fileType = fileItem.getAttribute('data-file-type');
+            const action = option.getAttribute('data-action');
+            const filePath = item.getAttribute('data-file-path');
+            const fileType = item.getAttribute('data-file-type');
 
             // Hide dropdown
-            fileItem.querySelector('.file-dropdown').style.display = 'none';
+            item.querySelector('.file-dropdown').style.display = 'none';
 
             if (action === 'compress' && fileType === 'image') {
                 compressSingleImage(filePath);
@@ -261,6 +513,8 @@ function renderFiles() {
                 compressSingleAudio(filePath);
             } else if (action === 'resize' && fileType === 'image') {
                 resizeImage(filePath);
+            } else if (action === 'deps') {
+                showDependencies(filePath);
             }
         };
     });
@@ -304,32 +558,269 @@ function renderChart() {
     }, 100);
 }
 
+/**
+ * Sum file sizes per folder, by type and by tag
+ * @returns {object} - Folder path ("" = root) -> { size, types, tags }
+ */
+function folderStats() {
+    const stats = {};
+    for (const f of DATA.files) {
+        if (f.type === 'meta') continue;
+        const size = viewSize(f);
+        const tag = TagManager.getFileTag(f.path);
+        const segments = f.path.split('/').slice(0, -1);
+        for (let i = 0; i <= segments.length; i++) {
+            const folderPath = segments.slice(0, i).join('/');
+            const s = stats[folderPath] || (stats[folderPath] = { size: 0, types: {}, tags: {} });
+            s.size += size;
+            s.types[f.type] = (s.types[f.type] || 0) + size;
+            s.tags[tag] = (s.tags[tag] || 0) + size;
+        }
+    }
+    return stats;
+}
+
+/**
+ * Lay out items as squarified treemap rectangles
+ * @param {object[]} items - Items with size, largest first
+ * @param {number} x - Area left
+ * @param {number} y - Area top
+ * @param {number} w - Area width
+ * @param {number} h - Area height
+ * @returns {object[]} - { item, x, y, w, h }
+ */
+function squarify(items, x, y, w, h) {
+    const scale = w * h / items.reduce((s, i) => s + i.size, 0);
+    const rects = [];
+
+    // Worst aspect ratio of a row laid along a side
+    const worst = (row, side) => {
+        const sum = row.reduce((s, i) => s + i.size * scale, 0);
+        const max = row[0].size * scale;
+        const min = row[row.length - 1].size * scale;
+        return Math.max(side * side * max / (sum * sum), sum * sum / (side * side * min));
+    };
+
+    let rest = items;
+    while (rest.length) {
+        const side = Math.min(w, h);
+        let count = 1;
+        while (count < rest.length && worst(rest.slice(0, count + 1), side) <= worst(rest.slice(0, count), side)) count++;
+
+        const row = rest.slice(0, count);
+        const rowArea = row.reduce((s, i) => s + i.size * scale, 0);
+        if (w >= h) {
+            // Column along the left edge
+            const cw = rowArea / h;
+            let cy = y;
+            for (const item of row) {
+                const ch = item.size * scale / cw;
+                rects.push({ item, x, y: cy, w: cw, h: ch });
+                cy += ch;
+            }
+            x += cw;
+            w -= cw;
+        } else {
+            // Row along the top edge
+            const rh = rowArea / w;
+            let cx = x;
+            for (const item of row) {
+                const cw = item.size * scale / rh;
+                rects.push({ item, x: cx, y, w: cw, h: rh });
+                cx += cw;
+            }
+            y += rh;
+            h -= rh;
+        }
+        rest = rest.slice(count);
+    }
+    return rects;
+}
+
+/**
+ * Pick the key holding the most bytes
+ * @param {object} sizes - Key -> bytes
+ * @returns {string}
+ */
+function dominantKey(sizes) {
+    return Object.entries(sizes).sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * Color of a size map rectangle
+ * @param {object} item - Folder or file with size, types and tags
+ * @param {string} mode - type | tag | optimized
+ * @returns {string}
+ */
+function treemapColor(item, mode) {
+    if (mode === 'tag') return (TAG_DEFINITIONS[dominantKey(item.tags)] || TAG_DEFINITIONS['original']).color;
+    if (mode === 'optimized') {
+        // Red while nothing is compressed, green once everything is
+        const optimized = 1 - (item.tags['original'] || 0) / item.size;
+        return `hsl(${Math.round(optimized * 120)}, 65%, 45%)`;
+    }
+    return TREND_COLORS[dominantKey(item.types)] || TREND_COLORS.other;
+}
+
+/**
+ * Render the size map of the zoomed folder: subfolders and files as rectangles sized by bytes
+ */
+function renderTreemap() {
+    const mode = document.getElementById('treemapColor').value;
+    const stats = folderStats();
+
+    // The zoomed folder may be gone after a rescan
+    let node = DATA.folderTree;
+    for (const segment of FOLDER_FILTER ? FOLDER_FILTER.split('/') : []) {
+        node = node && node.children ? node.children[segment] : null;
+    }
+    if (FOLDER_FILTER && (!node || !stats[FOLDER_FILTER])) {
+        setFolderFilter('');
+        return;
+    }
+
+    const prefix = FOLDER_FILTER ? `${FOLDER_FILTER}/` : '';
+    const folders = Object.keys(node.children || {})
+        .filter(name => stats[prefix + name] && stats[prefix + name].size > 0)
+        .map(name => ({ kind: 'folder', name, path: prefix + name, ...stats[prefix + name] }));
+    const files = DATA.files
+        .filter(f => f.type !== 'meta' && viewSize(f) > 0 && f.path === prefix + f.name)
+        .map(f => {
+            const size = viewSize(f);
+            return { kind: 'file', name: f.name, path: f.path, size, types: { [f.type]: size }, tags: { [TagManager.getFileTag(f.path)]: size } };
+        });
+    const items = [...folders, ...files].sort((a, b) => b.size - a.size);
+    const total = items.reduce((s, i) => s + i.size, 0);
+
+    const crumbs = [{ name: DATA.folderTree.name || 'root', path: '' }];
+    if (FOLDER_FILTER) {
+        FOLDER_FILTER.split('/').forEach((name, i, all) => crumbs.push({ name, path: all.slice(0, i + 1).join('/') }));
+    }
+    document.getElementById('treemapPath').innerHTML = crumbs.map((c, i) => i === crumbs.length - 1
+        ? `<strong>${c.name}</strong> <small>(${fmt(total)}${SIZE_VIEW_LABELS[sizeView]})</small>`
+        : `<span class="treemap-crumb" data-folder="${c.path}">${c.name}</span> /`
+    ).join(' ');
+
+    const map = document.getElementById('treemap');
+    if (!items.length) {
+        map.innerHTML = '<div class="loading">No files to map</div>';
+        document.getElementById('treemapLegend').innerHTML = '';
+    } else {
+        // Percent coordinates, so the map follows the panel width
+        map.innerHTML = squarify(items, 0, 0, 100, 100).map(({ item, x, y, w, h }) => {
+            const pct = (item.size / total * 100).toFixed(1);
+            const breakdown = Object.entries(item.types).sort((a, b) => b[1] - a[1]).slice(0, 3)
+                .map(([t, size]) => `${t} ${fmt(size)}`).join(', ');
+            const title = item.kind === 'folder'
+                ? `${item.path}/&#10;${fmt(item.size)} (${pct}%)&#10;${breakdown}`
+                : `${item.path}&#10;${fmt(item.size)} (${pct}%)`;
+            return `<div class="treemap-cell ${item.kind}" data-path="${item.path}" data-kind="${item.kind}" title="${title}"
+                style="left: ${x}%; top: ${y}%; width: ${w}%; height: ${h}%; background: ${treemapColor(item, mode)};">
+                ${w > 8 && h > 10 ? `<span class="treemap-label">${item.kind === 'folder' ? '📁 ' : ''}${item.name}<small>${fmt(item.size)}</small></span>` : ''}
+            </div>`;
+        }).join('');
+        renderTreemapLegend(mode, items);
+    }
+
+    map.querySelectorAll('.treemap-cell').forEach(cell => {
+        cell.onclick = () => {
+            if (cell.getAttribute('data-kind') === 'folder') {
+                setFolderFilter(cell.getAttribute('data-path'));
+                return;
+            }
+            document.getElementById('searchBox').value = cell.getAttribute('data-path');
+            renderFiles();
+        };
+    });
+    document.querySelectorAll('#treemapPath .treemap-crumb').forEach(crumb => {
+        crumb.onclick = () => setFolderFilter(crumb.getAttribute('data-folder'));
+    });
+}
+
+/**
+ * Explain the size map colors of the current mode
+ * @param {string} mode - type | tag | optimized
+ * @param {object[]} items - Mapped folders and files
+ */
+function renderTreemapLegend(mode, items) {
+    const swatch = (color, label) => `<span class="trend-legend-item"><span class="trend-swatch" style="background: ${color};"></span>${label}</span>`;
+    let html;
+    if (mode === 'optimized') {
+        html = swatch('hsl(0, 65%, 45%)', 'Nothing compressed') + swatch('hsl(60, 65%, 45%)', 'Half compressed') + swatch('hsl(120, 65%, 45%)', 'All compressed');
+    } else if (mode === 'tag') {
+        html = [...new Set(items.map(i => dominantKey(i.tags)))].map(tag => {
+            const tagDef = TAG_DEFINITIONS[tag] || TAG_DEFINITIONS['original'];
+            return swatch(tagDef.color, `${tagDef.icon} ${tagDef.label}`);
+        }).join('');
+    } else {
+        html = [...new Set(items.map(i => dominantKey(i.types)))]
+            .map(type => swatch(TREND_COLORS[type] || TREND_COLORS.other, type)).join('');
+    }
+    document.getElementById('treemapLegend').innerHTML = `${html}<span class="trend-legend-item"><small>Folders take the color holding most of their bytes; click one to zoom in and filter the file list</small></span>`;
+}
+
+/**
+ * Zoom the size map into a folder and filter the file list to it
+ * @param {string} folderPath - Folder path relative to the root, "" for all files
+ */
+window.setFolderFilter = (folderPath) => {
+    FOLDER_FILTER = folderPath;
+    renderFiles();
+};
+
 /**
  * Render folder tree
  */
 function renderTree() {
     const { folderTree } = DATA;
 
-    function node(n, d = 0) {
+    // Keep folders open across live re-renders
+    const expanded = new Set([...document.querySelectorAll('#treeView .tree-children.expanded')]
+        .map(el => el.parentElement.getAttribute('data-folder-path')));
+
+    function node(n, d = 0, parentPath = '') {
         const ch = Object.values(n.children || {}).sort((a, b) => b.size - a.size);
         if (!ch.length) return '';
         return ch.map(c => {
             const has = Object.keys(c.children || {}).length > 0;
             const id = 'n' + Math.random().toString(36).slice(2, 9);
-            return `<div class="tree-node">
+            const folderPath = parentPath ? `${parentPath}/${c.name}` : c.name;
+            const open = expanded.has(folderPath) ? ' expanded' : '';
+            return `<div class="tree-node" data-folder-path="${folderPath}">
                 <div class="tree-node-header" onclick="toggle('${id}')">
-                    <div class="tree-toggle" id="t${id}">${has ? '▶' : ''}</div>
+                    <div class="tree-toggle${open}" id="t${id}">${has ? '▶' : ''}</div>
                     <div class="file-icon folder">📁</div>
                     <div class="tree-node-name">${c.name} <small style="color:#555">(${c.fileCount})</small></div>
+                    ${folderDelta(folderPath)}
                     <div class="tree-node-size ${sizeClass(c.size)}">${fmt(c.size)}</div>
                 </div>
-                <div class="tree-children" id="${id}">${node(c, d + 1)}</div>
+                <div class="tree-children${open}" id="${id}">${node(c, d + 1, folderPath)}</div>
             </div>`;
         }).join('');
     }
     document.getElementById('treeView').innerHTML = node(folderTree);
 }
 
+/**
+ * Render the size change of a folder in the active comparison
+ * @param {string} folderPath - Folder path relative to the root
+ * @returns {string}
+ */
+function folderDelta(folderPath) {
+    const folder = DIFF && DIFF.folders[folderPath];
+    if (!folder || !folder.delta) return '';
+    return `<div class="tree-node-delta ${folder.delta > 0 ? 'grown' : 'shrunk'}" title="${fmt(folder.before)} → ${fmt(folder.after)}">${signedSize(folder.delta)}</div>`;
+}
+
+/**
+ * Format a byte delta with its sign
+ * @param {number} delta - Bytes
+ * @returns {string}
+ */
+function signedSize(delta) {
+    return `${delta >= 0 ? '+' : '-'}${fmt(Math.abs(delta))}`;
+}
+
 /**
  * Toggle tree node
  * @param {string} id - node id
@@ -340,56 +831,1006 @@ window.toggle = (id) => {
 };
 
 /**
- * Render recommendations
+ * Render recommendations
+ */
+function renderRecs() {
+    const { files } = DATA;
+    const recs = [];
+
+    const bigImg = files.filter(f => f.type === 'image' && f.size > 500 * 1024);
+    if (bigImg.length) {
+        recs.push({
+            icon: '🖼️',
+            title: `${bigImg.length} anh > 500KB`,
+            desc: bigImg.slice(0, 3).map(f => f.name).join(', ')
+        });
+    }
+
+    const bigAudio = files.filter(f => f.type === 'audio' && f.size > 1024 * 1024);
+    if (bigAudio.length) {
+        recs.push({
+            icon: '🎵',
+            title: `${bigAudio.length} audio > 1MB`,
+            desc: bigAudio.slice(0, 3).map(f => f.name).join(', ')
+        });
+    }
+
+    const bigModel = files.filter(f => f.type === 'model' && f.size > 2 * 1024 * 1024);
+    if (bigModel.length) {
+        recs.push({
+            icon: '🎮',
+            title: `${bigModel.length} model > 2MB`,
+            desc: bigModel.slice(0, 3).map(f => f.name).join(', ')
+        });
+    }
+
+    const failing = BUDGETS ? BUDGETS.results.filter(r => !r.pass) : [];
+    for (const r of failing) {
+        recs.push({
+            icon: '⚠️',
+            title: r.headroom < 0 ? `${r.name}: over by ${fmt(-r.headroom)}` : `${r.name}: ${r.issues.join(', ')}`,
+            desc: r.offenders.length
+                ? `Top offenders: ${r.offenders.slice(0, 3).map(f => f.path.split('/').pop()).join(', ')}`
+                : r.issues.join(', ')
+        });
+    }
+
+    document.getElementById('recList').innerHTML = recs.length ? recs.map(r => `
+        <div class="rec-item">
+            <div class="rec-icon">${r.icon}</div>
+            <div class="rec-content"><h4>${r.title}</h4><p>${r.desc}</p></div>
+        </div>
+    `).join('') : '<p style="color:#666;text-align:center">Khong co de xuat</p>';
+}
+
+/**
+ * Load network budget verdicts from server
+ */
+async function loadBudgets() {
+    try {
+        const res = await fetch('/api/budgets');
+        const data = await res.json();
+
+        if (data.success) {
+            BUDGETS = data;
+            renderBudgets();
+            renderRecs();
+        } else {
+            document.getElementById('budgetList').innerHTML = `<div class="loading">❌ Error: ${data.error}</div>`;
+        }
+    } catch (error) {
+        console.error('Failed to load budgets:', error);
+    }
+}
+
+/**
+ * Render network budget rows with headroom and offenders
+ */
+function renderBudgets() {
+    const { profiles, results } = BUDGETS;
+    const failCount = results.filter(r => !r.pass).length;
+
+    document.getElementById('budgetsSummary').textContent = results.length
+        ? `(${results.length - failCount}/${results.length} pass)`
+        : '';
+
+    document.getElementById('budgetList').innerHTML = profiles.map(p => {
+        const r = results.find(x => x.id === p.id);
+        const verdict = !r ? '—' : r.pass ? '✅ Pass' : '❌ Fail';
+
+        return `
+        <div class="budget-row ${r && !r.pass ? 'fail' : ''}">
+            <input type="checkbox" class="budget-enabled" data-id="${p.id}" ${p.enabled ? 'checked' : ''} title="Evaluate this network">
+            <div class="budget-name">${p.name} <small>(${p.format}; ${(p.imageFormats || ['png', 'jpeg']).join('/')})</small></div>
+            <div>${r ? `${fmt(r.size)} / ${fmt(r.maxSize)}` : 'Disabled'}</div>
+            <input type="number" class="budget-limit" data-id="${p.id}" value="${(p.maxSize / 1024 / 1024).toFixed(2)}" min="0" step="0.1" title="Limit (MB)">
+            <div class="${r && r.headroom < 0 ? 'size-critical' : 'size-small'}">${r ? `${r.headroom < 0 ? '-' : '+'}${fmt(Math.abs(r.headroom))}` : ''}</div>
+            <div class="budget-verdict">${verdict}</div>
+            ${r && !r.pass ? `
+            <div class="budget-offenders">
+                ${r.offenders.length ? `To pass, remove or shrink: ${r.offenders.map(f => `${f.path} (${fmt(f.size)})`).join(', ')}` : ''}
+                ${r.issues.length ? `<div>${r.issues.join(' · ')}</div>` : ''}
+            </div>` : ''}
+        </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Save edited budget limits and re-evaluate
+ */
+async function saveBudgets() {
+    const profiles = BUDGETS.profiles.map(p => {
+        const limit = parseFloat(document.querySelector(`.budget-limit[data-id="${p.id}"]`).value);
+        return {
+            ...p,
+            enabled: document.querySelector(`.budget-enabled[data-id="${p.id}"]`).checked,
+            maxSize: isNaN(limit) ? p.maxSize : Math.round(limit * 1024 * 1024)
+        };
+    });
+
+    try {
+        const response = await fetch('/api/budgets/save', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ profiles })
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            await loadBudgets();
+        } else {
+            alert(`❌ Failed to save budgets: ${result.error}`);
+        }
+    } catch (error) {
+        alert(`❌ Error: ${error.message}`);
+    }
+}
+
+/**
+ * Load unused assets from server
+ */
+async function loadUnused() {
+    try {
+        const res = await fetch('/api/unused');
+        const data = await res.json();
+
+        if (data.success) {
+            renderUnused(data);
+        } else {
+            document.getElementById('unusedList').innerHTML = `<div class="loading">❌ Error: ${data.error}</div>`;
+        }
+    } catch (error) {
+        console.error('Failed to load unused assets:', error);
+    }
+}
+
+/**
+ * Render unused assets panel
+ * @param {object} data - /api/unused result
+ */
+function renderUnused(data) {
+    document.getElementById('unusedSummary').textContent = `${data.unused.length} files - ${fmt(data.totalSize)}`;
+    document.getElementById('unusedSelectAll').checked = false;
+
+    document.getElementById('unusedList').innerHTML = data.unused.length ? data.unused.map(a => `
+        <label class="unused-item">
+            <input type="checkbox" class="unused-check" value="${a.path}">
+            <div class="file-icon ${a.type}">${icons[a.type] || icons.other}</div>
+            <div class="file-path">${a.path}</div>
+            <div class="file-size ${sizeClass(a.size)}">${fmt(a.size)}</div>
+        </label>
+    `).join('') : '<p style="color:#666;text-align:center">Khong co file thua</p>';
+}
+
+/**
+ * Move selected unused assets to quarantine
+ */
+async function quarantineSelected() {
+    const paths = [...document.querySelectorAll('.unused-check:checked')].map(c => c.value);
+
+    if (!paths.length) {
+        alert('Please select at least one file');
+        return;
+    }
+
+    await quarantineFiles(paths);
+}
+
+/**
+ * Move files (and their .meta) to quarantine after confirmation
+ * @param {string[]} paths - File paths relative to the root
+ * @param {string} warning - Extra paragraph for the confirmation
+ */
+async function quarantineFiles(paths, warning = '') {
+    if (!confirm(`Move ${paths.length} files (and their .meta) to .optimize-data/quarantine?${warning}\n\nFiles are moved, not deleted, and can be moved back by hand.`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/unused/quarantine', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ paths })
+        });
+
+        const result = await response.json();
+
+        if (result.failed && result.failed.length) {
+            alert(`⚠️ Moved ${result.moved.length} files, ${result.failed.length} failed:\n\n${result.failed.map(f => `${f.path}: ${f.error}`).join('\n')}`);
+        } else if (result.success) {
+            alert(`✅ Moved ${result.moved.length} files (${fmt(result.savedSize)}) to quarantine`);
+        } else {
+            alert(`❌ Quarantine failed: ${result.error}`);
+        }
+
+        load();
+    } catch (error) {
+        alert(`❌ Error: ${error.message}`);
+    }
+}
+
+/**
+ * Run a bulk action on the files checked in the file list
+ * @param {string} action - compress | resize | convert | ignore | quarantine | clear
+ */
+async function runBulkAction(action) {
+    if (action === 'clear') {
+        SELECTED_FILES.clear();
+        renderFileWindow(true);
+        renderSelection();
+        return;
+    }
+
+    const files = DATA.files.filter(f => SELECTED_FILES.has(f.path));
+    if (!files.length) return;
+    const paths = files.map(f => f.path);
+    const images = files.filter(f => f.type === 'image').map(f => f.path);
+    const audio = files.filter(f => f.type === 'audio').map(f => f.path);
+
+    if (['compress', 'convert'].includes(action) && !images.length && !audio.length) {
+        alert('None of the selected files is an image or audio file');
+        return;
+    }
+    if (action === 'resize' && !images.length) {
+        alert('None of the selected files is an image');
+        return;
+    }
+
+    try {
+        if (action === 'compress') {
+            await compressSelection('Compress with the Optimize settings', files.length, images, audio);
+        } else if (action === 'resize') {
+            const input = prompt('Fit the selected images inside (max width and height, px):', '1024');
+            if (input === null) return;
+            const maxSize = parseInt(input, 10);
+            if (!(maxSize > 0)) {
+                alert('Enter a size in pixels');
+                return;
+            }
+            // Resize only: lossless re-encode (JPEG at full quality) instead of the Optimize settings;
+            // resizeOnly keeps rule quality and conversions out of it too
+            await compressSelection(`Resize to fit ${maxSize}×${maxSize}px`, files.length, images, [],
+                { maxWidth: maxSize, maxHeight: maxSize, quality: 100, palette: false, lossless: true, convertTo: null, resizeOnly: true });
+        } else if (action === 'convert') {
+            const imageFormat = images.length ? askFormat('images', ['webp', 'avif']) : null;
+            if (images.length && !imageFormat) return;
+            const audioFormat = audio.length ? askFormat('audio', ['mp3', 'ogg']) : null;
+            if (audio.length && !audioFormat) return;
+            await compressSelection(
+                `Convert ${[imageFormat && `images to ${imageFormat.toUpperCase()}`, audioFormat && `audio to ${audioFormat.toUpperCase()}`].filter(Boolean).join(' and ')}`,
+                files.length, images, audio, { convertTo: imageFormat }, { format: audioFormat });
+        } else if (action === 'ignore') {
+            await ignoreFiles(paths);
+        } else if (action === 'quarantine') {
+            await quarantineFiles(paths, '\n\nScenes and prefabs that still reference them will lose those references.');
+        }
+    } catch (error) {
+        alert(`❌ Error: ${error.message}`);
+    }
+}
+
+/**
+ * Ask for a conversion target
+ * @param {string} what - "images" or "audio"
+ * @param {string[]} formats - Accepted formats, the first is the default
+ * @returns {string|null} - Chosen format, null when cancelled or invalid
+ */
+function askFormat(what, formats) {
+    const input = prompt(`Convert the selected ${what} to (${formats.join(' or ')}):`, formats[0]);
+    if (input === null) return null;
+    const format = input.trim().toLowerCase();
+    if (!formats.includes(format)) {
+        alert(`Unsupported format: ${format}`);
+        return null;
+    }
+    return format;
+}
+
+/**
+ * Compress the selected images and audio as background jobs limited to those files
+ * @param {string} label - What the run does, for the confirmation
+ * @param {number} selectedCount - Files selected in total (other types are left alone)
+ * @param {string[]} images - Selected image paths
+ * @param {string[]} audio - Selected audio paths
+ * @param {object} imageOptions - Settings overriding the Optimize image settings
+ * @param {object} audioOptions - Settings overriding the Optimize audio settings
+ */
+async function compressSelection(label, selectedCount, images, audio, imageOptions = {}, audioOptions = {}) {
+    const counts = [images.length && `${images.length} images`, audio.length && `${audio.length} audio files`].filter(Boolean).join(' and ');
+    const skipped = selectedCount - images.length - audio.length;
+    if (!confirm(`${label}: ${counts}?${skipped ? `\n\n${skipped} other selected files are left alone.` : ''}`)) {
+        return;
+    }
+
+    if (images.length) {
+        const job = await startJob('compress-images', { ...getImageSettings(), ...imageOptions, paths: images });
+        await followImageJob(job.id);
+    }
+    if (audio.length) {
+        const job = await startJob('compress-audio', { ...getAudioSettings(), ...audioOptions, paths: audio });
+        await followAudioJob(job.id, '');
+    }
+}
+
+/**
+ * Add files to .optimizeignore after confirmation
+ * @param {string[]} paths - File paths relative to the root
+ */
+async function ignoreFiles(paths) {
+    if (!confirm(`Add ${paths.length} files to .optimizeignore?\n\nIgnored files leave scans, estimates and compression; delete their lines from .optimizeignore to bring them back.`)) {
+        return;
+    }
+
+    const response = await fetch('/api/ignore', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ paths })
+    });
+    const result = await response.json();
+
+    if (result.success) {
+        alert(`✅ Added ${result.added.length} lines to .optimizeignore`);
+        load();
+    } else {
+        alert(`❌ Ignore failed: ${result.error}`);
+    }
+}
+
+/**
+ * Tag the files checked in the file list
+ * @param {string} tag - Tag id
+ */
+async function tagSelection(tag) {
+    const files = DATA.files.filter(f => SELECTED_FILES.has(f.path));
+    await TagManager.setFileTags(Object.fromEntries(files.map(f => [f.path, tag])));
+    renderFiles();
+}
+
+// Line colors of the trend chart, as the type bars of the chart
+const TREND_COLORS = {
+    total: 'var(--accent-blue)',
+    image: '#ff6b6b',
+    script: '#00a8cc',
+    audio: '#9b59b6',
+    model: '#00aa55',
+    prefab: '#ff9500',
+    scene: '#6366f1',
+    other: '#999999'
+};
+
+/**
+ * Load size history (snapshots and optimization runs) from server
+ */
+async function loadHistory() {
+    try {
+        const res = await fetch('/api/history');
+        const data = await res.json();
+
+        if (data.success) {
+            HISTORY = data;
+            renderTrends();
+            renderDiffSources();
+        } else {
+            document.getElementById('trendChart').innerHTML = `<div class="loading">❌ Error: ${data.error}</div>`;
+        }
+    } catch (error) {
+        console.error('Failed to load history:', error);
+    }
+}
+
+/**
+ * Chart total and per-type size over time, with optimization runs as markers
+ */
+function renderTrends() {
+    const { snapshots, annotations } = HISTORY;
+    const chart = document.getElementById('trendChart');
+    const first = snapshots[0];
+    const last = snapshots[snapshots.length - 1];
+
+    document.getElementById('trendsSummary').textContent = snapshots.length > 1
+        ? `(${snapshots.length} snapshots, ${last.totalSize >= first.totalSize ? '+' : '-'}${fmt(Math.abs(last.totalSize - first.totalSize))} since ${new Date(first.scannedAt).toLocaleDateString()})`
+        : '';
+
+    if (snapshots.length < 2) {
+        chart.innerHTML = '<div class="loading">Not enough history yet - a snapshot is kept whenever a scan finds changed files</div>';
+        document.getElementById('trendLegend').innerHTML = '';
+        renderSnapshotList();
+        return;
+    }
+
+    // Total plus the five largest asset types of the latest snapshot
+    const types = Object.entries(last.typeStats)
+        .filter(([t]) => t !== 'meta')
+        .sort((a, b) => b[1].size - a[1].size)
+        .slice(0, 5)
+        .map(([t]) => t);
+    const series = [
+        { key: 'total', label: 'Total', value: s => s.totalSize },
+        ...types.map(t => ({ key: t, label: t, value: s => (s.typeStats[t] || { size: 0 }).size }))
+    ];
+
+    const width = 800, height = 260, padLeft = 70, padRight = 20, padTop = 20, padBottom = 30;
+    const start = Date.parse(first.scannedAt);
+    const span = Math.max(Date.parse(last.scannedAt) - start, 1);
+    const maxSize = Math.max(...snapshots.map(s => s.totalSize), 1);
+    const x = time => padLeft + (Date.parse(time) - start) / span * (width - padLeft - padRight);
+    const y = size => padTop + (1 - size / maxSize) * (height - padTop - padBottom);
+
+    const markers = annotations
+        .filter(a => a.at >= first.scannedAt && a.at <= last.scannedAt)
+        .map(a => `<g class="trend-marker">
+            <title>${a.operation} · ${a.fileCount} files (${fmt(a.originalSize)} before) · ${new Date(a.at).toLocaleString()}</title>
+            <line x1="${x(a.at)}" y1="${padTop}" x2="${x(a.at)}" y2="${height - padBottom}"></line>
+            <text x="${x(a.at)}" y="${padTop - 6}" text-anchor="middle">⚡</text>
+        </g>`).join('');
+
+    const lines = series.map(line => {
+        const points = snapshots.map(s => `${x(s.scannedAt).toFixed(1)},${y(line.value(s)).toFixed(1)}`).join(' ');
+        const dots = snapshots.map(s => `<circle cx="${x(s.scannedAt)}" cy="${y(line.value(s))}" r="${line.key === 'total' ? 4 : 3}">
+            <title>${s.label ? `${s.label} · ` : ''}${new Date(s.scannedAt).toLocaleString()}\n${line.label}: ${fmt(line.value(s))}</title>
+        </circle>`).join('');
+        return `<g class="trend-line${line.key === 'total' ? ' total' : ''}" style="color: ${TREND_COLORS[line.key] || TREND_COLORS.other}">
+            <polyline points="${points}"></polyline>${dots}
+        </g>`;
+    }).join('');
+
+    chart.innerHTML = `<svg viewBox="0 0 ${width} ${height}">
+        <line class="trend-axis" x1="${padLeft}" y1="${height - padBottom}" x2="${width - padRight}" y2="${height - padBottom}"></line>
+        <text class="trend-label" x="${padLeft - 8}" y="${padTop + 4}" text-anchor="end">${fmt(maxSize)}</text>
+        <text class="trend-label" x="${padLeft - 8}" y="${height - padBottom}" text-anchor="end">0</text>
+        <text class="trend-label" x="${padLeft}" y="${height - 8}">${new Date(first.scannedAt).toLocaleDateString()}</text>
+        <text class="trend-label" x="${width - padRight}" y="${height - 8}" text-anchor="end">${new Date(last.scannedAt).toLocaleDateString()}</text>
+        ${markers}${lines}
+    </svg>`;
+
+    document.getElementById('trendLegend').innerHTML = series.map(line =>
+        `<span class="trend-legend-item"><span class="trend-swatch" style="background: ${TREND_COLORS[line.key] || TREND_COLORS.other}"></span>${line.label}</span>`
+    ).join('') + '<span class="trend-legend-item">⚡ optimization run</span>';
+
+    renderSnapshotList();
+}
+
+/**
+ * List the latest snapshots with their change against the one before
+ */
+function renderSnapshotList() {
+    const { snapshots } = HISTORY;
+
+    document.getElementById('trendSnapshots').innerHTML = snapshots.slice(-10).reverse().map(s => {
+        const previous = snapshots[snapshots.indexOf(s) - 1];
+        const delta = previous ? s.totalSize - previous.totalSize : 0;
+        return `<div class="trend-snapshot">
+            <span>${new Date(s.scannedAt).toLocaleString()}</span>
+            <span class="trend-snapshot-label">${s.label || (s.trigger === 'manual' ? 'Snapshot' : 'Scan')}</span>
+            <span>${fmt(s.totalSize)} · ${s.fileCount} files</span>
+            <span class="${delta > 0 ? 'size-critical' : 'size-small'}">${previous ? `${delta >= 0 ? '+' : '-'}${fmt(Math.abs(delta))}` : ''}</span>
+        </div>`;
+    }).join('');
+}
+
+/**
+ * Save a labelled history snapshot of the current folder
+ */
+async function saveSnapshot() {
+    const label = prompt('Snapshot label (e.g. sprint or build name):', '');
+    if (label === null) return;
+
+    try {
+        const response = await fetch('/api/history/snapshot', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ label: label.trim() || null })
+        });
+        const result = await response.json();
+
+        if (result.success) {
+            await loadHistory();
+        } else {
+            alert(`❌ Snapshot failed: ${result.error}`);
+        }
+    } catch (error) {
+        alert(`❌ Error: ${error.message}`);
+    }
+}
+
+/**
+ * Fill the comparison selects with stored snapshots, newest first
+ */
+function renderDiffSources() {
+    const base = document.getElementById('diffBase');
+    const head = document.getElementById('diffHead');
+    const selectedBase = base.value;
+    const selectedHead = head.value;
+
+    const options = HISTORY.snapshots.slice().reverse().map(s =>
+        `<option value="${s.id}">${s.label ? `${s.label} · ` : ''}${new Date(s.scannedAt).toLocaleString()} (${fmt(s.totalSize)})</option>`
+    ).join('');
+    base.innerHTML = options + '<option value="git">Git ref...</option>';
+    head.innerHTML = '<option value="current">Current files</option>' + options;
+
+    // Default: previous snapshot -> current files
+    if (selectedBase) base.value = selectedBase;
+    else if (HISTORY.snapshots.length > 1) base.selectedIndex = 1;
+    if (selectedHead) head.value = selectedHead;
+    document.getElementById('diffGitRef').style.display = base.value === 'git' ? '' : 'none';
+}
+
+/**
+ * Compare the selected scans and show per-file and per-folder changes
+ */
+async function loadDiff() {
+    const baseValue = document.getElementById('diffBase').value;
+    const gitRef = document.getElementById('diffGitRef').value.trim();
+    const head = document.getElementById('diffHead').value;
+
+    if (baseValue === 'git' && !gitRef) {
+        alert('Enter a git ref to compare against (branch, tag or commit)');
+        return;
+    }
+
+    const base = baseValue === 'git' ? `git:${gitRef}` : baseValue;
+    const resultEl = document.getElementById('diffResult');
+    resultEl.innerHTML = '<div class="loading">Comparing...</div>';
+
+    try {
+        const res = await fetch(`/api/diff?base=${encodeURIComponent(base)}&head=${encodeURIComponent(head)}`);
+        const data = await res.json();
+
+        if (!data.success) {
+            resultEl.innerHTML = `<div class="loading">❌ Error: ${data.error}</div>`;
+            return;
+        }
+
+        DIFF = data;
+        document.getElementById('btnClearDiff').disabled = false;
+        renderDiff();
+        renderTree();
+    } catch (error) {
+        resultEl.innerHTML = `<div class="loading">❌ Error: ${error.message}</div>`;
+    }
+}
+
+/**
+ * Render the active comparison: totals and added / removed / grown / shrunk files
+ */
+function renderDiff() {
+    const { base, head, totals, added, removed, grown, shrunk, unchangedCount } = DIFF;
+    const limit = 50;
+
+    document.getElementById('diffSummary').textContent = `(${signedSize(totals.delta)})`;
+
+    const group = (title, list) => list.length ? `
+        <div class="diff-group">
+            <div class="diff-group-title">${title} <small>(${list.length}, ${signedSize(list.reduce((s, f) => s + f.delta, 0))})</small></div>
+            ${list.slice(0, limit).map(f => `
+            <div class="diff-row">
+                <span class="diff-path">${f.path}</span>
+                <span class="diff-sizes">${f.before ? fmt(f.before) : '—'} → ${f.after ? fmt(f.after) : '—'}</span>
+                <span class="diff-delta ${f.delta > 0 ? 'grown' : 'shrunk'}">${signedSize(f.delta)}</span>
+            </div>`).join('')}
+            ${list.length > limit ? `<div class="diff-more">and ${list.length - limit} more</div>` : ''}
+        </div>` : '';
+
+    document.getElementById('diffResult').innerHTML = `
+        <div class="diff-totals">
+            <strong>${base.label}</strong> → <strong>${head.label}</strong>:
+            ${fmt(totals.before)} → ${fmt(totals.after)}
+            <span class="diff-delta ${totals.delta > 0 ? 'grown' : 'shrunk'}">${signedSize(totals.delta)}</span>
+            <small>(${unchangedCount} unchanged, .meta files excluded; folder changes are shown in Folder Structure)</small>
+        </div>
+        ${group('🆕 Added', added)}
+        ${group('📈 Grown', grown)}
+        ${group('📉 Shrunk', shrunk)}
+        ${group('🗑️ Removed', removed)}
+        ${!added.length && !grown.length && !shrunk.length && !removed.length ? '<div class="loading">No changes</div>' : ''}
+    `;
+}
+
+/**
+ * Drop the active comparison
+ */
+function clearDiff() {
+    DIFF = null;
+    document.getElementById('diffSummary').textContent = '';
+    document.getElementById('diffResult').innerHTML = '';
+    document.getElementById('btnClearDiff').disabled = true;
+    renderTree();
+}
+
+/**
+ * Describe a commit in one line
+ * @param {object} c - sizeAtRef() result or blame commit with its id
+ * @returns {string}
+ */
+function commitLabel(c) {
+    return `<span class="git-sha">${c.commit.slice(0, 7)}</span> ${new Date(c.date).toLocaleDateString()} · ${c.author} · ${c.subject}`;
+}
+
+/**
+ * Measure the assets folder at the recent commits that touched it
+ */
+async function loadGitCommits() {
+    const el = document.getElementById('gitCommits');
+    el.innerHTML = '<div class="loading">Measuring commits...</div>';
+
+    try {
+        const res = await fetch('/api/git/sizes?limit=30');
+        const data = await res.json();
+
+        if (!data.success) {
+            el.innerHTML = `<div class="loading">❌ Error: ${data.error}</div>`;
+            return;
+        }
+        if (!data.commits.length) {
+            el.innerHTML = '<div class="loading">No commits touch this folder</div>';
+            return;
+        }
+
+        el.innerHTML = `
+            <div class="diff-group-title">Size by commit <small>(newest first)</small></div>
+            ${data.commits.map(c => `
+            <div class="git-row" title="${c.fileCount} files">
+                <span class="git-commit">${commitLabel(c)}</span>
+                <span class="diff-sizes">${fmt(c.totalSize)}</span>
+                <span class="diff-delta ${c.delta > 0 ? 'grown' : 'shrunk'}">${c.delta === null ? '' : signedSize(c.delta)}</span>
+            </div>`).join('')}
+        `;
+    } catch (error) {
+        el.innerHTML = `<div class="loading">❌ Error: ${error.message}</div>`;
+    }
+}
+
+/**
+ * Measure the assets folder at the entered ref
+ */
+async function measureGitRef() {
+    const ref = document.getElementById('gitRef').value.trim() || 'HEAD';
+    const el = document.getElementById('gitMeasure');
+    el.innerHTML = '<div class="loading">Measuring...</div>';
+
+    try {
+        const res = await fetch(`/api/git/size?ref=${encodeURIComponent(ref)}`);
+        const data = await res.json();
+
+        if (!data.success) {
+            el.innerHTML = `<div class="loading">❌ Error: ${data.error}</div>`;
+            return;
+        }
+
+        const c = data;
+        const delta = c.totalSize - DATA.files.reduce((s, f) => s + f.size, 0);
+        const types = Object.entries(c.typeStats)
+            .sort((a, b) => b[1].size - a[1].size)
+            .map(([type, s]) => `${icons[type] || icons.other} ${fmt(s.size)}`)
+            .join(' · ');
+        el.innerHTML = `
+            <div class="diff-totals">
+                <strong>${ref}</strong>: ${commitLabel(c)}<br>
+                ${fmt(c.totalSize)} in ${c.fileCount} files
+                <small>(current files are ${signedSize(-delta)} compared to it)</small><br>
+                <small>${types}</small>
+            </div>
+        `;
+    } catch (error) {
+        el.innerHTML = `<div class="loading">❌ Error: ${error.message}</div>`;
+    }
+}
+
+/**
+ * Load per-file commit attribution and annotate the file list with it
+ */
+async function loadGitBlame() {
+    const toggle = document.getElementById('gitBlameToggle');
+    const el = document.getElementById('gitAuthors');
+    el.innerHTML = '<div class="loading">Reading history...</div>';
+
+    try {
+        const res = await fetch('/api/git/blame');
+        const data = await res.json();
+
+        if (!data.success) {
+            GIT_BLAME = null;
+            toggle.checked = false;
+            el.innerHTML = `<div class="loading">❌ Error: ${data.error}</div>`;
+            return;
+        }
+
+        GIT_BLAME = { head: data.head, commits: data.commits, files: data.files };
+        renderGitAuthors();
+        renderFiles();
+    } catch (error) {
+        el.innerHTML = `<div class="loading">❌ Error: ${error.message}</div>`;
+    }
+}
+
+/**
+ * Turn file list annotations off
+ */
+function clearGitBlame() {
+    GIT_BLAME = null;
+    document.getElementById('gitAuthors').innerHTML = '';
+    document.getElementById('gitSummary').textContent = '';
+    renderFiles();
+}
+
+/**
+ * Sum current file sizes by the author that introduced them, with the largest files' attribution
+ */
+function renderGitAuthors() {
+    const files = DATA.files.filter(f => f.type !== 'meta');
+    const authors = {};
+    let uncommitted = 0;
+
+    for (const f of files) {
+        const entry = GIT_BLAME.files[f.path];
+        if (!entry) {
+            uncommitted += f.size;
+            continue;
+        }
+        const author = GIT_BLAME.commits[entry.introduced].author;
+        if (!authors[author]) authors[author] = { count: 0, size: 0 };
+        authors[author].count++;
+        authors[author].size += f.size;
+    }
+
+    const largest = files.filter(f => GIT_BLAME.files[f.path]).sort((a, b) => b.size - a.size).slice(0, 10);
+    document.getElementById('gitSummary').textContent = `(${GIT_BLAME.head.slice(0, 7)})`;
+    document.getElementById('gitAuthors').innerHTML = `
+        <div class="diff-group">
+            <div class="diff-group-title">Size by author <small>(who introduced the current files)</small></div>
+            ${Object.entries(authors).sort((a, b) => b[1].size - a[1].size).map(([author, s]) => `
+            <div class="git-row">
+                <span class="git-commit">${author}</span>
+                <span class="diff-sizes">${s.count} files</span>
+                <span class="diff-sizes">${fmt(s.size)}</span>
+            </div>`).join('')}
+            ${uncommitted ? `<div class="diff-more">${fmt(uncommitted)} not committed yet</div>` : ''}
+        </div>
+        <div class="diff-group">
+            <div class="diff-group-title">Largest files <small>(commit that last grew them)</small></div>
+            ${largest.map(f => {
+                const entry = GIT_BLAME.files[f.path];
+                return `
+            <div class="git-row">
+                <span class="git-commit">${f.path}<br><small>${commitLabel({ commit: entry.lastGrown, ...GIT_BLAME.commits[entry.lastGrown] })}</small></span>
+                <span class="diff-sizes">${fmt(f.size)}</span>
+                <span class="diff-delta grown">${signedSize(entry.lastGrownDelta)}</span>
+            </div>`;
+            }).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Load backups of destructive operations from server
+ */
+async function loadBackups() {
+    try {
+        const res = await fetch('/api/backups');
+        const data = await res.json();
+
+        if (data.success) {
+            renderBackups(data);
+        } else {
+            document.getElementById('backupList').innerHTML = `<div class="loading">❌ Error: ${data.error}</div>`;
+        }
+    } catch (error) {
+        console.error('Failed to load backups:', error);
+    }
+}
+
+/**
+ * Render backups panel, newest batch first
+ * @param {object} data - /api/backups result
+ */
+function renderBackups(data) {
+    const currentRun = data.runs.find(r => r.runId === data.currentRunId);
+    const batches = data.runs.flatMap(r => r.batches.map(b => ({ ...b, current: r.runId === data.currentRunId })));
+    const totalSize = data.runs.reduce((s, r) => s + r.size, 0);
+
+    document.getElementById('backupsSummary').textContent = `${batches.length} batches - ${fmt(totalSize)}`;
+    document.getElementById('backupRunInfo').textContent = currentRun
+        ? `This run: ${currentRun.batches.length} batches`
+        : 'Nothing changed in this run';
+    document.getElementById('btnRestoreRun').disabled = !currentRun;
+
+    document.getElementById('backupList').innerHTML = batches.length ? batches.map(b => `
+        <div class="backup-batch">
+            <div class="backup-batch-header">
+                <span class="backup-op">${b.operation}${b.current ? ' · this run' : ''}</span>
+                <span>${new Date(b.createdAt).toLocaleString()} · ${b.files.length} files</span>
+                <button class="btn-secondary" onclick="restoreBackup({ batchId: '${b.batchId}' })">⏪ Restore batch</button>
+            </div>
+            ${b.files.map(f => `
+                <div class="backup-file ${f.restoredAt ? 'restored' : ''}">
+                    <div class="file-path">${f.path}${f.createdPath && f.createdPath !== f.path ? ` → ${f.createdPath}` : ''}</div>
+                    <div class="file-size">${fmt(f.size)}</div>
+                    <button class="btn-secondary" onclick="restoreBackup({ batchId: '${b.batchId}', path: '${f.path}' })">Restore</button>
+                </div>
+            `).join('')}
+        </div>
+    `).join('') : '<p style="color:#666;text-align:center">Khong co ban sao luu</p>';
+
+    document.getElementById('btnRestoreRun').onclick = () => restoreBackup({ runId: data.currentRunId });
+}
+
+/**
+ * Restore backed-up originals over the optimized files
+ * @param {object} scope - { runId } | { batchId } | { batchId, path }
+ */
+window.restoreBackup = async function(scope) {
+    const target = scope.path || (scope.batchId ? 'every file of this batch' : 'every file changed in this run');
+    if (!confirm(`Restore ${target} from backup?\n\nCurrent versions will be overwritten with the originals.`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/backups/restore', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(scope)
+        });
+
+        const result = await response.json();
+
+        if (result.failed && result.failed.length) {
+            alert(`⚠️ Restored ${result.restored.length} files, ${result.failed.length} failed:\n\n${result.failed.map(f => `${f.path}: ${f.error}`).join('\n')}`);
+        } else if (result.success) {
+            alert(`✅ Restored ${result.restored.length} files`);
+        } else {
+            alert(`❌ Restore failed: ${result.error}`);
+        }
+
+        load();
+    } catch (error) {
+        alert(`❌ Error: ${error.message}`);
+    }
+};
+
+/**
+ * Load duplicate groups from server
+ */
+async function loadDuplicates() {
+    try {
+        const res = await fetch('/api/duplicates');
+        const data = await res.json();
+
+        if (data.success) {
+            renderDuplicates(data);
+        } else {
+            document.getElementById('duplicateList').innerHTML = `<div class="loading">❌ Error: ${data.error}</div>`;
+        }
+    } catch (error) {
+        console.error('Failed to load duplicates:', error);
+    }
+}
+
+/**
+ * Render duplicate groups with wasted bytes
+ * @param {object} data - /api/duplicates result
+ */
+function renderDuplicates(data) {
+    document.getElementById('duplicatesSummary').textContent = data.groups.length
+        ? `(${data.groups.length} groups, ${fmt(data.totalWasted)} wasted)`
+        : '';
+
+    document.getElementById('duplicateList').innerHTML = data.groups.length ? data.groups.map((g, gi) => `
+        <div class="duplicate-group" data-group="${gi}">
+            <div class="duplicate-header">
+                <span class="duplicate-kind">${g.kind === 'exact' ? '🟰 Identical' : '≈ Similar images'} · ${g.files.length} copies</span>
+                <span class="file-size ${sizeClass(g.wastedSize)}">${fmt(g.wastedSize)} wasted</span>
+            </div>
+            ${g.files.map((f, fi) => `
+                <label class="duplicate-file">
+                    <input type="radio" name="keep-${gi}" value="${f.path}" ${fi === 0 ? 'checked' : ''} title="Keep this copy">
+                    <span>${f.path}</span>
+                    <span>${fmt(f.size)}</span>
+                </label>
+            `).join('')}
+            <button class="btn-secondary" onclick="mergeDuplicateGroup(${gi})">🔀 Merge into selected</button>
+        </div>
+    `).join('') : '<p style="color:#666;text-align:center">Khong co file trung lap</p>';
+
+    DUPLICATES = data.groups;
+}
+
+/**
+ * Merge a duplicate group into the selected survivor
+ * @param {number} groupIdx - Index into DUPLICATES
+ */
+window.mergeDuplicateGroup = async function(groupIdx) {
+    const group = DUPLICATES[groupIdx];
+    const keep = document.querySelector(`input[name="keep-${groupIdx}"]:checked`).value;
+    const remove = group.files.map(f => f.path).filter(p => p !== keep);
+
+    if (!confirm(`Keep ${keep}?\n\nReferences in prefabs/scenes to these copies will be rewritten and the copies moved to quarantine:\n\n${remove.join('\n')}`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/duplicates/merge', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ keep, remove })
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            alert(`✅ Merged ${result.moved.length} copies (${fmt(result.savedSize)}), rewrote ${result.rewritten.length} files`);
+        } else {
+            alert(`❌ Merge failed: ${result.error || (result.failed || []).map(f => `${f.path}: ${f.error}`).join('\n')}`);
+        }
+
+        load();
+    } catch (error) {
+        alert(`❌ Error: ${error.message}`);
+    }
+};
+
+/**
+ * Show everything an asset pulls in, with byte cost
+ * @param {string} filePath - Asset path relative to root
  */
-function renderRecs() {
-    const { files } = DATA;
-    const recs = [];
+async function showDependencies(filePath) {
+    try {
+        if (!DEPS) {
+            const res = await fetch('/api/deps');
+            const data = await res.json();
+            if (!data.success) {
+                alert('❌ Failed to load dependencies: ' + data.error);
+                return;
+            }
+            DEPS = data.assets;
+        }
 
-    const bigImg = files.filter(f => f.type === 'image' && f.size > 500 * 1024);
-    if (bigImg.length) {
-        recs.push({
-            icon: '🖼️',
-            title: `${bigImg.length} anh > 500KB`,
-            desc: bigImg.slice(0, 3).map(f => f.name).join(', ')
-        });
-    }
+        const asset = DEPS[filePath];
+        if (!asset) {
+            alert('ℹ️ No .meta found for this file, dependencies unknown');
+            return;
+        }
 
-    const bigAudio = files.filter(f => f.type === 'audio' && f.size > 1024 * 1024);
-    if (bigAudio.length) {
-        recs.push({
-            icon: '🎵',
-            title: `${bigAudio.length} audio > 1MB`,
-            desc: bigAudio.slice(0, 3).map(f => f.name).join(', ')
-        });
-    }
+        const pulled = asset.transitive
+            .map(p => DEPS[p])
+            .sort((a, b) => b.size - a.size);
 
-    const bigModel = files.filter(f => f.type === 'model' && f.size > 2 * 1024 * 1024);
-    if (bigModel.length) {
-        recs.push({
-            icon: '🎮',
-            title: `${bigModel.length} model > 2MB`,
-            desc: bigModel.slice(0, 3).map(f => f.name).join(', ')
-        });
-    }
+        document.getElementById('depsFileName').textContent = filePath;
+        document.getElementById('depsTotalSize').textContent = fmt(asset.transitiveSize);
+        document.getElementById('depsOwnSize').textContent = fmt(asset.size);
+        document.getElementById('depsCount').textContent = pulled.length;
 
-    const total = files.reduce((s, f) => s + f.size, 0);
-    if (total > 50 * 1024 * 1024) {
-        recs.push({
-            icon: '⚠️',
-            title: 'Tong > 50MB',
-            desc: 'Playable ads can < 5MB'
-        });
-    }
+        document.getElementById('depsList').innerHTML = pulled.length ? pulled.map(d => `
+            <div class="folder-item deps-item">
+                <div class="file-icon ${d.type}">${icons[d.type] || icons.other}</div>
+                <div class="folder-name" title="${d.path}">${d.path}${asset.dependencies.includes(d.path) ? '' : ' <small>(indirect)</small>'}</div>
+                <div class="file-size ${sizeClass(d.size)}">${fmt(d.size)}</div>
+            </div>
+        `).join('') : `
+            <div class="empty-folder">
+                <div class="empty-folder-icon">🔗</div>
+                <div>No dependencies</div>
+            </div>
+        `;
 
-    document.getElementById('recList').innerHTML = recs.length ? recs.map(r => `
-        <div class="rec-item">
-            <div class="rec-icon">${r.icon}</div>
-            <div class="rec-content"><h4>${r.title}</h4><p>${r.desc}</p></div>
-        </div>
-    `).join('') : '<p style="color:#666;text-align:center">Khong co de xuat</p>';
+        document.getElementById('depsUsedBy').innerHTML = asset.dependents.length
+            ? `<strong>Used by:</strong> ${asset.dependents.join(', ')}`
+            : '<strong>Used by:</strong> nothing';
+
+        document.getElementById('depsModal').style.display = 'flex';
+    } catch (error) {
+        alert(`❌ Error: ${error.message}`);
+    }
 }
 
+/**
+ * Close dependencies modal
+ */
+window.closeDepsModal = function() {
+    document.getElementById('depsModal').style.display = 'none';
+};
+
 /**
  * Initialize event listeners
  */
@@ -398,6 +1839,39 @@ function initEventListeners() {
     document.getElementById('sortBy').onchange = renderFiles;
     document.getElementById('filterType').onchange = renderFiles;
     document.getElementById('filterTag').onchange = renderFiles;
+    document.getElementById('btnQuarantine').onclick = quarantineSelected;
+    document.getElementById('btnSaveBudgets').onclick = saveBudgets;
+    document.getElementById('btnSnapshot').onclick = saveSnapshot;
+    document.getElementById('btnDiff').onclick = loadDiff;
+    document.getElementById('btnClearDiff').onclick = clearDiff;
+    document.getElementById('diffBase').onchange = (e) => {
+        document.getElementById('diffGitRef').style.display = e.target.value === 'git' ? '' : 'none';
+    };
+    document.getElementById('fileList').onscroll = () => renderFileWindow();
+    document.getElementById('selectAllFiles').onchange = (e) => selectAllFiles(e.target.checked);
+    document.querySelectorAll('.selection-actions button[data-bulk]').forEach(btn => {
+        btn.onclick = () => runBulkAction(btn.getAttribute('data-bulk'));
+    });
+    document.getElementById('bulkTag').onchange = (e) => {
+        if (e.target.value) tagSelection(e.target.value);
+        e.target.value = '';
+    };
+    document.getElementById('treemapColor').onchange = renderTreemap;
+    document.getElementById('btnGitCommits').onclick = loadGitCommits;
+    document.getElementById('btnGitMeasure').onclick = measureGitRef;
+    document.getElementById('gitBlameToggle').onchange = (e) => {
+        if (e.target.checked) loadGitBlame();
+        else clearGitBlame();
+    };
+    document.querySelectorAll('#sizeView .filter-btn[data-view]').forEach(btn => {
+        btn.onclick = () => setSizeView(btn.getAttribute('data-view'));
+    });
+    document.querySelectorAll('#sizeView .filter-btn[data-format]').forEach(btn => {
+        btn.onclick = () => exportReport(btn.getAttribute('data-format'));
+    });
+    document.getElementById('unusedSelectAll').onchange = (e) => {
+        document.querySelectorAll('.unused-check').forEach(c => { c.checked = e.target.checked; });
+    };
 }
 
 /**
@@ -420,16 +1894,58 @@ function initTheme() {
     };
 }
 
+/**
+ * Read image compression settings from the Optimize tab
+ * @returns {object} - Options for compressImage
+ */
+function getImageSettings() {
+    const quality = document.getElementById('imageQuality').value;
+    return {
+        quality: quality === 'auto' ? 'auto' : parseInt(quality),
+        palette: document.getElementById('pngMode').value === 'palette',
+        colors: parseInt(document.getElementById('pngColors').value),
+        dither: parseFloat(document.getElementById('pngDither').value),
+        effort: parseInt(document.getElementById('pngEffort').value),
+        convertTo: document.getElementById('imageFormat').value || null
+    };
+}
+
+/**
+ * Read audio compression settings from the Optimize tab
+ * @returns {object} - Options for compressAudio
+ */
+function getAudioSettings() {
+    const channels = document.getElementById('audioChannels').value;
+    const format = document.getElementById('audioFormat').value;
+    return {
+        bitrate: document.getElementById('audioBitrate').value,
+        channels: channels ? parseInt(channels) : null,
+        format: format || null
+    };
+}
+
 /**
  * Load compression estimate
+ * The server encodes every image in memory, so the saving is a real prediction
  */
 async function loadCompressEstimate() {
+    const savingEl = document.getElementById('potentialSaving');
+    savingEl.textContent = '...';
+
     try {
-        const res = await fetch('/api/compress/estimate');
+        const res = await fetch('/api/compress/estimate', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                ...getImageSettings(),
+                targetPath: document.getElementById('optimizePath').value.trim() || null
+            })
+        });
         const data = await res.json();
 
         document.getElementById('totalImages').textContent = data.totalImages;
-        document.getElementById('potentialSaving').textContent = `~${fmt(data.estimatedSaving)}`;
+        savingEl.textContent = fmt(data.estimatedSaving);
+        savingEl.title = `${fmt(data.totalSize)} → ${fmt(data.predictedSize)} (${data.cachedCount}/${data.totalImages} from cache)`;
     } catch (error) {
         console.error('Failed to load estimate:', error);
     }
@@ -478,6 +1994,26 @@ function showResultModal(data) {
                 <span class="detail-label">Space Saved</span>
                 <span class="detail-value highlight">${fmt(data.saved)} (${percent}%)</span>
             </div>
+            ${data.pngMode ? `
+            <div class="detail-row">
+                <span class="detail-label">PNG Mode</span>
+                <span class="detail-value">${data.pngMode}${data.psnr ? ` (PSNR ${data.psnr} dB)` : ''}</span>
+            </div>` : ''}
+            ${data.convertedTo ? `
+            <div class="detail-row">
+                <span class="detail-label">Converted</span>
+                <span class="detail-value">${data.newName}${data.metaMoved ? ' (.meta moved, UUID kept)' : ''}</span>
+            </div>` : ''}
+            ${data.rule ? `
+            <div class="detail-row">
+                <span class="detail-label">Rule</span>
+                <span class="detail-value">${data.rule.patterns.join(', ')}${data.rule.summary ? ` (${data.rule.summary})` : ''}</span>
+            </div>` : ''}
+            ${data.metric ? `
+            <div class="detail-row">
+                <span class="detail-label">Auto Quality</span>
+                <span class="detail-value">${data.quality === null ? 'lossless' : data.quality}${data.score !== null ? ` (${data.metric.toUpperCase()} ${data.score})` : ''}</span>
+            </div>` : ''}
         `;
     } else if (data.type === 'resize') {
         resultTitle.textContent = 'Image Resized Successfully!';
@@ -561,6 +2097,16 @@ function showBatchResultModal(data) {
     modal.style.display = 'flex';
 }
 
+/**
+ * Warn when a conversion left scenes or prefabs pointing at missing assets
+ * @param {object[]} refs - { path, uuid } per dangling reference
+ */
+function warnBrokenReferences(refs) {
+    if (!refs || !refs.length) return;
+    const lines = refs.slice(0, 10).map(r => `- ${r.path} -> ${r.uuid}`).join('\n');
+    alert(`⚠️ ${refs.length} references now point at missing assets:\n\n${lines}${refs.length > 10 ? '\n...' : ''}\n\nRestore the batch from the Backups panel to undo.`);
+}
+
 /**
  * Show single audio result modal
  */
@@ -901,6 +2447,7 @@ window.confirmResize = async function() {
 
                 // Re-render to show updated tag
                 renderFiles();
+                loadBackups();
 
                 showResultModal({ ...result, type: 'resize' });
             }
@@ -927,7 +2474,7 @@ function getCompressionTag(savedPercent) {
  * Compress a single image file
  */
 async function compressSingleImage(filePath) {
-    if (!confirm(`Compress this image?\n\n${filePath}\n\nThis will overwrite the original file.`)) {
+    if (!confirm(`Compress this image?\n\n${filePath}\n\nThe original is backed up to .optimize-data/backups.`)) {
         return;
     }
 
@@ -935,7 +2482,7 @@ async function compressSingleImage(filePath) {
         const response = await fetch('/api/compress/single', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ filePath, quality: 80 })
+            body: JSON.stringify({ filePath, ...getImageSettings() })
         });
 
         const result = await response.json();
@@ -944,15 +2491,22 @@ async function compressSingleImage(filePath) {
             if (result.skipped) {
                 alert(`ℹ️ No compression needed\n\n${result.reason}`);
             } else {
-                // Auto-tag based on compression ratio
+                // Auto-tag based on compression ratio; a converted image lives under its new name
                 const savedPercent = (result.saved / result.originalSize) * 100;
                 const tag = getCompressionTag(savedPercent);
-                await TagManager.setFileTag(filePath, tag);
-
-                // Re-render to show updated tag
-                renderFiles();
+                const newPath = result.newName ? filePath.replace(/[^/\\]+$/, result.newName) : filePath;
+                await TagManager.setFileTag(newPath, tag);
+
+                // Re-render to show updated tag, re-scan when the file was renamed
+                if (result.convertedTo) {
+                    load();
+                } else {
+                    renderFiles();
+                    loadBackups();
+                }
 
                 showResultModal({ ...result, type: 'compress' });
+                warnBrokenReferences(result.brokenReferences);
             }
         } else {
             alert(`❌ Compression failed: ${result.error}`);
@@ -971,7 +2525,7 @@ async function compressSingleAudio(filePath) {
     const channels = document.getElementById('audioChannels').value;
     const format = document.getElementById('audioFormat').value;
 
-    if (!confirm(`Compress this audio file?\n\n${filePath}\n\nSettings:\n- Bitrate: ${bitrate}\n- Channels: ${channels || 'Original'}\n- Format: ${format || 'Auto'}\n\nThis will overwrite the original file.`)) {
+    if (!confirm(`Compress this audio file?\n\n${filePath}\n\nSettings:\n- Bitrate: ${bitrate}\n- Channels: ${channels || 'Original'}\n- Format: ${format || 'Auto'}\n\nThe original is backed up to .optimize-data/backups.`)) {
         return;
     }
 
@@ -1000,6 +2554,7 @@ async function compressSingleAudio(filePath) {
 
                 // Re-render to show updated tag
                 renderFiles();
+                loadBackups();
 
                 // Show result in modal like images
                 showSingleAudioResultModal({
@@ -1012,6 +2567,7 @@ async function compressSingleAudio(filePath) {
                     newFormat: result.newFormat,
                     filePath: filePath
                 });
+                warnBrokenReferences(result.brokenReferences);
             }
         } else {
             alert(`❌ Compression failed: ${result.error}`);
@@ -1022,14 +2578,65 @@ async function compressSingleAudio(filePath) {
 }
 
 /**
- * Handle image compression
+ * Start a background optimization job
+ * @param {string} kind - "compress-images" or "compress-audio"
+ * @param {object} body - targetPath and compression options
+ * @returns {Promise<object>} - The new job
  */
-async function compressImages() {
+async function startJob(kind, body) {
+    const response = await fetch('/api/jobs', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ kind, ...body })
+    });
+    const data = await response.json();
+    if (!data.success) throw new Error(data.error);
+    return data.job;
+}
+
+/**
+ * Poll a job until it stops running
+ * The work continues on the server even if this page is closed
+ * @param {string} jobId - Job id
+ * @param {function} onProgress - Called with the job on every poll
+ * @returns {Promise<object>} - Job in its final state (completed, cancelled or failed)
+ */
+async function watchJob(jobId, onProgress) {
+    while (true) {
+        const response = await fetch(`/api/jobs/${jobId}`);
+        const data = await response.json();
+        if (!data.success) throw new Error(data.error);
+
+        if (onProgress) onProgress(data.job);
+        if (!['queued', 'running', 'cancelling'].includes(data.job.status)) return data.job;
+        await new Promise(resolve => setTimeout(resolve, 500));
+    }
+}
+
+/**
+ * Ask a running job to stop after the files in progress
+ * @param {string} jobId - Job id
+ */
+async function cancelJob(jobId) {
+    try {
+        const response = await fetch(`/api/jobs/${jobId}/cancel`, { method: 'POST' });
+        const data = await response.json();
+        if (!data.success) alert(`❌ Cancel failed: ${data.error}`);
+    } catch (error) {
+        alert(`❌ Error: ${error.message}`);
+    }
+}
+
+/**
+ * Follow an image job in the Images card, then show its results
+ * @param {string} jobId - Job id
+ */
+async function followImageJob(jobId) {
     const btn = document.getElementById('btnCompressImages');
     const progressWrapper = document.getElementById('compressProgress');
     const progressFill = document.getElementById('progressFill');
     const progressText = document.getElementById('progressText');
-    const optimizePath = document.getElementById('optimizePath').value.trim();
+    const btnCancel = document.getElementById('btnCancelImages');
 
     // Disable button
     btn.disabled = true;
@@ -1039,65 +2646,54 @@ async function compressImages() {
     progressWrapper.classList.remove('hidden');
     progressFill.style.width = '0%';
     progressText.textContent = '0%';
+    btnCancel.disabled = false;
+    btnCancel.onclick = () => {
+        btnCancel.disabled = true;
+        cancelJob(jobId);
+    };
 
     try {
-        const response = await fetch('/api/compress/run', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                quality: 80,
-                targetPath: optimizePath || null
-            })
+        const job = await watchJob(jobId, current => {
+            // Update progress (files finished out of total)
+            const percent = current.total ? Math.min(95, (current.processed / current.total) * 100) : 0;
+            progressFill.style.width = `${percent}%`;
+            progressText.textContent = current.status === 'cancelling'
+                ? 'Cancelling after the current files...'
+                : `${Math.floor(percent)}% - ${current.currentFile || ''}`;
         });
 
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-
-            const chunk = decoder.decode(value);
-            const lines = chunk.split('\n');
-
-            for (const line of lines) {
-                if (line.startsWith('data: ')) {
-                    const data = JSON.parse(line.slice(6));
-
-                    if (data.type === 'progress') {
-                        // Update progress (estimate based on current file)
-                        const percent = Math.min(95, (data.current / 100) * 100);
-                        progressFill.style.width = `${percent}%`;
-                        progressText.textContent = `${Math.floor(percent)}% - ${data.file}`;
-                    } else if (data.type === 'complete') {
-                        // Show complete
-                        progressFill.style.width = '100%';
-                        progressText.textContent = '100% - Complete!';
-
-                        const { results } = data;
-                        setTimeout(() => {
-                            // Show result modal instead of alert
-                            const percent = results.originalSize > 0
-                                ? ((results.savedSize / results.originalSize) * 100).toFixed(1)
-                                : 0;
-
-                            showBatchResultModal({
-                                total: results.total,
-                                compressed: results.compressed,
-                                skipped: results.skipped,
-                                failed: results.failed,
-                                originalSize: results.originalSize,
-                                newSize: results.newSize,
-                                savedSize: results.savedSize,
-                                percent: percent
-                            });
-                        }, 500);
-                    } else if (data.type === 'error') {
-                        alert('❌ Error: ' + data.error);
-                    }
-                }
-            }
+        if (job.status === 'failed') {
+            alert('❌ Error: ' + job.error);
+            return;
         }
+
+        // Show complete
+        const { results } = job;
+        progressFill.style.width = '100%';
+        progressText.textContent = job.status === 'cancelled' ? 'Cancelled' : '100% - Complete!';
+
+        LAST_COMPRESSION.images = results;
+        loadBackups();
+        loadCompressEstimate();
+        if (results.files.some(f => f.convertedTo)) load();
+        setTimeout(() => {
+            // Show result modal instead of alert
+            const percent = results.originalSize > 0
+                ? ((results.savedSize / results.originalSize) * 100).toFixed(1)
+                : 0;
+
+            showBatchResultModal({
+                total: results.total,
+                compressed: results.compressed,
+                skipped: results.skipped,
+                failed: results.failed,
+                originalSize: results.originalSize,
+                newSize: results.newSize,
+                savedSize: results.savedSize,
+                percent: percent
+            });
+            warnBrokenReferences(results.brokenReferences);
+        }, 500);
     } catch (error) {
         alert('❌ Error compressing images: ' + error.message);
     } finally {
@@ -1106,6 +2702,118 @@ async function compressImages() {
     }
 }
 
+/**
+ * Handle image compression
+ */
+async function compressImages() {
+    const optimizePath = document.getElementById('optimizePath').value.trim();
+
+    try {
+        const job = await startJob('compress-images', {
+            ...getImageSettings(),
+            targetPath: optimizePath || null
+        });
+        await followImageJob(job.id);
+    } catch (error) {
+        alert('❌ Error compressing images: ' + error.message);
+    }
+}
+
+/**
+ * Follow an audio job in the Audio card, then show its results
+ * @param {string} jobId - Job id
+ * @param {string} targetPath - Folder the job runs on, for the stats refresh
+ */
+async function followAudioJob(jobId, targetPath) {
+    const btnCompressAudio = document.getElementById('btnCompressAudio');
+    const progressWrapper = document.getElementById('audioCompressProgress');
+    const progressText = document.getElementById('audioProgressText');
+    const btnCancel = document.getElementById('btnCancelAudio');
+
+    progressWrapper.classList.remove('hidden');
+    btnCompressAudio.disabled = true;
+    btnCancel.disabled = false;
+    btnCancel.onclick = () => {
+        btnCancel.disabled = true;
+        cancelJob(jobId);
+    };
+
+    try {
+        const job = await watchJob(jobId, current => {
+            progressText.textContent = current.status === 'cancelling'
+                ? 'Cancelling after the current files...'
+                : `Processing ${current.processed}/${current.total}...`;
+        });
+
+        progressWrapper.classList.add('hidden');
+        btnCompressAudio.disabled = false;
+
+        if (job.status === 'failed') {
+            alert(`❌ Error: ${job.error}`);
+            return;
+        }
+
+        const results = job.results;
+        LAST_COMPRESSION.audio = results;
+        loadBackups();
+
+        // Show results in modal
+        const percentSaved = results.originalSize > 0
+            ? ((results.savedSize / results.originalSize) * 100).toFixed(1)
+            : 0;
+
+        showBatchAudioResultModal({
+            total: results.total,
+            compressed: results.compressed,
+            converted: results.converted,
+            skipped: results.skipped,
+            failed: results.failed,
+            originalSize: results.originalSize,
+            newSize: results.newSize,
+            savedSize: results.savedSize,
+            percent: percentSaved
+        });
+        warnBrokenReferences(results.brokenReferences);
+
+        // Refresh stats in background
+        await refreshAudioStats(targetPath);
+    } catch (error) {
+        progressWrapper.classList.add('hidden');
+        btnCompressAudio.disabled = false;
+        alert(`❌ Error: ${error.message}`);
+    }
+}
+
+/**
+ * Offer to resume jobs a crash or restart interrupted
+ */
+async function checkInterruptedJobs() {
+    try {
+        const res = await fetch('/api/jobs');
+        const data = await res.json();
+        if (!data.success) return;
+
+        for (const job of data.jobs.filter(j => j.status === 'interrupted')) {
+            const what = job.kind === 'compress-audio' ? 'Audio' : 'Image';
+            if (!confirm(`${what} optimization was interrupted after ${job.processed} files${job.targetPath ? ` in ${job.targetPath}` : ''}.\n\nResume from the next unprocessed file?`)) {
+                continue;
+            }
+
+            const response = await fetch(`/api/jobs/${job.id}/resume`, { method: 'POST' });
+            const result = await response.json();
+            if (!result.success) {
+                alert(`❌ Resume failed: ${result.error}`);
+            } else if (job.kind === 'compress-audio') {
+                followAudioJob(job.id, job.targetPath);
+            } else {
+                followImageJob(job.id);
+            }
+        }
+    } catch (error) {
+        console.error('Failed to check jobs:', error);
+    }
+}
+
 // Close dropdowns when clicking outside
 document.addEventListener('click', (e) => {
     if (!e.target.closest('.file-item')) {
@@ -1150,6 +2858,44 @@ window.changeRootPath = async function() {
     }
 };
 
+/**
+ * Analyze a Cocos build output instead of the source folder
+ * Files are attributed back to source assets via the build's bundle configs
+ */
+window.analyzeBuildOutput = async function() {
+    const buildPath = prompt('Build output folder (web-mobile) or packaged playable .html:');
+    if (!buildPath) return;
+
+    document.getElementById('pathInfo').textContent = 'Analyzing build...';
+
+    try {
+        const response = await fetch('/api/build/analyze', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ buildPath: buildPath.trim() })
+        });
+        const result = await response.json();
+
+        if (!result.success) {
+            alert(`❌ Error: ${result.error}`);
+            render();
+            return;
+        }
+
+        DATA = result;
+        sizeView = 'raw';
+        document.querySelectorAll('#sizeView .filter-btn[data-view]').forEach(btn => {
+            btn.classList.toggle('active', btn.getAttribute('data-view') === 'raw');
+        });
+        render();
+
+        alert(`🏗️ Build analyzed\n\n${result.files.length} shipped assets, ${fmt(result.files.reduce((s, f) => s + f.size, 0))}\nMapped: ${result.mappedCount}\nUnmapped UUIDs: ${result.unmappedCount}`);
+    } catch (error) {
+        alert(`❌ Error: ${error.message}`);
+        render();
+    }
+};
+
 /**
  * Browse for optimize path - Using native Windows dialog
  */
@@ -1175,6 +2921,8 @@ window.browseOptimizePath = async function() {
             }
 
             document.getElementById('optimizePath').value = relativePath;
+            loadCompressEstimate();
+            refreshAudioStats(relativePath);
         }
     } catch (error) {
         alert(`❌ Error: ${error.message}`);
@@ -1299,6 +3047,8 @@ window.selectCurrentFolder = function() {
         }
 
         document.getElementById('optimizePath').value = relativePath;
+        loadCompressEstimate();
+        refreshAudioStats(relativePath);
         window.closeFolderBrowser();
     } else if (folderBrowserState.mode === 'root') {
         // Change root directory
@@ -1322,22 +3072,118 @@ window.selectCurrentFolder = function() {
     }
 };
 
-// Auto-reload feature - check for file changes
-let lastKnownModified = Date.now();
-function startAutoReload() {
-    setInterval(async () => {
-        try {
-            const res = await fetch('/api/reload-check');
-            const data = await res.json();
+// Live updates - the server watches the root folder and pushes changed files
+let liveEvents = null;
 
-            if (data.lastModified > lastKnownModified) {
-                console.log('Files changed, reloading...');
-                location.reload();
-            }
-        } catch (err) {
-            // Server might be restarting, ignore
+/**
+ * Add or remove one file's contribution to the type stats, folder tree and delivered totals
+ * @param {object} file - Scanned file
+ * @param {number} sign - 1 to add, -1 to remove
+ */
+function accountFile(file, sign) {
+    const { typeStats, folderTree, deliveredStats } = DATA;
+
+    if (!typeStats[file.type]) typeStats[file.type] = { count: 0, size: 0 };
+    typeStats[file.type].count += sign;
+    typeStats[file.type].size += sign * file.size;
+    if (typeStats[file.type].count <= 0) delete typeStats[file.type];
+
+    let node = folderTree;
+    node.size += sign * file.size;
+    node.fileCount += sign;
+    for (const segment of file.path.split('/').slice(0, -1)) {
+        if (!node.children[segment]) {
+            node.children[segment] = { name: segment, children: {}, size: 0, fileCount: 0 };
+        }
+        node = node.children[segment];
+        node.size += sign * file.size;
+        node.fileCount += sign;
+    }
+
+    if (deliveredStats && file.delivered) {
+        deliveredStats.raw += sign * file.size;
+        ['inlined', 'gzip', 'brotli', 'zip'].forEach(k => { deliveredStats[k] += sign * file.delivered[k]; });
+    }
+}
+
+/**
+ * Apply pushed file changes to DATA and refresh only what they touch
+ * @param {object[]} changes - { path, file } entries; file null = file or folder removed
+ */
+function applyFileChanges(changes) {
+    let listChanged = false;
+    const updatedRows = [];
+
+    for (const { path, file } of changes) {
+        const removed = DATA.files.filter(f => f.path === path || f.path.startsWith(path + '/'));
+        removed.forEach(f => accountFile(f, -1));
+        DATA.files = DATA.files.filter(f => !removed.includes(f));
+
+        if (!file) {
+            // A removed folder leaves its tree node behind
+            const segments = path.split('/');
+            let parent = DATA.folderTree;
+            segments.slice(0, -1).forEach(s => { parent = parent && parent.children[s]; });
+            if (parent) delete parent.children[segments[segments.length - 1]];
+            if (removed.some(f => f.type !== 'meta')) listChanged = true;
+            continue;
+        }
+
+        // Delivered sizes only arrive while a delivered view is subscribed
+        if (DATA.deliveredStats && !file.delivered && file.type !== 'meta') DATA.deliveredStats = null;
+
+        accountFile(file, 1);
+        DATA.files.push(file);
+        if (file.type === 'meta') continue;
+        if (removed.length) updatedRows.push(file);
+        else listChanged = true;
+    }
+
+    if (sizeView !== 'raw' && !DATA.deliveredStats) {
+        setSizeView(sizeView);
+        return;
+    }
+
+    renderSummary();
+    if (listChanged) {
+        renderFiles();
+    } else {
+        // Size-only changes: swap the affected rows in place
+        updatedRows.forEach(file => {
+            const idx = FILE_ROWS.findIndex(f => f.path === file.path);
+            if (idx !== -1) FILE_ROWS[idx] = file;
+            const row = document.querySelector(`#fileList .file-item[data-file-path="${CSS.escape(file.path)}"]`);
+            if (!row) return;
+            row.outerHTML = fileRowHtml(file, row.getAttribute('data-file-idx'));
+            bindFileRow(document.querySelector(`#fileList .file-item[data-file-path="${CSS.escape(file.path)}"]`));
+        });
+        renderTreemap();
+    }
+    renderChart();
+    renderTree();
+    renderRecs();
+}
+
+/**
+ * Subscribe to live file changes, replacing any previous subscription
+ * Delivered sizes are requested only while a delivered size view is shown
+ */
+function startLiveUpdates() {
+    if (liveEvents) liveEvents.close();
+
+    liveEvents = new EventSource(sizeView === 'raw' ? '/api/events' : '/api/events?delivered=1');
+    liveEvents.onmessage = (event) => {
+        const data = JSON.parse(event.data);
+        // Build analyses are snapshots, not the watched folder
+        if (!DATA || DATA.mode === 'build') return;
+
+        if (data.type === 'changes') {
+            applyFileChanges(data.changes);
+        } else if (data.type === 'rescan') {
+            load();
         }
-    }, 1000); // Check every second
+    };
+    // EventSource reconnects on its own when the server restarts
 }
 
 // Initialize on DOM ready
@@ -1346,10 +3192,16 @@ document.addEventListener('DOMContentLoaded', () => {
     initEventListeners();
     load();
     loadCompressEstimate();
-    startAutoReload(); // Start auto-reload
+    checkInterruptedJobs();
+    startLiveUpdates();
 
     // Bind compress button
     document.getElementById('btnCompressImages').onclick = compressImages;
+
+    // Re-predict when image settings change
+    ['imageQuality', 'imageFormat', 'pngMode', 'pngColors', 'pngDither', 'pngEffort'].forEach(id => {
+        document.getElementById(id).addEventListener('change', loadCompressEstimate);
+    });
 });
 // Audio Compression Client-Side Functions
 // Append these to client.js
@@ -1359,11 +3211,14 @@ document.addEventListener('DOMContentLoaded', () => {
  * Refresh audio statistics for optimize folder
  */
 async function refreshAudioStats(relativePath) {
+    const audioSavingEl = document.getElementById('audioSaving');
+    if (audioSavingEl) audioSavingEl.textContent = '...';
+
     try {
         const response = await fetch('/api/audio/estimate', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ targetPath: relativePath })
+            body: JSON.stringify({ targetPath: relativePath, ...getAudioSettings() })
         });
 
         const data = await response.json();
@@ -1375,11 +3230,10 @@ async function refreshAudioStats(relativePath) {
                 totalAudioEl.textContent = data.totalAudio;
             }
 
-            // Update potential savings
-            const audioSavingEl = document.getElementById('audioSaving');
-            if (audioSavingEl && data.estimatedSaving) {
-                const savingKB = (data.estimatedSaving / 1024).toFixed(2);
-                audioSavingEl.textContent = `~${savingKB} KB`;
+            // Update predicted savings for the current settings
+            if (audioSavingEl) {
+                audioSavingEl.textContent = fmt(Math.max(data.estimatedSaving, 0));
+                audioSavingEl.title = `${fmt(data.totalSize)} → ${fmt(data.predictedSize)} (${data.cachedCount}/${data.totalAudio} from cache)`;
             }
         }
     } catch (error) {
@@ -1396,88 +3250,28 @@ function initAudioCompression() {
     if (btnCompressAudio) {
         btnCompressAudio.addEventListener('click', async () => {
             const targetPath = document.getElementById('optimizePath').value.trim();
-            const bitrate = document.getElementById('audioBitrate').value;
-            const channels = document.getElementById('audioChannels').value;
-            const format = document.getElementById('audioFormat').value;
 
             // Confirm before starting
             if (!confirm('This will compress all audio files. Continue?')) {
                 return;
             }
 
-            // Show progress
-            const progressWrapper = document.getElementById('audioCompressProgress');
-            const progressFill = document.getElementById('audioProgressFill');
-            const progressText = document.getElementById('audioProgressText');
-            progressWrapper.classList.remove('hidden');
-            btnCompressAudio.disabled = true;
-
             try {
-                const response = await fetch('/api/audio/compress', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        targetPath,
-                        bitrate,
-                        channels: channels ? parseInt(channels) : null,
-                        format: format || null
-                    })
-                });
-
-                const reader = response.body.getReader();
-                const decoder = new TextDecoder();
-
-                while (true) {
-                    const { done, value } = await reader.read();
-                    if (done) break;
-
-                    const chunk = decoder.decode(value);
-                    const lines = chunk.split('\n').filter(l => l.trim().startsWith('data:'));
-
-                    for (const line of lines) {
-                        const data = JSON.parse(line.replace('data:', '').trim());
-
-                        if (data.type === 'progress') {
-                            progressText.textContent = `Processing ${data.current}...`;
-                        } else if (data.type === 'complete') {
-                            const results = data.results;
-                            progressWrapper.classList.add('hidden');
-                            btnCompressAudio.disabled = false;
-
-                            // Show results in modal
-                            const percentSaved = results.originalSize > 0
-                                ? ((results.savedSize / results.originalSize) * 100).toFixed(1)
-                                : 0;
-
-                            showBatchAudioResultModal({
-                                total: results.total,
-                                compressed: results.compressed,
-                                converted: results.converted,
-                                skipped: results.skipped,
-                                failed: results.failed,
-                                originalSize: results.originalSize,
-                                newSize: results.newSize,
-                                savedSize: results.savedSize,
-                                percent: percentSaved
-                            });
-
-                            // Refresh stats in background
-                            await refreshAudioStats(targetPath);
-                        } else if (data.type === 'error') {
-                            progressWrapper.classList.add('hidden');
-                            btnCompressAudio.disabled = false;
-                            alert(`❌ Error: ${data.error}`);
-                        }
-                    }
-                }
+                const job = await startJob('compress-audio', { targetPath, ...getAudioSettings() });
+                await followAudioJob(job.id, targetPath);
             } catch (error) {
-                progressWrapper.classList.add('hidden');
-                btnCompressAudio.disabled = false;
                 alert(`❌ Error: ${error.message}`);
             }
         });
     }
 
+    // Re-predict when settings change
+    ['audioBitrate', 'audioChannels', 'audioFormat'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            refreshAudioStats(document.getElementById('optimizePath').value.trim());
+        });
+    });
+
     // Load initial audio stats
     refreshAudioStats('');
 }
@@ -1522,26 +3316,12 @@ function initOptimizeAll() {
                 // Run image compression
                 if (enableImages) {
                     progressText.textContent = 'Compressing images...';
-                    const imgResponse = await fetch('/api/compress/run', {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ targetPath })
+                    const imgJob = await startJob('compress-images', { ...getImageSettings(), targetPath });
+                    const finished = await watchJob(imgJob.id, job => {
+                        progressText.textContent = `Compressing images... ${job.processed}/${job.total}`;
                     });
-
-                    const imgReader = imgResponse.body.getReader();
-                    const decoder = new TextDecoder();
-                    while (true) {
-                        const { done, value } = await imgReader.read();
-                        if (done) break;
-                        const chunk = decoder.decode(value);
-                        const lines = chunk.split('\n').filter(l => l.trim().startsWith('data:'));
-                        for (const line of lines) {
-                            const data = JSON.parse(line.replace('data:', '').trim());
-                            if (data.type === 'complete') {
-                                totalResults.images = data.results;
-                            }
-                        }
-                    }
+                    if (finished.status === 'failed') throw new Error(finished.error);
+                    totalResults.images = finished.results;
                 }
 
                 // Run audio compression
@@ -1551,31 +3331,30 @@ function initOptimizeAll() {
                     const channels = document.getElementById('audioChannels').value;
                     const format = document.getElementById('audioFormat').value;
 
-                    const audioResponse = await fetch('/api/audio/compress', {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ targetPath, bitrate, channels: channels ? parseInt(channels) : null, format: format || null })
+                    const audioJob = await startJob('compress-audio', {
+                        targetPath,
+                        bitrate,
+                        channels: channels ? parseInt(channels) : null,
+                        format: format || null
                     });
-
-                    const audioReader = audioResponse.body.getReader();
-                    const decoder = new TextDecoder();
-                    while (true) {
-                        const { done, value } = await audioReader.read();
-                        if (done) break;
-                        const chunk = decoder.decode(value);
-                        const lines = chunk.split('\n').filter(l => l.trim().startsWith('data:'));
-                        for (const line of lines) {
-                            const data = JSON.parse(line.replace('data:', '').trim());
-                            if (data.type === 'complete') {
-                                totalResults.audio = data.results;
-                            }
-                        }
-                    }
+                    const finished = await watchJob(audioJob.id, job => {
+                        progressText.textContent = `Compressing audio... ${job.processed}/${job.total}`;
+                    });
+                    if (finished.status === 'failed') throw new Error(finished.error);
+                    totalResults.audio = finished.results;
                 }
 
+                if (totalResults.images) LAST_COMPRESSION.images = totalResults.images;
+                if (totalResults.audio) LAST_COMPRESSION.audio = totalResults.audio;
+
                 // Show combined results
                 progressWrapper.classList.add('hidden');
                 btnOptimizeAll.disabled = false;
+                loadBackups();
+                warnBrokenReferences([
+                    ...((totalResults.images && totalResults.images.brokenReferences) || []),
+                    ...((totalResults.audio && totalResults.audio.brokenReferences) || [])
+                ]);
 
                 // Calculate combined stats
                 let totalOriginalSize = 0;
@@ -0,0 +1,441 @@
+/**
+ * Asset Graph Module
+ * Parse Cocos .meta UUIDs and __uuid__ references to find how assets depend on each other
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { scanDirectory } = require('./scanner');
+const { getDataPath, timestampId } = require('./dataStore');
+
+// Serialized Cocos assets that can reference other assets by UUID
+const REFERENCE_EXTENSIONS = ['.prefab', '.scene', '.fire', '.anim', '.material', '.mtl'];
+
+// Folders whose content is loaded at runtime by path, so it is always reachable
+// (Asset Bundle folders are too; they are found by their .meta, see isBundleMeta())
+const ROOT_FOLDERS = ['resources'];
+
+// Types that are never reported as unused (entry points or referenced from code)
+const NEVER_UNUSED_TYPES = ['script', 'scene', 'meta'];
+
+/**
+ * Strip the sub-asset suffix from a UUID (e.g. "uuid@f9941" -> "uuid")
+ * @param {string} uuid
+ * @returns {string}
+ */
+function baseUuid(uuid) {
+    return uuid.split('@')[0];
+}
+
+/**
+ * Read and parse a .meta file
+ * @param {string} metaPath - Absolute path to the .meta file
+ * @returns {object|null} - Parsed meta or null when missing/invalid
+ */
+function readMeta(metaPath) {
+    try {
+        return JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Check whether a folder .meta marks the folder as an Asset Bundle
+ * Creator 3.x keeps the flag in userData, 2.4 at the top level
+ * @param {object|null} meta - Parsed folder .meta
+ * @returns {boolean}
+ */
+function isBundleMeta(meta) {
+    return Boolean(meta && (meta.isBundle || (meta.userData && meta.userData.isBundle)));
+}
+
+/**
+ * Collect the asset UUID and every sub-asset UUID declared in a meta
+ * @param {object} meta - Parsed .meta content
+ * @returns {string[]}
+ */
+function collectMetaUuids(meta) {
+    const uuids = [];
+
+    function walk(node) {
+        if (!node || typeof node !== 'object') return;
+        if (typeof node.uuid === 'string') uuids.push(baseUuid(node.uuid));
+        for (const sub of Object.values(node.subMetas || {})) {
+            walk(sub);
+        }
+    }
+
+    walk(meta);
+    return [...new Set(uuids)];
+}
+
+/**
+ * Collect UUIDs referenced by a .meta file (e.g. rawTextureUuid, textureUuid)
+ * @param {object} meta - Parsed .meta content
+ * @returns {string[]}
+ */
+function collectMetaReferences(meta) {
+    const refs = new Set();
+
+    function walk(node) {
+        if (!node || typeof node !== 'object') return;
+        for (const [key, value] of Object.entries(node)) {
+            if (typeof value === 'string' && key !== 'uuid' && /Uuid$/.test(key) && value) {
+                refs.add(baseUuid(value));
+            } else if (typeof value === 'object') {
+                walk(value);
+            }
+        }
+    }
+
+    walk(meta);
+    return [...refs];
+}
+
+/**
+ * Collect every __uuid__ reference inside serialized asset JSON
+ * @param {*} node - Parsed JSON value
+ * @param {Set<string>} refs - Accumulator
+ * @returns {Set<string>}
+ */
+function collectUuidReferences(node, refs = new Set()) {
+    if (Array.isArray(node)) {
+        for (const item of node) collectUuidReferences(item, refs);
+    } else if (node && typeof node === 'object') {
+        if (typeof node.__uuid__ === 'string') refs.add(baseUuid(node.__uuid__));
+        for (const value of Object.values(node)) {
+            if (value && typeof value === 'object') collectUuidReferences(value, refs);
+        }
+    }
+    return refs;
+}
+
+/**
+ * Build the asset dependency graph for a directory
+ * @param {string} rootDir - Root directory to analyze
+ * @param {object} scan - Optional existing scanDirectory() result
+ * @returns {Promise<{assets: object, uuidToPath: object, bundleFolders: string[]}>} - Assets keyed by relative path
+ */
+async function buildAssetGraph(rootDir, scan = null) {
+    if (!scan) scan = await scanDirectory(rootDir);
+    const assets = {};
+    const uuidToPath = {};
+    const metaRefs = {};
+
+    // A .meta without a file next to it belongs to a folder
+    const filePaths = new Set(scan.files.map(file => file.path));
+    const bundleFolders = scan.files
+        .filter(file => file.type === 'meta' && !filePaths.has(file.path.slice(0, -'.meta'.length)))
+        .map(file => file.path.slice(0, -'.meta'.length))
+        .filter(folder => isBundleMeta(readMeta(path.join(rootDir, folder + '.meta'))));
+
+    // Pass 1: map every UUID declared in a .meta to its asset
+    for (const file of scan.files) {
+        if (file.type === 'meta') continue;
+
+        const meta = readMeta(path.join(rootDir, file.path + '.meta'));
+        const uuids = meta ? collectMetaUuids(meta) : [];
+
+        assets[file.path] = {
+            path: file.path,
+            name: file.name,
+            type: file.type,
+            size: file.size,
+            uuid: meta && typeof meta.uuid === 'string' ? meta.uuid : null,
+            dependencies: [],
+            missing: []
+        };
+
+        for (const uuid of uuids) {
+            uuidToPath[uuid] = file.path;
+        }
+        if (meta) metaRefs[file.path] = collectMetaReferences(meta);
+    }
+
+    // Pass 2: resolve references from serialized assets and metas
+    for (const asset of Object.values(assets)) {
+        const refs = new Set(metaRefs[asset.path] || []);
+        const ext = path.extname(asset.path).toLowerCase();
+
+        if (REFERENCE_EXTENSIONS.includes(ext)) {
+            try {
+                const json = JSON.parse(fs.readFileSync(path.join(rootDir, asset.path), 'utf8'));
+                collectUuidReferences(json, refs);
+            } catch {
+                // Not JSON (e.g. legacy binary asset) - no references to follow
+            }
+        }
+
+        const deps = new Set();
+        for (const uuid of refs) {
+            const target = uuidToPath[uuid];
+            if (!target) {
+                asset.missing.push(uuid);
+            } else if (target !== asset.path) {
+                deps.add(target);
+            }
+        }
+        asset.dependencies = [...deps];
+    }
+
+    return { assets, uuidToPath, bundleFolders };
+}
+
+/**
+ * List UUID references from scenes, prefabs and other serialized assets that resolve to no asset
+ * With a baseline, only references missing now but not in the baseline are returned, so
+ * engine built-ins (never present under assets/) do not show up as breakage
+ * @param {string} rootDir - Root directory to analyze
+ * @param {object[]} baseline - Optional earlier findMissingReferences() result
+ * @returns {Promise<object[]>} - { path, uuid } per dangling reference
+ */
+async function findMissingReferences(rootDir, baseline = null) {
+    const { assets } = await buildAssetGraph(rootDir);
+    const known = new Set((baseline || []).map(r => `${r.path}|${r.uuid}`));
+    const missing = [];
+
+    for (const asset of Object.values(assets)) {
+        if (!REFERENCE_EXTENSIONS.includes(path.extname(asset.path).toLowerCase())) continue;
+        for (const uuid of asset.missing) {
+            if (!known.has(`${asset.path}|${uuid}`)) missing.push({ path: asset.path, uuid });
+        }
+    }
+
+    return missing;
+}
+
+/**
+ * Check whether an asset is a graph root (scene or runtime-loaded folder)
+ * @param {object} asset - Graph asset entry
+ * @param {string[]} bundleFolders - Asset Bundle folders of the graph
+ * @returns {boolean}
+ */
+function isRootAsset(asset, bundleFolders = []) {
+    if (asset.type === 'scene') return true;
+    if (bundleFolders.some(folder => asset.path.startsWith(folder + '/'))) return true;
+    return asset.path.split('/').slice(0, -1).some(segment => ROOT_FOLDERS.includes(segment));
+}
+
+/**
+ * Find assets that no scene, prefab or runtime-loaded folder reaches
+ * @param {string} rootDir - Root directory to analyze
+ * @param {object} graph - Optional existing buildAssetGraph() result
+ * @returns {Promise<object>} - Unused assets with total size
+ */
+async function findUnusedAssets(rootDir, graph = null) {
+    const { assets, bundleFolders = [] } = graph || await buildAssetGraph(rootDir);
+    const isRoot = asset => isRootAsset(asset, bundleFolders);
+    const reached = new Set();
+    const queue = Object.values(assets).filter(isRoot).map(a => a.path);
+
+    while (queue.length) {
+        const current = queue.pop();
+        if (reached.has(current)) continue;
+        reached.add(current);
+        queue.push(...assets[current].dependencies);
+    }
+
+    const unused = Object.values(assets)
+        .filter(a => a.uuid && !reached.has(a.path) && !NEVER_UNUSED_TYPES.includes(a.type))
+        .map(({ path: assetPath, name, type, size, uuid }) => ({ path: assetPath, name, type, size, uuid }))
+        .sort((a, b) => b.size - a.size);
+
+    return {
+        unused,
+        totalSize: unused.reduce((s, a) => s + a.size, 0),
+        rootCount: Object.values(assets).filter(isRoot).length,
+        scannedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Collect every asset reachable from a starting asset
+ * @param {object} assets - Graph assets keyed by path
+ * @param {string} startPath - Asset to start from
+ * @returns {string[]} - Transitive dependencies (excluding the start asset)
+ */
+function collectTransitiveDependencies(assets, startPath) {
+    const seen = new Set([startPath]);
+    const queue = [...assets[startPath].dependencies];
+
+    while (queue.length) {
+        const current = queue.pop();
+        if (seen.has(current)) continue;
+        seen.add(current);
+        queue.push(...assets[current].dependencies);
+    }
+
+    seen.delete(startPath);
+    return [...seen];
+}
+
+/**
+ * Build the dependency report: direct dependencies, dependents and transitive cost per asset
+ * @param {string} rootDir - Root directory to analyze
+ * @param {object} graph - Optional existing buildAssetGraph() result
+ * @returns {Promise<object>} - Report with assets keyed by relative path
+ */
+async function getDependencyReport(rootDir, graph = null) {
+    const { assets } = graph || await buildAssetGraph(rootDir);
+    const dependents = {};
+
+    for (const asset of Object.values(assets)) {
+        for (const dep of asset.dependencies) {
+            if (!dependents[dep]) dependents[dep] = [];
+            dependents[dep].push(asset.path);
+        }
+    }
+
+    const report = {};
+    for (const asset of Object.values(assets)) {
+        const transitive = collectTransitiveDependencies(assets, asset.path);
+        const transitiveSize = transitive.reduce((s, p) => s + assets[p].size, asset.size);
+
+        report[asset.path] = {
+            path: asset.path,
+            type: asset.type,
+            size: asset.size,
+            uuid: asset.uuid,
+            dependencies: asset.dependencies,
+            dependents: dependents[asset.path] || [],
+            transitive,
+            transitiveSize
+        };
+    }
+
+    return { assets: report, scannedAt: new Date().toISOString() };
+}
+
+/**
+ * Rewrite UUID references in serialized assets and metas
+ * @param {string} rootDir - Root directory
+ * @param {object} uuidMap - Old base UUID -> new base UUID
+ * @param {object} scan - Optional existing scanDirectory() result
+ * @param {object} backup - Optional createBackupBatch() batch, snapshots files before rewrite
+ * @returns {Promise<string[]>} - Relative paths of the files that were rewritten
+ */
+async function rewriteUuidReferences(rootDir, uuidMap, scan = null, backup = null) {
+    const oldUuids = Object.keys(uuidMap);
+    const changed = [];
+    if (!oldUuids.length) return changed;
+    if (!scan) scan = await scanDirectory(rootDir);
+
+    // Meta UUIDs are plain hex and dashes, safe to join into a pattern
+    const pattern = new RegExp(oldUuids.join('|'), 'g');
+
+    for (const file of scan.files) {
+        const ext = path.extname(file.path).toLowerCase();
+        const isMeta = ext === '.meta';
+        if (!isMeta && !REFERENCE_EXTENSIONS.includes(ext)) continue;
+
+        const fullPath = path.join(rootDir, file.path);
+        const content = await fs.promises.readFile(fullPath, 'utf8');
+        const rewritten = isMeta
+            // Only rewrite references inside metas, never the asset's own "uuid"
+            ? content.replace(/("\w*Uuid"\s*:\s*")([^"]+)"/g, (m, prefix, value) =>
+                `${prefix}${value.replace(pattern, u => uuidMap[u])}"`)
+            : content.replace(pattern, u => uuidMap[u]);
+
+        if (rewritten !== content) {
+            if (backup) await backup.save(fullPath);
+            await fs.promises.writeFile(fullPath, rewritten, 'utf8');
+            changed.push(file.path);
+        }
+    }
+
+    return changed;
+}
+
+/**
+ * Carry an asset's .meta over to a new file name so its UUID (and every reference to it) survives
+ * Used when a conversion changes the extension, e.g. bg.png -> bg.webp
+ * @param {string} sourcePath - Absolute path of the original asset
+ * @param {string} targetPath - Absolute path of the asset that replaces it
+ * @param {object} backup - Optional createBackupBatch() batch, snapshots the old .meta
+ * @returns {Promise<boolean>} - False when the source has no .meta
+ */
+async function moveMeta(sourcePath, targetPath, backup = null) {
+    const sourceMeta = sourcePath + '.meta';
+    const targetMeta = targetPath + '.meta';
+    const meta = readMeta(sourceMeta);
+    if (!meta) return false;
+
+    // Cocos 3.x lists the imported file extensions, keep them in line with the new source
+    const oldExt = path.extname(sourcePath).toLowerCase();
+    const newExt = path.extname(targetPath).toLowerCase();
+    if (Array.isArray(meta.files)) {
+        meta.files = meta.files.map(ext => (ext.toLowerCase() === oldExt ? newExt : ext));
+    }
+
+    if (backup) await backup.save(sourceMeta, { createdPath: targetMeta });
+    await fs.promises.writeFile(targetMeta, JSON.stringify(meta, null, 2), 'utf8');
+    await fs.promises.unlink(sourceMeta);
+    return true;
+}
+
+/**
+ * Move assets (with their .meta) into .optimize-data/quarantine instead of deleting them
+ * @param {string} rootDir - Root directory
+ * @param {string[]} relPaths - Asset paths relative to rootDir
+ * @returns {Promise<object>} - Moved and failed entries plus the quarantine folder
+ */
+async function quarantineAssets(rootDir, relPaths) {
+    const quarantineDir = getDataPath(rootDir, 'quarantine', timestampId());
+    const moved = [];
+    const failed = [];
+
+    for (const relPath of relPaths) {
+        const source = path.resolve(rootDir, relPath);
+
+        // Security check: ensure path is within rootDir
+        if (!source.startsWith(rootDir + path.sep)) {
+            failed.push({ path: relPath, error: 'Invalid path' });
+            continue;
+        }
+
+        try {
+            const target = path.join(quarantineDir, relPath);
+            const stats = await fs.promises.stat(source);
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            await fs.promises.rename(source, target);
+            if (fs.existsSync(source + '.meta')) {
+                await fs.promises.rename(source + '.meta', target + '.meta');
+            }
+            moved.push({ path: relPath, size: stats.size });
+        } catch (error) {
+            failed.push({ path: relPath, error: error.message });
+        }
+    }
+
+    if (moved.length) {
+        await fs.promises.writeFile(
+            path.join(quarantineDir, 'manifest.json'),
+            JSON.stringify({ createdAt: new Date().toISOString(), files: moved }, null, 2),
+            'utf8'
+        );
+    }
+
+    return {
+        success: failed.length === 0,
+        quarantineDir: moved.length ? quarantineDir : null,
+        moved,
+        failed,
+        savedSize: moved.reduce((s, f) => s + f.size, 0)
+    };
+}
+
+module.exports = {
+    REFERENCE_EXTENSIONS,
+    baseUuid,
+    readMeta,
+    collectMetaUuids,
+    collectUuidReferences,
+    buildAssetGraph,
+    findUnusedAssets,
+    getDependencyReport,
+    findMissingReferences,
+    rewriteUuidReferences,
+    moveMeta,
+    quarantineAssets
+};
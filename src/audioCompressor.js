@@ -6,7 +6,13 @@
 const ffmpeg = require('fluent-ffmpeg');
 const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
+const { hashFile, collectFiles } = require('./scanner');
+const { createPreviewCache } = require('./previewCache');
+const { moveMeta } = require('./assetGraph');
+const { runPool } = require('./pool');
+const { IGNORE_FILE, loadRules } = require('./rules');
 
 ffmpeg.setFfmpegPath(ffmpegPath);
 
@@ -42,97 +48,169 @@ function getAudioMetadata(filePath) {
     });
 }
 
+/**
+ * Determine the output format of an audio file
+ * @param {string} ext - Source extension (e.g. ".wav")
+ * @param {string|null} format - Requested format, null to auto-pick
+ * @returns {string}
+ */
+function resolveOutputFormat(ext, format) {
+    if (format) return format;
+    // Auto-convert WAV to MP3, keep original format otherwise
+    return ext === '.wav' ? 'mp3' : ext.replace('.', '');
+}
+
+/**
+ * Encode an audio file to a new file with ffmpeg
+ * @param {string} filePath - Absolute path to source audio
+ * @param {string} outputPath - Absolute path of the encoded file
+ * @param {string} outputFormat - Output format ('mp3', 'ogg', ...)
+ * @param {object} options - Compression options
+ * @returns {Promise<void>}
+ */
+function encodeAudio(filePath, outputPath, outputFormat, options = {}) {
+    const {
+        bitrate = '96k',        // Default bitrate for playable ads
+        sampleRate = null,      // Keep original if not specified
+        channels = null,        // mono=1, stereo=2, keep original if null
+        quality = 4             // VBR quality for MP3 (0-9, lower is better)
+    } = options;
+
+    return new Promise((resolve, reject) => {
+        let command = ffmpeg(filePath);
+
+        // Set output format
+        command = command.format(outputFormat);
+
+        // Audio codec settings
+        if (outputFormat === 'mp3') {
+            command = command
+                .audioCodec('libmp3lame')
+                .audioBitrate(bitrate)
+                .audioQuality(quality);
+        } else if (outputFormat === 'ogg') {
+            command = command
+                .audioCodec('libvorbis')
+                .audioBitrate(bitrate);
+        } else {
+            command = command.audioBitrate(bitrate);
+        }
+
+        // Sample rate
+        if (sampleRate) {
+            command = command.audioFrequency(sampleRate);
+        }
+
+        // Channels (mono/stereo)
+        if (channels) {
+            command = command.audioChannels(channels);
+        }
+
+        // Execute
+        command
+            .on('end', resolve)
+            .on('error', reject)
+            .save(outputPath);
+    });
+}
+
+/**
+ * Check whether an audio file may not be compressed at all under the rules
+ * @param {string} filePath - Absolute path to audio
+ * @param {object} rules - loadRules() rule set
+ * @param {object|null} rule - Resolved rule of the file
+ * @returns {string|null} - Skip reason, null when the file may be compressed
+ */
+function ruleSkipReason(filePath, rules, rule) {
+    if (rules.isIgnored(filePath)) return `Ignored by ${IGNORE_FILE}`;
+    if (rule && rule.skip) return `Not optimized (rule ${rule.patterns.join(', ')})`;
+    return null;
+}
+
 /**
  * Compress a single audio file
  * @param {string} filePath - Absolute path to audio
  * @param {object} options - Compression options
+ * @param {object} options.rules - Optional loadRules() rule set; the file's rule overrides the options
  * @returns {Promise<{success: boolean, originalSize: number, newSize: number, saved: number}>}
  */
 async function compressAudio(filePath, options = {}) {
+    const { rules = null } = options;
+    const rule = rules ? rules.resolve(filePath) : null;
+    const ruleInfo = rule ? { rule: { patterns: rule.patterns, summary: rule.summary } } : {};
+
+    if (rules) {
+        const reason = ruleSkipReason(filePath, rules, rule);
+        if (reason) {
+            const originalSize = await fs.stat(filePath).then(stats => stats.size, () => 0);
+            return { success: true, originalSize, newSize: originalSize, saved: 0, skipped: true, reason, ...ruleInfo };
+        }
+    }
+
+    const result = await encodeAndReplace(filePath, rules ? rules.applyAudio(options, rule) : options);
+    return { ...result, ...ruleInfo };
+}
+
+/**
+ * Encode an audio file and replace (or convert) the original
+ * @param {string} filePath - Absolute path to audio
+ * @param {object} options - Compression options with any rule applied
+ * @returns {Promise<object>} - compressAudio() result
+ */
+async function encodeAndReplace(filePath, options) {
     try {
         const {
-            bitrate = '96k',        // Default bitrate for playable ads
-            sampleRate = null,      // Keep original if not specified
-            channels = null,        // mono=1, stereo=2, keep original if null
             format = null,          // Output format: 'mp3', 'ogg', null=keep original
-            quality = 4             // VBR quality for MP3 (0-9, lower is better)
+            backup = null           // createBackupBatch() batch, snapshots the original first
         } = options;
 
         // Get original file size
         const stats = await fs.stat(filePath);
         const originalSize = stats.size;
         const ext = path.extname(filePath).toLowerCase();
-
-        // Determine output format
-        let outputFormat = format;
-        if (!outputFormat) {
-            // Auto-convert WAV to MP3
-            if (ext === '.wav') {
-                outputFormat = 'mp3';
-            } else {
-                // Keep original format
-                outputFormat = ext.replace('.', '');
-            }
-        }
+        const outputFormat = resolveOutputFormat(ext, format);
 
         // Create temp output path
         const dir = path.dirname(filePath);
         const basename = path.basename(filePath, ext);
         const tempOutput = path.join(dir, `${basename}_temp.${outputFormat}`);
+        const converted = outputFormat !== ext.replace('.', '');
+        const finalPath = converted ? path.join(dir, `${basename}.${outputFormat}`) : filePath;
 
-        // Compress audio
-        await new Promise((resolve, reject) => {
-            let command = ffmpeg(filePath);
-
-            // Set output format
-            command = command.format(outputFormat);
-
-            // Audio codec settings
-            if (outputFormat === 'mp3') {
-                command = command
-                    .audioCodec('libmp3lame')
-                    .audioBitrate(bitrate)
-                    .audioQuality(quality);
-            } else if (outputFormat === 'ogg') {
-                command = command
-                    .audioCodec('libvorbis')
-                    .audioBitrate(bitrate);
-            } else {
-                command = command.audioBitrate(bitrate);
-            }
-
-            // Sample rate
-            if (sampleRate) {
-                command = command.audioFrequency(sampleRate);
-            }
-
-            // Channels (mono/stereo)
-            if (channels) {
-                command = command.audioChannels(channels);
-            }
+        // Never overwrite a different asset that already has the target name
+        if (converted && await fs.access(finalPath).then(() => true, () => false)) {
+            return {
+                success: true,
+                originalSize,
+                newSize: originalSize,
+                saved: 0,
+                skipped: true,
+                reason: `${path.basename(finalPath)} already exists`,
+                originalFormat: ext.replace('.', ''),
+                newFormat: outputFormat,
+                converted: false
+            };
+        }
 
-            // Execute
-            command
-                .on('end', resolve)
-                .on('error', reject)
-                .save(tempOutput);
-        });
+        // Compress audio
+        await encodeAudio(filePath, tempOutput, outputFormat, options);
 
         // Get new file size
         const tempStats = await fs.stat(tempOutput);
         const newSize = tempStats.size;
 
         // Check if compression is beneficial
-        if (newSize < originalSize || outputFormat !== ext.replace('.', '')) {
+        if (newSize < originalSize || converted) {
             // Replace original with compressed version
-            const finalPath = outputFormat !== ext.replace('.', '')
-                ? path.join(dir, `${basename}.${outputFormat}`)
-                : filePath;
+            if (backup) await backup.save(filePath, { createdPath: finalPath });
 
-            // If format changed, delete original and rename temp
-            if (outputFormat !== ext.replace('.', '')) {
+            // If format changed, delete original and rename temp; the .meta follows so
+            // Cocos keeps the UUID every AudioSource points at
+            let metaMoved = false;
+            if (converted) {
                 await fs.unlink(filePath);
                 await fs.rename(tempOutput, finalPath);
+                metaMoved = await moveMeta(filePath, finalPath, backup);
             } else {
                 // Same format, replace original
                 await fs.unlink(filePath);
@@ -147,8 +225,9 @@ async function compressAudio(filePath, options = {}) {
                 skipped: false,
                 originalFormat: ext.replace('.', ''),
                 newFormat: outputFormat,
-                converted: outputFormat !== ext.replace('.', ''),
-                newPath: outputFormat !== ext.replace('.', '') ? finalPath : filePath
+                converted,
+                newPath: finalPath,
+                metaMoved
             };
         } else {
             // Compressed version is larger, keep original
@@ -178,13 +257,21 @@ async function compressAudio(filePath, options = {}) {
 
 /**
  * Compress all audio files in a directory
+ * Several ffmpeg processes run at once; progress and results still come in walk order
  * @param {string} rootDir - Root directory to scan
  * @param {object} options - Compression options
+ * @param {number} options.concurrency - ffmpeg processes at once (default: CPU count)
+ * @param {AbortSignal} options.signal - Stops starting new files once aborted
+ * @param {object[]} options.resume - { path, result } of files an earlier run already finished
+ * @param {string[]} options.paths - Only these files (relative to rootDir), e.g. a selection from the file list
+ * @param {function} options.onFile - Called with (relPath, result) as each file finishes, in completion order
+ * @param {object} options.rules - loadRules() rule set of the analyzed root (default: rules of rootDir)
  * @param {function} progressCallback - Progress callback
  * @returns {Promise<object>} - Compression results
  */
 async function compressAudioDirectory(rootDir, options = {}, progressCallback = null) {
     const audioExtensions = ['.mp3', '.ogg', '.wav', '.m4a'];
+    const { concurrency, signal = null, resume = [], paths = null, onFile = null, rules = loadRules(rootDir) } = options;
     const results = {
         total: 0,
         compressed: 0,
@@ -197,72 +284,122 @@ async function compressAudioDirectory(rootDir, options = {}, progressCallback =
         files: []
     };
 
-    async function scanDir(dir) {
-        const entries = await fs.readdir(dir, { withFileTypes: true });
-
-        for (const entry of entries) {
-            const fullPath = path.join(dir, entry.name);
+    // Count one file into the totals
+    const tally = (relPath, result) => {
+        results.total++;
+        results.originalSize += result.originalSize;
+        results.newSize += result.newSize;
+        results.savedSize += result.saved;
 
-            if (entry.isDirectory()) {
-                await scanDir(fullPath);
-            } else if (entry.isFile()) {
-                const ext = path.extname(entry.name).toLowerCase();
-                if (audioExtensions.includes(ext)) {
-                    results.total++;
+        if (result.success) {
+            if (result.skipped) {
+                results.skipped++;
+            } else {
+                results.compressed++;
+                if (result.converted) {
+                    results.converted++;
+                }
+            }
+        } else {
+            results.failed++;
+        }
 
-                    if (progressCallback) {
-                        progressCallback({
-                            current: results.total,
-                            file: path.relative(rootDir, fullPath)
-                        });
-                    }
+        results.files.push({
+            path: relPath,
+            ...result
+        });
+    };
 
-                    const result = await compressAudio(fullPath, options);
-
-                    results.originalSize += result.originalSize;
-                    results.newSize += result.newSize;
-                    results.savedSize += result.saved;
-
-                    if (result.success) {
-                        if (result.skipped) {
-                            results.skipped++;
-                        } else {
-                            results.compressed++;
-                            if (result.converted) {
-                                results.converted++;
-                            }
-                        }
-                    } else {
-                        results.failed++;
-                    }
+    // Files finished by an interrupted run are counted, not compressed again - nor are their converted outputs
+    const done = new Set();
+    for (const entry of resume) {
+        tally(entry.path, entry.result);
+        done.add(entry.path);
+        if (entry.result.converted) done.add(path.relative(rootDir, entry.result.newPath));
+    }
 
-                    results.files.push({
-                        path: path.relative(rootDir, fullPath),
-                        ...result
-                    });
-                }
+    const selected = paths ? new Set(paths.map(relPath => path.normalize(relPath))) : null;
+    const audioFiles = (await collectFiles(rootDir, audioExtensions, rules))
+        .filter(fullPath => !done.has(path.relative(rootDir, fullPath)))
+        .filter(fullPath => !selected || selected.has(path.relative(rootDir, fullPath)));
+    const total = results.total + audioFiles.length;
+
+    await runPool(audioFiles, fullPath => compressAudio(fullPath, { ...options, rules }), {
+        concurrency,
+        signal,
+        // click.wav and click.ogg share the temp and output names - never let them race
+        serializeBy: fullPath => fullPath.slice(0, -path.extname(fullPath).length).toLowerCase(),
+        // Recorded as soon as the file is done, so a crash never redoes a file that finished behind a slow one
+        onSettled: (result, fullPath) => {
+            if (onFile) onFile(path.relative(rootDir, fullPath), result);
+        },
+        onResult: (result, fullPath) => {
+            const relPath = path.relative(rootDir, fullPath);
+            tally(relPath, result);
+
+            if (progressCallback) {
+                progressCallback({
+                    current: results.total,
+                    total,
+                    file: relPath
+                });
             }
         }
-    }
+    });
 
-    await scanDir(rootDir);
+    // Stopped between files before reaching the end
+    if (results.total < total) results.cancelled = true;
     return results;
 }
 
 /**
  * Get audio compression estimate (dry run)
+ * Every file is encoded to a temp file with the given settings; predictions are cached
+ * by content hash in .optimize-data so unchanged files are not encoded again
  * @param {string} rootDir - Root directory
- * @param {object} options - Compression options
- * @returns {Promise<object>} - Estimation results
+ * @param {object} options - Compression options (bitrate, sampleRate, channels, format)
+ * @param {string} options.dataDir - Root directory holding .optimize-data (defaults to rootDir)
+ * @param {object} options.rules - loadRules() rule set (default: rules of dataDir)
+ * @returns {Promise<object>} - Estimation results with predicted size per file
  */
 async function estimateAudioCompression(rootDir, options = {}) {
     const audioExtensions = ['.mp3', '.ogg', '.wav', '.m4a'];
+    const { bitrate = '96k', sampleRate = null, channels = null, format = null, dataDir = rootDir, rules = loadRules(dataDir) } = options;
+    const settings = { bitrate, sampleRate, channels, format };
+    const cache = createPreviewCache(dataDir, 'audio');
     let totalAudio = 0;
     let totalSize = 0;
     let wavFiles = 0;
     let wavSize = 0;
+    let predictedSize = 0;
+    let cachedCount = 0;
     const files = [];
 
+    /**
+     * Encode to a temp file and apply compressAudio's keep-or-replace rule
+     * @param {string} fullPath - Absolute path to audio
+     * @param {number} size - Original size
+     * @param {object} fileSettings - Settings with the file's rule applied
+     * @returns {Promise<object>} - Prediction
+     */
+    async function predict(fullPath, size, fileSettings) {
+        const ext = path.extname(fullPath).toLowerCase();
+        const outputFormat = resolveOutputFormat(ext, fileSettings.format);
+        const tempOutput = path.join(os.tmpdir(), `optimize-preview-${process.pid}-${Date.now()}.${outputFormat}`);
+
+        try {
+            await encodeAudio(fullPath, tempOutput, outputFormat, fileSettings);
+            const newSize = (await fs.stat(tempOutput)).size;
+            // Converted files are always replaced; same-format files only when smaller
+            const converted = outputFormat !== ext.replace('.', '');
+            return { size: converted || newSize < size ? newSize : size, format: outputFormat };
+        } catch (error) {
+            return { size, format: outputFormat, error: error.message };
+        } finally {
+            await fs.rm(tempOutput, { force: true });
+        }
+    }
+
     async function scanDir(dir) {
         const entries = await fs.readdir(dir, { withFileTypes: true });
 
@@ -270,13 +407,32 @@ async function estimateAudioCompression(rootDir, options = {}) {
             const fullPath = path.join(dir, entry.name);
 
             if (entry.isDirectory()) {
+                if (entry.name.startsWith('.') || rules.isIgnored(fullPath, true)) continue;
                 await scanDir(fullPath);
-            } else if (entry.isFile()) {
+            } else if (entry.isFile() && !rules.isIgnored(fullPath)) {
                 const ext = path.extname(entry.name).toLowerCase();
                 if (audioExtensions.includes(ext)) {
                     const stats = await fs.stat(fullPath);
+                    const rule = rules.resolve(fullPath);
+                    const skipReason = ruleSkipReason(fullPath, rules, rule);
+                    // Rule settings are part of the cache key, so editing a rule re-predicts its files
+                    const fileSettings = rules.applyAudio(settings, rule);
+                    const hash = hashFile(fullPath);
+                    let prediction = skipReason
+                        ? { size: stats.size, format: ext.replace('.', ''), reason: skipReason }
+                        : cache.get(hash, fileSettings);
+
+                    if (prediction) {
+                        if (!skipReason) cachedCount++;
+                    } else {
+                        prediction = await predict(fullPath, stats.size, fileSettings);
+                        // Only successful encodes are cached; a failed one is retried next run
+                        if (!prediction.error) cache.set(hash, fileSettings, prediction);
+                    }
+
                     totalAudio++;
                     totalSize += stats.size;
+                    predictedSize += prediction.size;
 
                     if (ext === '.wav') {
                         wavFiles++;
@@ -286,7 +442,13 @@ async function estimateAudioCompression(rootDir, options = {}) {
                     files.push({
                         path: path.relative(rootDir, fullPath),
                         size: stats.size,
-                        format: ext.replace('.', '')
+                        format: ext.replace('.', ''),
+                        predictedSize: prediction.size,
+                        predictedFormat: prediction.format,
+                        saved: stats.size - prediction.size,
+                        rule: rule ? { patterns: rule.patterns, summary: rule.summary } : null,
+                        reason: prediction.reason || null,
+                        error: prediction.error || null
                     });
                 }
             }
@@ -294,26 +456,22 @@ async function estimateAudioCompression(rootDir, options = {}) {
     }
 
     await scanDir(rootDir);
-
-    // Estimate savings
-    // WAV → MP3: ~90% reduction
-    // MP3 re-compression: ~30% reduction
-    // OGG re-compression: ~25% reduction
-    const wavSavings = Math.floor(wavSize * 0.9);
-    const otherSavings = Math.floor((totalSize - wavSize) * 0.3);
-    const estimatedSaving = wavSavings + otherSavings;
+    cache.save();
 
     return {
         totalAudio,
         totalSize,
         wavFiles,
         wavSize,
-        estimatedSaving,
+        predictedSize,
+        estimatedSaving: totalSize - predictedSize,
+        cachedCount,
         files
     };
 }
 
 module.exports = {
+    encodeAudio,
     compressAudio,
     compressAudioDirectory,
     estimateAudioCompression,
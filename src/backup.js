@@ -0,0 +1,231 @@
+/**
+ * Backup Module
+ * Snapshot originals into .optimize-data/backups before any destructive write, and restore them
+ *
+ * Layout: backups/<runId>/<batchId>/manifest.json + files/<relPath>
+ * A run is one server session, a batch is one operation (single file or whole folder)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getDataPath, timestampId } = require('./dataStore');
+
+const BACKUPS_DIR = 'backups';
+const MANIFEST_FILE = 'manifest.json';
+
+// One run per server session
+const RUN_ID = timestampId();
+let batchCounter = 0;
+
+/**
+ * Write a batch manifest
+ * @param {string} batchDir - Batch folder
+ * @param {object} manifest - Manifest content
+ * @returns {Promise<void>}
+ */
+async function writeManifest(batchDir, manifest) {
+    await fs.promises.mkdir(batchDir, { recursive: true });
+    await fs.promises.writeFile(path.join(batchDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2), 'utf8');
+}
+
+/**
+ * Start a backup batch for one operation
+ * Pass the returned object as options.backup to compressors; call save() before overwriting a file
+ * @param {string} rootDir - Scanned root directory
+ * @param {string} operation - Operation name (e.g. "compress-image", "resize")
+ * @param {object} options - Operation options, stored in the manifest
+ * @returns {{runId: string, batchId: string, save: function}}
+ */
+function createBackupBatch(rootDir, operation, options = {}) {
+    batchCounter++;
+    const batchId = `${timestampId()}-${String(batchCounter).padStart(3, '0')}`;
+    const batchDir = getDataPath(rootDir, BACKUPS_DIR, RUN_ID, batchId);
+    const manifest = {
+        runId: RUN_ID,
+        batchId,
+        operation,
+        options,
+        createdAt: new Date().toISOString(),
+        files: []
+    };
+    // Parallel compress jobs save concurrently; manifest writes must not interleave
+    let manifestWrite = Promise.resolve();
+
+    /**
+     * Snapshot a file before it is overwritten or deleted
+     * @param {string} filePath - Absolute path of the file about to change
+     * @param {object} extra - Extra entry fields
+     * @param {string} extra.createdPath - Absolute path of a file that replaces the original (e.g. WAV -> MP3)
+     * @returns {Promise<void>}
+     */
+    async function save(filePath, extra = {}) {
+        const relPath = path.relative(rootDir, filePath).split(path.sep).join('/');
+        // Keep the oldest snapshot if an operation touches a file twice
+        if (manifest.files.some(f => f.path === relPath)) return;
+
+        const backupPath = path.join(batchDir, 'files', relPath);
+        await fs.promises.mkdir(path.dirname(backupPath), { recursive: true });
+        await fs.promises.copyFile(filePath, backupPath);
+
+        const stats = await fs.promises.stat(filePath);
+        manifest.files.push({
+            path: relPath,
+            size: stats.size,
+            createdPath: extra.createdPath
+                ? path.relative(rootDir, extra.createdPath).split(path.sep).join('/')
+                : null,
+            savedAt: new Date().toISOString(),
+            restoredAt: null
+        });
+
+        // Written after every file so a crash mid-batch still leaves a usable manifest
+        manifestWrite = manifestWrite.catch(() => {}).then(() => writeManifest(batchDir, manifest));
+        await manifestWrite;
+    }
+
+    return { runId: RUN_ID, batchId, save };
+}
+
+/**
+ * Read every batch manifest, newest first
+ * @param {string} rootDir - Scanned root directory
+ * @returns {object[]} - Manifests with their batch folder
+ */
+function readBatches(rootDir) {
+    const backupsDir = getDataPath(rootDir, BACKUPS_DIR);
+    if (!fs.existsSync(backupsDir)) return [];
+
+    const batches = [];
+    for (const runId of fs.readdirSync(backupsDir)) {
+        const runDir = path.join(backupsDir, runId);
+        if (!fs.statSync(runDir).isDirectory()) continue;
+
+        for (const batchId of fs.readdirSync(runDir)) {
+            try {
+                const batchDir = path.join(runDir, batchId);
+                const manifest = JSON.parse(fs.readFileSync(path.join(batchDir, MANIFEST_FILE), 'utf8'));
+                batches.push({ ...manifest, batchDir });
+            } catch {
+                // Batch without manifest - nothing was saved
+            }
+        }
+    }
+
+    return batches.sort((a, b) => b.batchId.localeCompare(a.batchId));
+}
+
+/**
+ * List backups grouped by run
+ * @param {string} rootDir - Scanned root directory
+ * @returns {object} - Runs newest first, with the current run id
+ */
+function listBackups(rootDir) {
+    const runs = {};
+
+    for (const { batchDir, ...batch } of readBatches(rootDir)) {
+        if (!runs[batch.runId]) runs[batch.runId] = { runId: batch.runId, batches: [], size: 0 };
+        runs[batch.runId].batches.push(batch);
+        runs[batch.runId].size += batch.files.reduce((s, f) => s + f.size, 0);
+    }
+
+    return {
+        currentRunId: RUN_ID,
+        runs: Object.values(runs).sort((a, b) => b.runId.localeCompare(a.runId))
+    };
+}
+
+/**
+ * Path of the other half of an asset/.meta pair
+ * @param {string} relPath - Asset or .meta path
+ * @returns {string}
+ */
+function pairedPath(relPath) {
+    return relPath.endsWith('.meta') ? relPath.slice(0, -'.meta'.length) : `${relPath}.meta`;
+}
+
+/**
+ * Restore files of one batch
+ * @param {object} batch - Batch manifest with batchDir
+ * @param {string} rootDir - Scanned root directory
+ * @param {string[]|null} relPaths - Files to restore, null for the whole batch; an asset and its .meta
+ *   always restore together, so a conversion never leaves the asset with a new UUID
+ * @returns {Promise<{restored: string[], failed: object[]}>}
+ */
+async function restoreFromBatch(batch, rootDir, relPaths = null) {
+    const restored = [];
+    const failed = [];
+    const selected = relPaths ? new Set(relPaths.flatMap(relPath => [relPath, pairedPath(relPath)])) : null;
+
+    for (const entry of batch.files) {
+        if (selected && !selected.has(entry.path)) continue;
+
+        const target = path.resolve(rootDir, entry.path);
+        // Security check: ensure path is within rootDir
+        if (!target.startsWith(rootDir + path.sep)) {
+            failed.push({ path: entry.path, error: 'Invalid path' });
+            continue;
+        }
+
+        try {
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            await fs.promises.copyFile(path.join(batch.batchDir, 'files', entry.path), target);
+
+            // Remove the file that replaced the original (e.g. converted MP3)
+            if (entry.createdPath && entry.createdPath !== entry.path) {
+                await fs.promises.rm(path.resolve(rootDir, entry.createdPath), { force: true });
+            }
+
+            entry.restoredAt = new Date().toISOString();
+            restored.push(entry.path);
+        } catch (error) {
+            failed.push({ path: entry.path, error: error.message });
+        }
+    }
+
+    if (restored.length) {
+        const { batchDir, ...manifest } = batch;
+        await writeManifest(batchDir, manifest);
+    }
+
+    return { restored, failed };
+}
+
+/**
+ * Restore backups by scope
+ * @param {string} rootDir - Scanned root directory
+ * @param {object} scope - What to restore
+ * @param {string} scope.runId - Restore every batch of a run
+ * @param {string} scope.batchId - Restore one batch
+ * @param {string} scope.path - With batchId, restore a single file
+ * @returns {Promise<object>} - Restored and failed files
+ */
+async function restoreBackups(rootDir, scope = {}) {
+    const { runId, batchId, path: relPath } = scope;
+    const batches = readBatches(rootDir).filter(b =>
+        (batchId ? b.batchId === batchId : b.runId === runId));
+
+    if (!batches.length) {
+        throw new Error('Backup not found');
+    }
+
+    // Newest first, so when several batches touched a file the oldest original wins
+    const restored = [];
+    const failed = [];
+    for (const batch of batches) {
+        const result = await restoreFromBatch(batch, rootDir, relPath ? [relPath] : null);
+        restored.push(...result.restored);
+        failed.push(...result.failed);
+    }
+
+    return {
+        success: failed.length === 0,
+        restored: [...new Set(restored)],
+        failed
+    };
+}
+
+module.exports = {
+    createBackupBatch,
+    listBackups,
+    restoreBackups
+};
@@ -0,0 +1,171 @@
+/**
+ * Budget Profiles Module
+ * Evaluate a scan against ad network size caps and delivery rules
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readJson, writeJson } = require('./dataStore');
+
+const BUDGETS_FILE = 'budgets.json';
+const MB = 1024 * 1024;
+
+// Starting points only - networks change their specs, edit them in the UI
+const DEFAULT_PROFILES = [
+    { id: 'applovin', name: 'AppLovin', maxSize: 5 * MB, format: 'html', maxFiles: null, allowExternalRequests: false, imageFormats: ['png', 'jpeg', 'webp'], enabled: true },
+    { id: 'unity', name: 'Unity Ads', maxSize: 5 * MB, format: 'html', maxFiles: null, allowExternalRequests: false, imageFormats: ['png', 'jpeg', 'webp'], enabled: true },
+    { id: 'google', name: 'Google Ads', maxSize: 5 * MB, format: 'zip', maxFiles: 512, allowExternalRequests: false, imageFormats: ['png', 'jpeg', 'webp'], enabled: true },
+    { id: 'meta', name: 'Meta', maxSize: 2 * MB, format: 'html', maxFiles: null, allowExternalRequests: false, imageFormats: ['png', 'jpeg', 'webp'], enabled: true },
+    { id: 'ironsource', name: 'IronSource', maxSize: 5 * MB, format: 'html', maxFiles: null, allowExternalRequests: false, imageFormats: ['png', 'jpeg', 'webp'], enabled: true },
+    { id: 'mintegral', name: 'Mintegral', maxSize: 5 * MB, format: 'html', maxFiles: null, allowExternalRequests: false, imageFormats: ['png', 'jpeg', 'webp'], enabled: true },
+    { id: 'tiktok', name: 'TikTok', maxSize: 5 * MB, format: 'zip', maxFiles: 512, allowExternalRequests: false, imageFormats: ['png', 'jpeg', 'webp'], enabled: true }
+];
+
+// Image formats every network accepts; profiles without imageFormats get only these
+const BASE_IMAGE_FORMATS = ['png', 'jpeg'];
+const IMAGE_FORMAT_BY_EXTENSION = { '.png': 'png', '.jpg': 'jpeg', '.jpeg': 'jpeg', '.webp': 'webp', '.avif': 'avif' };
+
+// Files that can embed network calls
+const EXTERNAL_CHECK_EXTENSIONS = ['.js', '.ts', '.html', '.json'];
+const EXTERNAL_URL_PATTERN = /https?:\/\/(?!localhost|127\.0\.0\.1)[^\s'"`)<>]+/g;
+
+/**
+ * Load budget profiles, saved values override the defaults
+ * @param {string} rootDir - Scanned root directory
+ * @returns {object[]}
+ */
+function loadProfiles(rootDir) {
+    const saved = readJson(rootDir, BUDGETS_FILE, { profiles: [] });
+    const savedById = Object.fromEntries(saved.profiles.map(p => [p.id, p]));
+
+    const profiles = DEFAULT_PROFILES.map(p => ({ ...p, ...(savedById[p.id] || {}) }));
+    for (const custom of saved.profiles) {
+        if (!DEFAULT_PROFILES.some(p => p.id === custom.id)) profiles.push(custom);
+    }
+    return profiles;
+}
+
+/**
+ * Persist budget profiles to .optimize-data
+ * @param {string} rootDir - Scanned root directory
+ * @param {object[]} profiles - Profiles to save
+ */
+function saveProfiles(rootDir, profiles) {
+    writeJson(rootDir, BUDGETS_FILE, { profiles });
+}
+
+/**
+ * Get the size a profile measures for a file
+ * Single-HTML networks cap the inlined (base64) size, zip networks the deflated size;
+ * falls back to raw bytes when the scan has no delivered sizes
+ * @param {object} profile - Budget profile
+ * @param {object} file - Scanned file
+ * @returns {number}
+ */
+function measureFile(profile, file) {
+    if (!file.delivered) return file.size;
+    return profile.format === 'zip' ? file.delivered.zip : file.delivered.inlined;
+}
+
+/**
+ * Find hard-coded external URLs in shippable text files
+ * @param {string} rootDir - Scanned root directory
+ * @param {object[]} files - Scanned files
+ * @returns {object[]} - { path, urls } per offending file
+ */
+function findExternalRequests(rootDir, files) {
+    const hits = [];
+
+    for (const file of files) {
+        if (!EXTERNAL_CHECK_EXTENSIONS.includes(path.extname(file.path).toLowerCase())) continue;
+        try {
+            const content = fs.readFileSync(path.join(rootDir, file.path), 'utf8');
+            const urls = [...new Set(content.match(EXTERNAL_URL_PATTERN) || [])];
+            if (urls.length) hits.push({ path: file.path, urls: urls.slice(0, 5) });
+        } catch {
+            // Unreadable file - nothing to report
+        }
+    }
+
+    return hits;
+}
+
+/**
+ * Find enabled networks that do not accept an image format
+ * @param {object[]} profiles - Budget profiles
+ * @param {string} format - Image format (e.g. "webp", "avif")
+ * @returns {object[]} - Profiles that would reject the format
+ */
+function findFormatConflicts(profiles, format) {
+    const normalized = format === 'jpg' ? 'jpeg' : format;
+    return profiles.filter(p => p.enabled && !(p.imageFormats || BASE_IMAGE_FORMATS).includes(normalized));
+}
+
+/**
+ * Evaluate a scan against every enabled budget profile
+ * @param {string} rootDir - Scanned root directory
+ * @param {object} scan - scanDirectory() result, ideally with delivered sizes
+ * @param {object[]} profiles - Budget profiles
+ * @returns {object[]} - Verdict per network
+ */
+function evaluateBudgets(rootDir, scan, profiles = loadProfiles(rootDir)) {
+    const files = scan.files.filter(f => f.type !== 'meta');
+    const externalRequests = profiles.some(p => p.enabled && !p.allowExternalRequests)
+        ? findExternalRequests(rootDir, files)
+        : [];
+
+    return profiles.filter(p => p.enabled).map(profile => {
+        const sized = files
+            .map(f => ({ path: f.path, type: f.type, size: measureFile(profile, f) }))
+            .sort((a, b) => b.size - a.size);
+        const size = sized.reduce((s, f) => s + f.size, 0);
+        const headroom = profile.maxSize - size;
+        const issues = [];
+
+        // Largest files first until removing them brings the total under the cap
+        const offenders = [];
+        let overflow = -headroom;
+        for (const file of sized) {
+            if (overflow <= 0) break;
+            offenders.push(file);
+            overflow -= file.size;
+        }
+
+        if (profile.format === 'zip' && profile.maxFiles && files.length > profile.maxFiles) {
+            issues.push(`${files.length} files, zip limit is ${profile.maxFiles}`);
+        }
+        if (!profile.allowExternalRequests && externalRequests.length) {
+            issues.push(`${externalRequests.length} files reference external URLs`);
+        }
+
+        const accepted = profile.imageFormats || BASE_IMAGE_FORMATS;
+        const rejectedImages = files.filter(f => {
+            const imageFormat = IMAGE_FORMAT_BY_EXTENSION[path.extname(f.path).toLowerCase()];
+            return imageFormat && !accepted.includes(imageFormat);
+        });
+        if (rejectedImages.length) {
+            issues.push(`${rejectedImages.length} images in formats it does not accept (allowed: ${accepted.join(', ')})`);
+        }
+
+        return {
+            id: profile.id,
+            name: profile.name,
+            format: profile.format,
+            maxSize: profile.maxSize,
+            size,
+            headroom,
+            pass: headroom >= 0 && issues.length === 0,
+            issues,
+            offenders,
+            externalRequests: profile.allowExternalRequests ? [] : externalRequests
+        };
+    });
+}
+
+module.exports = {
+    DEFAULT_PROFILES,
+    loadProfiles,
+    saveProfiles,
+    findFormatConflicts,
+    evaluateBudgets
+};
@@ -0,0 +1,471 @@
+/**
+ * Build Analyzer Module
+ * Map Cocos Creator build output (web-mobile folder or packaged playable HTML)
+ * back to source asset paths, so we see what actually ships
+ *
+ * Creator 3.x and 2.4 builds describe assets in per-bundle config.json files; Creator 2.0-2.3
+ * builds have a single src/settings.js instead (res/import + res/raw-assets layout)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getFileType, summarizeFiles } = require('./scanner');
+const { baseUuid, buildAssetGraph } = require('./assetGraph');
+
+const BASE64_KEYS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const HEX_CHARS = '0123456789abcdef';
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}(@[0-9a-z]+)?/i;
+const CONFIG_PATTERN = /^(cc\.)?config(\.[0-9a-f]+)?\.json$/;
+const SETTINGS_PATTERN = /^settings(\.[0-9a-f]+)?\.js$/;
+// Bare words a settings literal may contain
+const LITERALS = { true: true, false: false, null: null, undefined: undefined };
+// Identifier or number at a given position of a settings literal (sticky)
+const SETTINGS_WORD = /[A-Za-z_$][\w$]*|[+-]?(?:0x[0-9a-f]+|(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)/iy;
+
+// Cocos runtime class -> scanner file type
+const CLASS_TYPES = [
+    [/Texture|SpriteFrame|ImageAsset|SpriteAtlas/, 'image'],
+    [/AudioClip/, 'audio'],
+    [/Prefab/, 'prefab'],
+    [/SceneAsset/, 'scene'],
+    [/AnimationClip/, 'animation'],
+    [/Material|EffectAsset/, 'material'],
+    [/Mesh|Skeleton/, 'model'],
+    [/JsonAsset|TextAsset|Script/, 'script']
+];
+
+/**
+ * Decode a compressed Cocos UUID (22 or 23 chars) back to its dashed form
+ * @param {string} compressed - Compressed UUID, optionally with "@sub" suffix
+ * @returns {string}
+ */
+function decodeUuid(compressed) {
+    const [base, ...sub] = compressed.split('@');
+    if (base.length !== 22 && base.length !== 23) return compressed;
+
+    // 22 chars keep 2 hex digits, 23 chars keep 5; the rest is base64 (3 hex per 2 chars)
+    const keep = 3 * base.length - 64;
+    let hex = base.slice(0, keep);
+    for (let i = keep; i < base.length; i += 2) {
+        const lhs = BASE64_KEYS.indexOf(base[i]);
+        const rhs = BASE64_KEYS.indexOf(base[i + 1]);
+        hex += HEX_CHARS[lhs >> 2] + HEX_CHARS[((lhs & 3) << 2) | (rhs >> 4)] + HEX_CHARS[rhs & 0xF];
+    }
+
+    const uuid = `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    return [uuid, ...sub].join('@');
+}
+
+/**
+ * Map a Cocos class name to a scanner file type
+ * @param {string} className
+ * @returns {string}
+ */
+function classToType(className) {
+    const match = CLASS_TYPES.find(([pattern]) => pattern.test(className || ''));
+    return match ? match[1] : 'other';
+}
+
+/**
+ * Parse a bundle config.json into uuid lookups
+ * @param {object} config - Parsed config.json
+ * @param {string} bundle - Bundle name
+ * @returns {{paths: object, packs: object}} - uuid -> { bundle, path, type }, packId -> uuids
+ */
+function parseBundleConfig(config, bundle) {
+    const uuids = (config.uuids || []).map(decodeUuid);
+    const resolve = ref => (typeof ref === 'number' ? uuids[ref] : decodeUuid(String(ref)));
+    const paths = {};
+    const packs = {};
+
+    for (const [index, entry] of Object.entries(config.paths || {})) {
+        const uuid = uuids[index];
+        if (!uuid || !Array.isArray(entry)) continue;
+        paths[baseUuid(uuid)] = {
+            bundle,
+            path: `${bundle}/${entry[0]}`,
+            type: classToType((config.types || [])[entry[1]])
+        };
+    }
+
+    for (const [packId, members] of Object.entries(config.packs || {})) {
+        packs[packId] = members.map(resolve).map(baseUuid);
+    }
+
+    return { paths, packs };
+}
+
+/**
+ * Parse a Creator 2.x settings.js into uuid lookups
+ * Release builds store uuids and asset types as indexes into settings.uuids / settings.assetTypes
+ * @param {object} settings - window._CCSettings of the build
+ * @returns {{paths: object, packs: object}} - uuid -> { bundle, path, type }, packId -> uuids
+ */
+function parseLegacySettings(settings) {
+    const uuids = (settings.uuids || []).map(decodeUuid);
+    const types = settings.assetTypes || [];
+    const resolve = ref => (typeof ref === 'number' || /^\d+$/.test(ref) ? uuids[ref] : decodeUuid(String(ref)));
+    const paths = {};
+    const packs = {};
+
+    // rawAssets.<mount>.<uuid> = [url, type]; the "assets" mount is the resources folder
+    for (const [mount, assets] of Object.entries(settings.rawAssets || {})) {
+        const bundle = mount === 'assets' ? 'resources' : mount;
+        for (const [ref, entry] of Object.entries(assets || {})) {
+            const uuid = resolve(ref);
+            if (!uuid || !Array.isArray(entry)) continue;
+            paths[baseUuid(uuid)] = {
+                bundle,
+                path: `${bundle}/${entry[0]}`,
+                type: classToType(typeof entry[1] === 'number' ? types[entry[1]] : entry[1])
+            };
+        }
+    }
+
+    // Scenes outside resources are only listed here, as "db://assets/..." urls
+    for (const scene of settings.scenes || []) {
+        const uuid = scene && resolve(scene.uuid);
+        if (!uuid || typeof scene.url !== 'string') continue;
+        paths[baseUuid(uuid)] = { bundle: null, path: scene.url.replace(/^db:\/\/assets\//, ''), type: 'scene' };
+    }
+
+    for (const [packId, members] of Object.entries(settings.packedAssets || {})) {
+        if (!Array.isArray(members)) continue;
+        packs[packId] = members.map(resolve).filter(Boolean).map(baseUuid);
+    }
+
+    return { paths, packs };
+}
+
+/**
+ * Read a Creator 2.x settings.js, which assigns an object literal to window._CCSettings
+ * The literal is parsed, never executed: it is plain (often minified) JavaScript, not JSON,
+ * so it takes unquoted keys, single quotes, trailing commas and the minifier's !0 / !1
+ * @param {string} code - Script source
+ * @returns {object|null} - The settings, null when the script defines none
+ */
+function parseSettingsScript(code) {
+    const assignment = /(?:window\s*\.\s*)?_CCSettings\s*=\s*/.exec(code);
+    if (!assignment) return null;
+
+    let pos = assignment.index + assignment[0].length;
+
+    const fail = (message) => {
+        throw new Error(`settings.js: ${message} at ${pos}`);
+    };
+
+    // Whitespace and comments
+    const skip = () => {
+        for (;;) {
+            const rest = code.slice(pos, pos + 2);
+            if (/^\s/.test(rest)) {
+                pos++;
+            } else if (rest === '//') {
+                const end = code.indexOf('\n', pos);
+                pos = end === -1 ? code.length : end;
+            } else if (rest === '/*') {
+                const end = code.indexOf('*/', pos + 2);
+                if (end === -1) fail('unterminated comment');
+                pos = end + 2;
+            } else {
+                return;
+            }
+        }
+    };
+
+    const readString = () => {
+        const quote = code[pos++];
+        let value = '';
+        while (pos < code.length && code[pos] !== quote) {
+            let ch = code[pos++];
+            if (ch === '\\') {
+                ch = code[pos++];
+                const hex = ch === 'u' ? 4 : ch === 'x' ? 2 : 0;
+                if (hex) {
+                    const digits = code.slice(pos, pos + hex);
+                    if (!/^[0-9a-f]+$/i.test(digits) || digits.length !== hex) fail('bad escape');
+                    ch = String.fromCharCode(parseInt(digits, 16));
+                    pos += hex;
+                } else {
+                    ch = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0' }[ch] ?? ch;
+                }
+            }
+            value += ch;
+        }
+        if (pos >= code.length) fail('unterminated string');
+        pos++;
+        return value;
+    };
+
+    const readWord = () => {
+        SETTINGS_WORD.lastIndex = pos;
+        const match = SETTINGS_WORD.exec(code);
+        if (!match) fail('unexpected character');
+        pos += match[0].length;
+        return match[0];
+    };
+
+    const readValue = () => {
+        skip();
+        const ch = code[pos];
+        if (ch === '{') {
+            pos++;
+            const object = {};
+            for (skip(); code[pos] !== '}'; skip()) {
+                const key = code[pos] === '"' || code[pos] === "'" ? readString() : readWord();
+                skip();
+                if (code[pos++] !== ':') fail('expected ":"');
+                // Defined, not assigned, so a "__proto__" key stays a plain property
+                Object.defineProperty(object, key, { value: readValue(), enumerable: true, writable: true, configurable: true });
+                skip();
+                if (code[pos] === ',') pos++;
+                else if (code[pos] !== '}') fail('expected "," or "}"');
+            }
+            pos++;
+            return object;
+        }
+        if (ch === '[') {
+            pos++;
+            const array = [];
+            for (skip(); code[pos] !== ']'; skip()) {
+                array.push(readValue());
+                skip();
+                if (code[pos] === ',') pos++;
+                else if (code[pos] !== ']') fail('expected "," or "]"');
+            }
+            pos++;
+            return array;
+        }
+        if (ch === '"' || ch === "'") return readString();
+        if (ch === '!') {
+            pos++;
+            return !readValue();
+        }
+
+        const word = readWord();
+        if (Object.hasOwn(LITERALS, word)) return LITERALS[word];
+        const number = Number(word);
+        if (Number.isNaN(number)) fail(`unsupported expression "${word}"`);
+        return number;
+    };
+
+    const settings = readValue();
+    return settings && typeof settings === 'object' ? settings : null;
+}
+
+/**
+ * List every file under a directory with its relative path
+ * @param {string} dir - Directory to walk
+ * @returns {{path: string, fullPath: string, size: number}[]}
+ */
+function listFiles(dir) {
+    const files = [];
+
+    function walk(currentDir, relativePath) {
+        let entries;
+        try { entries = fs.readdirSync(currentDir, { withFileTypes: true }); } catch { return; }
+
+        for (const entry of entries) {
+            const fullPath = path.join(currentDir, entry.name);
+            const relPath = relativePath ? `${relativePath}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) {
+                walk(fullPath, relPath);
+            } else if (entry.isFile()) {
+                files.push({ path: relPath, fullPath, size: fs.statSync(fullPath).size });
+            }
+        }
+    }
+
+    walk(dir, '');
+    return files;
+}
+
+/**
+ * Classify a build file as import (serialized data), native (raw binary) or other
+ * @param {string} relPath - Path relative to the build root
+ * @returns {string}
+ */
+function buildFileKind(relPath) {
+    const segments = relPath.split('/');
+    if (segments.includes('import')) return 'import';
+    if (segments.includes('native') || segments.includes('raw-assets')) return 'native';
+    return 'other';
+}
+
+/**
+ * Collect build entries from a web-mobile build folder
+ * @param {string} buildDir - Build output folder
+ * @returns {{entries: object[], paths: object, packs: object}}
+ */
+function readBuildFolder(buildDir) {
+    const files = listFiles(buildDir);
+    const paths = {};
+    const packs = {};
+
+    // Bundle configs live at assets/<bundle>/config[.hash].json, 2.x settings at src/settings[.hash].js
+    for (const file of files) {
+        const name = path.basename(file.path);
+        try {
+            let parsed = null;
+            if (CONFIG_PATTERN.test(name)) {
+                const config = JSON.parse(fs.readFileSync(file.fullPath, 'utf8'));
+                parsed = parseBundleConfig(config, config.name || path.basename(path.dirname(file.fullPath)));
+            } else if (SETTINGS_PATTERN.test(name)) {
+                const settings = parseSettingsScript(fs.readFileSync(file.fullPath, 'utf8'));
+                if (settings) parsed = parseLegacySettings(settings);
+            }
+            if (!parsed) continue;
+            Object.assign(paths, parsed.paths);
+            Object.assign(packs, parsed.packs);
+        } catch {
+            // Not a bundle config or settings script - treated as a regular file below
+        }
+    }
+
+    const entries = files.map(file => ({
+        buildPath: file.path,
+        size: file.size,
+        kind: buildFileKind(file.path)
+    }));
+
+    return { entries, paths, packs };
+}
+
+/**
+ * Collect build entries from a packaged single-HTML playable
+ * Resources are embedded as "assets/<bundle>/(import|native)/..." keys with string values
+ * @param {string} htmlPath - Packaged playable HTML file
+ * @returns {{entries: object[], paths: object, packs: object}}
+ */
+function readPlayableHtml(htmlPath) {
+    const html = fs.readFileSync(htmlPath, 'utf8');
+    const pattern = /["']((?:assets|res)\/[^"']+?\.[a-z0-9]+)["']\s*:\s*"((?:\\.|[^"\\])*)"/gi;
+    const entries = [];
+    const paths = {};
+    const packs = {};
+    let embeddedSize = 0;
+    let match;
+
+    while ((match = pattern.exec(html))) {
+        const [, key, value] = match;
+        embeddedSize += value.length;
+
+        if (CONFIG_PATTERN.test(path.basename(key))) {
+            try {
+                const config = JSON.parse(JSON.parse(`"${value}"`));
+                const parsed = parseBundleConfig(config, config.name || key.split('/')[1]);
+                Object.assign(paths, parsed.paths);
+                Object.assign(packs, parsed.packs);
+            } catch {
+                // Config not embedded as JSON text - keep it as a plain entry
+            }
+        }
+
+        entries.push({ buildPath: key, size: value.length, kind: buildFileKind(key) });
+    }
+
+    // Everything that is not an embedded resource: engine, scripts, markup
+    entries.push({
+        buildPath: path.basename(htmlPath),
+        size: Buffer.byteLength(html) - embeddedSize,
+        kind: 'other'
+    });
+
+    return { entries, paths, packs };
+}
+
+/**
+ * Analyze a Cocos build and attribute every shipped byte to a source asset
+ * @param {string} buildPath - web-mobile build folder or packaged playable .html
+ * @param {object} options - Options
+ * @param {string} options.sourceDir - Project assets folder used to map UUIDs to source paths
+ * @returns {Promise<object>} - Scan-like result (files, folderTree, typeStats) plus mapping stats
+ */
+async function analyzeBuild(buildPath, options = {}) {
+    const { sourceDir = null } = options;
+    const isHtml = fs.statSync(buildPath).isFile();
+    const { entries, paths, packs } = isHtml ? readPlayableHtml(buildPath) : readBuildFolder(buildPath);
+
+    const sourceUuids = sourceDir && fs.existsSync(sourceDir)
+        ? (await buildAssetGraph(sourceDir)).uuidToPath
+        : {};
+    const assets = {};
+
+    /**
+     * Attribute bytes of a build file to the asset that owns a UUID
+     * @param {string} uuid - Base UUID of the owning asset
+     * @param {object} entry - Build entry
+     * @param {number} size - Bytes attributed to the asset
+     */
+    function attribute(uuid, entry, size) {
+        const sourcePath = sourceUuids[uuid];
+        const configEntry = paths[uuid];
+        const key = sourcePath || (configEntry && configEntry.path) || `(unmapped)/${uuid}`;
+
+        if (!assets[key]) {
+            const name = key.split('/').pop();
+            assets[key] = {
+                name,
+                path: key,
+                size: 0,
+                type: sourcePath ? getFileType(name) : configEntry ? configEntry.type : 'other',
+                uuid,
+                bundle: configEntry ? configEntry.bundle : null,
+                mapped: sourcePath ? 'source' : configEntry ? 'config' : null,
+                buildFiles: []
+            };
+        }
+        assets[key].size += size;
+        assets[key].buildFiles.push({ path: entry.buildPath, kind: entry.kind, size });
+    }
+
+    for (const entry of entries) {
+        const name = path.basename(entry.buildPath);
+        const uuidMatch = name.match(UUID_PATTERN);
+        const packId = name.split('.')[0];
+
+        if (uuidMatch && entry.kind !== 'other') {
+            attribute(baseUuid(uuidMatch[0].toLowerCase()), entry, entry.size);
+        } else if (entry.kind === 'import' && packs[packId]) {
+            // Packed JSON holds several assets - split its bytes evenly between them
+            const members = packs[packId];
+            members.forEach((uuid, i) => {
+                const share = Math.floor(entry.size / members.length) + (i < entry.size % members.length ? 1 : 0);
+                attribute(uuid, { ...entry, kind: 'pack' }, share);
+            });
+        } else {
+            const key = `(build)/${entry.buildPath}`;
+            assets[key] = {
+                name,
+                path: key,
+                size: entry.size,
+                type: getFileType(name),
+                uuid: null,
+                bundle: null,
+                mapped: null,
+                buildFiles: [{ path: entry.buildPath, kind: entry.kind, size: entry.size }]
+            };
+        }
+    }
+
+    const files = Object.values(assets);
+    const { folderTree, typeStats } = summarizeFiles(files, path.basename(buildPath));
+
+    return {
+        mode: 'build',
+        files,
+        folderTree,
+        typeStats,
+        buildPath,
+        sourceDir,
+        mappedCount: files.filter(f => f.mapped).length,
+        unmappedCount: files.filter(f => f.uuid && !f.mapped).length,
+        scannedAt: new Date().toISOString(),
+        rootPath: buildPath
+    };
+}
+
+module.exports = {
+    decodeUuid,
+    analyzeBuild
+};
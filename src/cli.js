@@ -0,0 +1,519 @@
+/**
+ * CLI Module
+ * Headless scan, compression and budget checks for CI pipelines (bin/optimize-size.js)
+ *
+ * Exit codes: 0 = ok, 1 = an enabled network budget is exceeded, 2 = usage or runtime error
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { scanDirectory } = require('./scanner');
+const { CONVERSION_TARGETS, compressDirectory, estimateCompression } = require('./compressor');
+const { compressAudioDirectory, estimateAudioCompression } = require('./audioCompressor');
+const { findMissingReferences } = require('./assetGraph');
+const { loadProfiles, findFormatConflicts, evaluateBudgets } = require('./budgets');
+const { createBackupBatch } = require('./backup');
+const { loadRules } = require('./rules');
+const { REPORT_FORMATS, formatBytes, buildReport, renderReport } = require('./reports');
+
+const EXIT_OK = 0;
+const EXIT_OVER_BUDGET = 1;
+const EXIT_ERROR = 2;
+
+const USAGE = `Usage: optimize-size <command> [root] [options]
+
+Commands:
+  scan               List sizes by type (root defaults to the current directory)
+  report             Sizes, largest files, possible savings and budget verdicts
+  compress-images    Compress every image in place (originals go to .optimize-data/backups)
+  compress-audio     Compress every audio file in place
+  optimize-all       compress-images, then compress-audio, then check
+  check              Evaluate network budgets; exits 1 when one is exceeded
+
+Options:
+  --json                 Print JSON instead of text
+  --target <dir>         Only compress this folder of the root
+  --network <ids>        Only these budget profiles, e.g. applovin,meta
+  --max-size <size>      Override the budget cap, e.g. 3MB or 2500KB
+  --top <n>              Largest files listed by report / offenders by check (default 10)
+  --format <fmt>         Report as json, csv, md or html (default: text summary)
+  --output <file>        Write the report to a file instead of stdout
+  --quality <n|auto>     Image quality (default 80)
+  --convert-to <format>  Convert PNG/JPG to webp or avif
+  --no-palette           Lossless PNG only
+  --colors <n>           PNG palette size (default 256)
+  --dither <0-1>         PNG dithering (default 1)
+  --effort <1-10>        PNG quantization effort (default 7)
+  --bitrate <rate>       Audio bitrate (default 96k)
+  --sample-rate <hz>     Audio sample rate
+  --channels <n>         Audio channels
+  --audio-format <fmt>   Convert WAV to mp3 or ogg
+  --concurrency <n>      Files processed at once (default: CPU count)
+  --cache                Keep a scan index in .optimize-data for faster rescans
+  -h, --help             Show this help`;
+
+const OPTIONS = {
+    json: { type: 'boolean' },
+    target: { type: 'string' },
+    network: { type: 'string' },
+    'max-size': { type: 'string' },
+    top: { type: 'string' },
+    format: { type: 'string' },
+    output: { type: 'string' },
+    quality: { type: 'string' },
+    'convert-to': { type: 'string' },
+    'no-palette': { type: 'boolean' },
+    colors: { type: 'string' },
+    dither: { type: 'string' },
+    effort: { type: 'string' },
+    bitrate: { type: 'string' },
+    'sample-rate': { type: 'string' },
+    channels: { type: 'string' },
+    'audio-format': { type: 'string' },
+    concurrency: { type: 'string' },
+    cache: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Error caused by the command line rather than the run; printed with the usage hint
+ */
+class UsageError extends Error {}
+
+/**
+ * Parse a size such as "3MB", "2500KB" or "1048576"
+ * @param {string} value - Size text
+ * @returns {number} - Bytes
+ */
+function parseSize(value) {
+    const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(value.trim());
+    if (!match) throw new UsageError(`Invalid size: ${value}`);
+    const units = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+    return Math.round(parseFloat(match[1]) * units[(match[2] || 'b').toLowerCase()]);
+}
+
+/**
+ * Parse a positive integer option
+ * @param {string|undefined} value - Option value
+ * @param {string} name - Option name for the error message
+ * @returns {number|null} - null when the option is not set
+ */
+function parseCount(value, name) {
+    if (value === undefined) return null;
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 1) throw new UsageError(`--${name} must be a positive integer`);
+    return count;
+}
+
+/**
+ * Pad a table row
+ * @param {Array<string>} cells - Cell texts
+ * @param {number[]} widths - Column widths, negative = right aligned
+ * @returns {string}
+ */
+function row(cells, widths) {
+    return cells.map((cell, i) => widths[i] < 0 ? cell.padStart(-widths[i]) : cell.padEnd(widths[i])).join('  ');
+}
+
+/**
+ * Build image compression options from the command line
+ * @param {object} values - parseArgs() values
+ * @returns {object} - Options for compressDirectory() / estimateCompression()
+ */
+function imageOptions(values) {
+    const options = { quality: 80, palette: !values['no-palette'], convertTo: values['convert-to'] || null };
+    if (values.quality !== undefined) {
+        options.quality = values.quality === 'auto' ? 'auto' : Number(values.quality);
+        if (options.quality !== 'auto' && !(options.quality >= 1 && options.quality <= 100)) {
+            throw new UsageError('--quality must be 1-100 or auto');
+        }
+    }
+    if (values.colors !== undefined) options.colors = parseCount(values.colors, 'colors');
+    if (values.dither !== undefined) options.dither = Number(values.dither);
+    if (values.effort !== undefined) {
+        options.effort = Number(values.effort);
+        if (!Number.isInteger(options.effort) || options.effort < 1 || options.effort > 10) {
+            throw new UsageError('--effort must be 1-10');
+        }
+    }
+    if (options.convertTo && !CONVERSION_TARGETS.includes(options.convertTo)) {
+        throw new UsageError(`Unsupported conversion format: ${options.convertTo}`);
+    }
+    return options;
+}
+
+/**
+ * Build audio compression options from the command line
+ * @param {object} values - parseArgs() values
+ * @returns {object} - Options for compressAudioDirectory() / estimateAudioCompression()
+ */
+function audioOptions(values) {
+    return {
+        bitrate: values.bitrate || '96k',
+        sampleRate: values['sample-rate'] ? parseCount(values['sample-rate'], 'sample-rate') : null,
+        channels: values.channels ? parseCount(values.channels, 'channels') : null,
+        format: values['audio-format'] || null
+    };
+}
+
+/**
+ * Load the budget profiles a check runs against
+ * @param {string} rootDir - Root directory
+ * @param {object} values - parseArgs() values
+ * @returns {object[]}
+ */
+function selectProfiles(rootDir, values) {
+    let profiles = loadProfiles(rootDir);
+
+    if (values.network) {
+        const ids = values.network.split(',').map(id => id.trim().toLowerCase()).filter(Boolean);
+        const unknown = ids.filter(id => !profiles.some(p => p.id === id));
+        if (unknown.length) {
+            throw new UsageError(`Unknown network: ${unknown.join(', ')} (known: ${profiles.map(p => p.id).join(', ')})`);
+        }
+        // Named networks are checked even when disabled in the UI
+        profiles = profiles.map(p => ({ ...p, enabled: ids.includes(p.id) }));
+    }
+    if (values['max-size']) {
+        const maxSize = parseSize(values['max-size']);
+        profiles = profiles.map(p => ({ ...p, maxSize }));
+    }
+    return profiles;
+}
+
+/**
+ * Resolve the folder a compression command works on
+ * @param {string} rootDir - Root directory
+ * @param {string|undefined} target - --target value
+ * @returns {string}
+ */
+function resolveTarget(rootDir, target) {
+    if (!target) return rootDir;
+
+    const targetDir = path.resolve(rootDir, target);
+    // Security check: ensure path is within rootDir
+    if (!targetDir.startsWith(rootDir)) throw new UsageError('--target must be inside the root');
+    if (!fs.existsSync(targetDir)) throw new UsageError(`Directory does not exist: ${target}`);
+    return targetDir;
+}
+
+/**
+ * Create a progress printer for batch runs (stderr, interactive terminals only)
+ * @param {string} label - Run label
+ * @param {object} context - Command context
+ * @returns {function|null} - progressCallback for the compressors
+ */
+function progressPrinter(label, context) {
+    if (context.json || !process.stderr.isTTY) return null;
+    return ({ current, total, file }) => {
+        process.stderr.write(`\r\x1b[K${label} [${current}/${total}] ${file}`);
+        if (current === total) process.stderr.write('\n');
+    };
+}
+
+/**
+ * Print budget verdicts
+ * @param {object[]} results - evaluateBudgets() results
+ * @param {number} top - Offenders listed per failing network
+ * @param {function} print - Line printer
+ */
+function printBudgets(results, top, print) {
+    if (!results.length) {
+        print('No enabled budget profiles');
+        return;
+    }
+
+    for (const result of results) {
+        const verdict = result.pass ? 'PASS' : 'FAIL';
+        const headroom = result.headroom >= 0 ? `${formatBytes(result.headroom)} left` : `over by ${formatBytes(-result.headroom)}`;
+        print(row([verdict, result.name, `${formatBytes(result.size)} / ${formatBytes(result.maxSize)}`, `(${result.format}, ${headroom})`], [4, 12, -23, 0]));
+        for (const issue of result.issues) print(`      - ${issue}`);
+        for (const offender of result.offenders.slice(0, top)) {
+            print(`      ${formatBytes(offender.size).padStart(10)}  ${offender.path}`);
+        }
+    }
+}
+
+/**
+ * Print the totals of a compression run
+ * @param {string} label - "Images" or "Audio"
+ * @param {object} results - compressDirectory() / compressAudioDirectory() results
+ * @param {function} print - Line printer
+ */
+function printRun(label, results, print) {
+    const converted = results.converted ? `, ${results.converted} converted` : '';
+    print(`${label}: ${results.compressed} compressed${converted}, ${results.skipped} skipped, ${results.failed} failed of ${results.total}`);
+    print(`  ${formatBytes(results.originalSize)} -> ${formatBytes(results.newSize)} (saved ${formatBytes(results.savedSize)})`);
+    for (const file of results.files.filter(f => !f.success)) print(`  failed: ${file.path}: ${String(file.error).trim()}`);
+    for (const ref of results.brokenReferences || []) {
+        print(`  warning: ${ref.path} now references missing UUID ${ref.uuid}`);
+    }
+    if (results.cancelled) print('  cancelled before the end');
+}
+
+/**
+ * Run image compression over the root (or --target)
+ * @param {object} context - Command context
+ * @returns {Promise<object>} - compressDirectory() results with batchId and brokenReferences
+ */
+async function runImages(context) {
+    const { rootDir, values, rules, signal } = context;
+    const options = imageOptions(values);
+
+    const profiles = loadProfiles(rootDir);
+    if (options.convertTo) {
+        const conflicts = findFormatConflicts(profiles, options.convertTo);
+        if (conflicts.length) {
+            throw new Error(`${options.convertTo.toUpperCase()} is not accepted by: ${conflicts.map(p => p.name).join(', ')}`);
+        }
+    }
+    // Rules convert on their own, so their targets must pass the same checks
+    for (const rule of rules.imageConversions) {
+        if (!CONVERSION_TARGETS.includes(rule.convertTo)) {
+            throw new Error(`Unsupported conversion format: ${rule.convertTo} (rule ${rule.match})`);
+        }
+        const conflicts = findFormatConflicts(profiles, rule.convertTo);
+        if (conflicts.length) {
+            throw new Error(`${rule.convertTo.toUpperCase()} (rule ${rule.match}) is not accepted by: ${conflicts.map(p => p.name).join(', ')}`);
+        }
+    }
+
+    const targetDir = resolveTarget(rootDir, values.target);
+    const backup = createBackupBatch(rootDir, 'compress-images', { targetPath: values.target || null, ...options });
+    const baseline = options.convertTo || rules.convertsImages ? await findMissingReferences(rootDir) : null;
+    const results = await compressDirectory(targetDir, {
+        ...options,
+        concurrency: parseCount(values.concurrency, 'concurrency') || undefined,
+        backup,
+        rules,
+        signal
+    }, progressPrinter('Images', context));
+    results.batchId = backup.batchId;
+    results.brokenReferences = baseline ? await findMissingReferences(rootDir, baseline) : [];
+    return results;
+}
+
+/**
+ * Run audio compression over the root (or --target)
+ * @param {object} context - Command context
+ * @returns {Promise<object>} - compressAudioDirectory() results with batchId and brokenReferences
+ */
+async function runAudio(context) {
+    const { rootDir, values, rules, signal } = context;
+    const options = audioOptions(values);
+
+    const targetDir = resolveTarget(rootDir, values.target);
+    const backup = createBackupBatch(rootDir, 'compress-audio', { targetPath: values.target || null, ...options });
+    const baseline = await findMissingReferences(rootDir);
+    const results = await compressAudioDirectory(targetDir, {
+        ...options,
+        concurrency: parseCount(values.concurrency, 'concurrency') || undefined,
+        backup,
+        rules,
+        signal
+    }, progressPrinter('Audio', context));
+    results.batchId = backup.batchId;
+    results.brokenReferences = await findMissingReferences(rootDir, baseline);
+    return results;
+}
+
+/**
+ * Evaluate budgets against a fresh delivered-size scan
+ * @param {object} context - Command context
+ * @returns {Promise<object[]>} - evaluateBudgets() results
+ */
+async function runBudgets(context) {
+    const profiles = selectProfiles(context.rootDir, context.values);
+    const scan = await scanDirectory(context.rootDir, { delivered: true, useIndex: context.useIndex, rules: context.rules });
+    return evaluateBudgets(context.rootDir, scan, profiles);
+}
+
+// Subcommands: run(context) prints its result and returns the exit code
+const COMMANDS = {
+    async scan(context) {
+        const scan = await scanDirectory(context.rootDir, { details: true, useIndex: context.useIndex, rules: context.rules });
+        if (context.json) {
+            context.print(JSON.stringify(scan, null, 2));
+            return EXIT_OK;
+        }
+
+        const total = scan.files.reduce((s, f) => s + f.size, 0);
+        context.print(`${scan.rootPath}: ${formatBytes(total)} in ${scan.files.length} files`);
+        context.print('');
+        context.print(row(['Type', 'Files', 'Size'], [10, -7, -12]));
+        const types = Object.entries(scan.typeStats).sort((a, b) => b[1].size - a[1].size);
+        for (const [type, stats] of types) {
+            context.print(row([type, String(stats.count), formatBytes(stats.size)], [10, -7, -12]));
+        }
+        return EXIT_OK;
+    },
+
+    async report(context) {
+        const { rootDir, values, rules } = context;
+        const format = values.format || (context.json ? 'json' : null);
+        if (format && !Object.hasOwn(REPORT_FORMATS, format)) throw new UsageError(`Unsupported report format: ${format}`);
+
+        const top = parseCount(values.top, 'top') || 10;
+        const scan = await scanDirectory(rootDir, { details: true, delivered: true, useIndex: context.useIndex, rules });
+        const report = buildReport(scan, {
+            top,
+            budgets: evaluateBudgets(rootDir, scan, selectProfiles(rootDir, values)),
+            estimate: {
+                images: await estimateCompression(rootDir, { ...imageOptions(values), dataDir: rootDir, rules }),
+                audio: await estimateAudioCompression(rootDir, { ...audioOptions(values), dataDir: rootDir, rules })
+            }
+        });
+
+        if (format) {
+            const { content } = renderReport(report, format);
+            if (values.output) {
+                fs.writeFileSync(path.resolve(values.output), content, 'utf8');
+            } else {
+                context.stdout.write(content.endsWith('\n') ? content : `${content}\n`);
+            }
+            return EXIT_OK;
+        }
+
+        const stats = report.deliveredStats;
+        const lines = [
+            `${report.rootPath} (${report.fileCount} files)`,
+            `  raw ${formatBytes(stats.raw)}, inlined ${formatBytes(stats.inlined)}, gzip ${formatBytes(stats.gzip)}, brotli ${formatBytes(stats.brotli)}, zip ${formatBytes(stats.zip)}`,
+            '',
+            'By type:'
+        ];
+        for (const [type, typeStats] of Object.entries(report.typeStats).sort((a, b) => b[1].size - a[1].size)) {
+            lines.push(`  ${row([type, String(typeStats.count), formatBytes(typeStats.size)], [10, -7, -12])}`);
+        }
+        lines.push('', `Largest ${report.largest.length} files:`);
+        for (const file of report.largest) lines.push(`  ${formatBytes(file.size).padStart(10)}  ${file.path}`);
+        lines.push('', 'Possible savings:');
+        const { images, audio } = report.estimate;
+        lines.push(`  images: ${formatBytes(images.saving)} of ${formatBytes(images.size)} (${images.count} files)`);
+        lines.push(`  audio:  ${formatBytes(audio.saving)} of ${formatBytes(audio.size)} (${audio.count} files)`);
+        lines.push('', 'Budgets:');
+        printBudgets(report.budgets, top, line => lines.push(`  ${line}`));
+
+        if (values.output) {
+            fs.writeFileSync(path.resolve(values.output), lines.join('\n') + '\n', 'utf8');
+        } else {
+            lines.forEach(context.print);
+        }
+        return EXIT_OK;
+    },
+
+    async 'compress-images'(context) {
+        const results = await runImages(context);
+        if (context.json) {
+            context.print(JSON.stringify(results, null, 2));
+        } else {
+            printRun('Images', results, context.print);
+        }
+        return EXIT_OK;
+    },
+
+    async 'compress-audio'(context) {
+        const results = await runAudio(context);
+        if (context.json) {
+            context.print(JSON.stringify(results, null, 2));
+        } else {
+            printRun('Audio', results, context.print);
+        }
+        return EXIT_OK;
+    },
+
+    async 'optimize-all'(context) {
+        const images = await runImages(context);
+        const audio = images.cancelled ? null : await runAudio(context);
+        const budgets = await runBudgets(context);
+        const pass = budgets.every(result => result.pass);
+
+        if (context.json) {
+            context.print(JSON.stringify({ images, audio, budgets, pass }, null, 2));
+        } else {
+            printRun('Images', images, context.print);
+            if (audio) printRun('Audio', audio, context.print);
+            context.print('');
+            printBudgets(budgets, parseCount(context.values.top, 'top') || 10, context.print);
+        }
+        return pass ? EXIT_OK : EXIT_OVER_BUDGET;
+    },
+
+    async check(context) {
+        const budgets = await runBudgets(context);
+        const pass = budgets.every(result => result.pass);
+
+        if (context.json) {
+            context.print(JSON.stringify({ pass, budgets }, null, 2));
+        } else {
+            printBudgets(budgets, parseCount(context.values.top, 'top') || 10, context.print);
+        }
+        return pass ? EXIT_OK : EXIT_OVER_BUDGET;
+    }
+};
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the script name
+ * @param {object} io - Output streams and abort signal (defaults: process stdout/stderr)
+ * @returns {Promise<number>} - Exit code
+ */
+async function run(argv, io = {}) {
+    const { stdout = process.stdout, stderr = process.stderr, signal = null } = io;
+    const print = line => stdout.write(`${line}\n`);
+
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return EXIT_ERROR;
+    }
+
+    const { values, positionals } = parsed;
+    const [command, root = '.'] = positionals;
+    // Asked-for help is regular output; a missing command is an error
+    if (values.help) {
+        stdout.write(`${USAGE}\n`);
+        return EXIT_OK;
+    }
+    if (!command) {
+        stderr.write(`${USAGE}\n`);
+        return EXIT_ERROR;
+    }
+    if (!COMMANDS[command]) {
+        stderr.write(`Unknown command: ${command}\n\n${USAGE}\n`);
+        return EXIT_ERROR;
+    }
+
+    const rootDir = path.resolve(root);
+    if (!fs.existsSync(rootDir) || !fs.statSync(rootDir).isDirectory()) {
+        stderr.write(`Not a directory: ${rootDir}\n`);
+        return EXIT_ERROR;
+    }
+
+    try {
+        // CI runs scan the checkout; the scan index is only written there when asked for
+        const context = {
+            rootDir,
+            values,
+            json: Boolean(values.json),
+            useIndex: Boolean(values.cache),
+            rules: loadRules(rootDir),
+            signal,
+            stdout,
+            print
+        };
+        return await COMMANDS[command](context);
+    } catch (error) {
+        stderr.write(error instanceof UsageError ? `${error.message}\n\n${USAGE}\n` : `Error: ${error.message}\n`);
+        return EXIT_ERROR;
+    }
+}
+
+module.exports = {
+    EXIT_OK,
+    EXIT_OVER_BUDGET,
+    EXIT_ERROR,
+    run
+};
@@ -1,50 +1,298 @@
 /**
  * Image Compression Module
- * Compress PNG/JPG images using sharp
+ * Compress PNG/JPG images using sharp, optionally converting them to WebP/AVIF
  */
 
 const sharp = require('sharp');
 const fs = require('fs').promises;
 const path = require('path');
+const { hashFile, collectFiles } = require('./scanner');
+const { createPreviewCache } = require('./previewCache');
+const { readRawPixels, computePsnr, computeSsim } = require('./imageMetrics');
+const { moveMeta } = require('./assetGraph');
+const { runPool } = require('./pool');
+const { IGNORE_FILE, loadRules } = require('./rules');
+
+const ENCODABLE_FORMATS = ['png', 'jpeg', 'jpg', 'webp'];
+
+// Sources that may be converted, and the formats they can be converted to
+const CONVERTIBLE_FORMATS = ['png', 'jpeg', 'jpg'];
+const CONVERSION_TARGETS = ['webp', 'avif'];
+
+/**
+ * Open an image with the optional downscale applied
+ * @param {string} filePath - Absolute path to image
+ * @param {object} options - Compression options (maxWidth, maxHeight)
+ * @returns {object} - sharp instance
+ */
+function loadImage(filePath, options = {}) {
+    const { maxWidth = null, maxHeight = null } = options;
+    const image = sharp(filePath);
+
+    // Resize if needed
+    if (maxWidth || maxHeight) {
+        image.resize(maxWidth, maxHeight, {
+            fit: 'inside',
+            withoutEnlargement: true
+        });
+    }
+    return image;
+}
+
+/**
+ * Encode a PNG with palette quantization (pngquant-style), falling back to lossless
+ * when the quantized result drifts too far from the source
+ * @param {string} filePath - Absolute path to image
+ * @param {object} options - Compression options
+ * @returns {Promise<{buffer: Buffer, pngMode: string, psnr: number|null}>}
+ */
+async function encodePng(filePath, options = {}) {
+    const {
+        quality = 80,
+        palette = true,         // Lossy palette quantization; false = lossless only
+        colors = 256,           // Max palette size (2-256)
+        dither = 1.0,           // Floyd-Steinberg dithering level (0-1)
+        effort = 7,             // Quantization CPU effort (1-10)
+        minPsnr = 36            // Below this (dB) the quantized result is rejected
+    } = options;
+
+    const lossless = () => loadImage(filePath, options).png({ compressionLevel: 9 }).toBuffer();
+
+    if (!palette) {
+        return { buffer: await lossless(), pngMode: 'lossless', psnr: null };
+    }
+
+    const quantized = await loadImage(filePath, options)
+        .png({ compressionLevel: 9, palette: true, quality, colours: colors, dither, effort })
+        .toBuffer();
+
+    // Compare against the (resized) source, not the file on disk
+    const reference = await readRawPixels(loadImage(filePath, options));
+    const result = await readRawPixels(quantized);
+    const psnr = computePsnr(reference.data, result.data);
+
+    if (psnr < minPsnr) {
+        return { buffer: await lossless(), pngMode: 'lossless', psnr };
+    }
+    return { buffer: quantized, pngMode: 'palette', psnr };
+}
+
+/**
+ * Score an encoded image against the reference pixels
+ * @param {object} reference - readRawPixels() of the (resized) source
+ * @param {Buffer} buffer - Encoded image
+ * @param {string} metric - "ssim" or "psnr"
+ * @returns {Promise<number>}
+ */
+async function scoreEncode(reference, buffer, metric) {
+    const result = await readRawPixels(buffer);
+    return metric === 'psnr'
+        ? computePsnr(reference.data, result.data)
+        : computeSsim(reference.data, result.data, reference.width, reference.height);
+}
+
+/**
+ * Find the lowest quality whose output still meets a perceptual target
+ * Binary search over quality; every probe is encoded in memory and scored against the source
+ * @param {string} filePath - Absolute path to image
+ * @param {string} format - Output format
+ * @param {object} options - Compression options
+ * @param {string} options.metric - "ssim" (default) or "psnr"
+ * @param {number} options.target - Minimum score (default SSIM 0.98 / PSNR 38 dB)
+ * @param {number} options.minQuality - Lowest quality tried
+ * @param {number} options.maxQuality - Highest quality tried
+ * @returns {Promise<object>} - Encoded image with chosen quality and score
+ */
+async function searchQuality(filePath, format, options = {}) {
+    const {
+        metric = 'ssim',
+        target = metric === 'psnr' ? 38 : 0.98,
+        minQuality = 30,
+        maxQuality = 95
+    } = options;
+    const reference = await readRawPixels(loadImage(filePath, options));
+    const probes = {};
+
+    const probe = async quality => {
+        if (!probes[quality]) {
+            // The target is the quality gate here, so encodePng's own PSNR fallback is off
+            const encoded = await encodeImage(filePath, { ...options, quality, minPsnr: -Infinity });
+            probes[quality] = { ...encoded, quality, score: await scoreEncode(reference, encoded.buffer, metric) };
+        }
+        return probes[quality];
+    };
+
+    if ((await probe(maxQuality)).score < target) {
+        // Even the best lossy encode misses the target: PNG goes lossless, others stay untouched
+        if (format === 'png') {
+            const encoded = await encodePng(filePath, { ...options, palette: false });
+            return { ...encoded, format, quality: null, score: null, metric, target, targetMet: true };
+        }
+        return { ...probes[maxQuality], metric, target, targetMet: false };
+    }
+
+    let lo = minQuality;
+    let hi = maxQuality;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if ((await probe(mid)).score >= target) {
+            hi = mid;
+        } else {
+            lo = mid + 1;
+        }
+    }
+
+    return { ...probes[hi], metric, target, targetMet: true };
+}
+
+/**
+ * Pick the output format for a source image
+ * @param {string} sourceFormat - Format from sharp metadata
+ * @param {string|null} convertTo - Requested conversion target ("webp", "avif")
+ * @returns {string}
+ */
+function resolveOutputFormat(sourceFormat, convertTo) {
+    if (convertTo && CONVERSION_TARGETS.includes(convertTo) && CONVERTIBLE_FORMATS.includes(sourceFormat)) {
+        return convertTo;
+    }
+    return sourceFormat;
+}
+
+/**
+ * Encode an image in memory with the given settings, without touching the file
+ * @param {string} filePath - Absolute path to image
+ * @param {object} options - Compression options; quality "auto" searches per image
+ * @param {string} options.convertTo - Convert PNG/JPG to "webp" or "avif" instead of re-encoding in place
+ * @returns {Promise<{buffer: Buffer, format: string, pngMode?: string, psnr?: number|null}|null>} - Encoded image, null for unsupported formats
+ */
+async function encodeImage(filePath, options = {}) {
+    const { quality = 80, palette = true, convertTo = null, lossless = false } = options;
+    const metadata = await sharp(filePath).metadata();
+
+    if (!ENCODABLE_FORMATS.includes(metadata.format)) {
+        return null;
+    }
+
+    const format = resolveOutputFormat(metadata.format, convertTo);
+
+    // Lossless PNG has no quality knob to search
+    if (quality === 'auto' && !lossless && !(format === 'png' && !palette)) {
+        return searchQuality(filePath, format, options);
+    }
+
+    // Compress based on format; WebP and AVIF keep the alpha channel
+    if (format === 'png') {
+        return { ...(await encodePng(filePath, options)), format };
+    } else if (format === 'jpeg' || format === 'jpg') {
+        return { buffer: await loadImage(filePath, options).jpeg({ quality, mozjpeg: true }).toBuffer(), format };
+    } else if (format === 'avif') {
+        const avifOptions = lossless ? { lossless: true } : { quality };
+        return { buffer: await loadImage(filePath, options).avif(avifOptions).toBuffer(), format };
+    }
+    const webpOptions = lossless ? { lossless: true } : { quality, alphaQuality: 100 };
+    return { buffer: await loadImage(filePath, options).webp(webpOptions).toBuffer(), format };
+}
+
+/**
+ * Get the path a converted image is written to
+ * @param {string} filePath - Absolute path to the source image
+ * @param {string} format - Output format of encodeImage()
+ * @returns {string|null} - New path, null when the image keeps its format
+ */
+function convertedPath(filePath, format) {
+    const ext = path.extname(filePath);
+    if (!CONVERSION_TARGETS.includes(format) || ext.toLowerCase() === `.${format}`) return null;
+    return filePath.slice(0, -ext.length) + `.${format}`;
+}
+
+/**
+ * Pick the result fields that describe how an image was encoded
+ * @param {object} encoded - encodeImage() result
+ * @returns {object}
+ */
+function describeEncode(encoded) {
+    // JSON has no Infinity - identical pixels report null
+    const round = (value, digits) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+    const info = {};
+
+    if (encoded.pngMode) {
+        info.pngMode = encoded.pngMode;
+        info.psnr = round(encoded.psnr, 2);
+    }
+    if (encoded.metric) {
+        info.quality = encoded.quality;
+        info.metric = encoded.metric;
+        info.score = round(encoded.score, 4);
+        info.target = encoded.target;
+        info.targetMet = encoded.targetMet;
+    }
+    return info;
+}
+
+/**
+ * Check whether an image may not be compressed at all under the rules
+ * @param {string} filePath - Absolute path to image
+ * @param {object} rules - loadRules() rule set
+ * @param {object|null} rule - Resolved rule of the file
+ * @returns {string|null} - Skip reason, null when the image may be compressed
+ */
+function ruleSkipReason(filePath, rules, rule) {
+    if (rules.isIgnored(filePath)) return `Ignored by ${IGNORE_FILE}`;
+    if (!rule) return null;
+    if (rule.skip) return `Not optimized (rule ${rule.patterns.join(', ')})`;
+    // JPEG has no lossless re-encode; a lossless rule leaves it untouched
+    if (rule.image.lossless && !rule.image.convertTo && ['.jpg', '.jpeg'].includes(path.extname(filePath).toLowerCase())) {
+        return `Lossless only (rule ${rule.patterns.join(', ')})`;
+    }
+    return null;
+}
 
 /**
  * Compress a single image file
  * @param {string} filePath - Absolute path to image
  * @param {object} options - Compression options
+ * @param {object} options.backup - Optional createBackupBatch() batch, snapshots the original before overwrite
+ * @param {string} options.convertTo - Convert PNG/JPG to "webp" or "avif"; the file is renamed and its .meta
+ *   moved along so the Cocos UUID stays the same
+ * @param {object} options.rules - Optional loadRules() rule set; the file's rule overrides the options
+ * @param {boolean} options.resizeOnly - Take only maxSize from the rules, e.g. for a bulk resize
  * @returns {Promise<{success: boolean, originalSize: number, newSize: number, saved: number}>}
  */
 async function compressImage(filePath, options = {}) {
+    const { rules = null } = options;
+    const rule = rules ? rules.resolve(filePath) : null;
+    const ruleInfo = rule ? { rule: { patterns: rule.patterns, summary: rule.summary } } : {};
+
+    if (rules) {
+        const reason = ruleSkipReason(filePath, rules, rule);
+        if (reason) {
+            const originalSize = await fs.stat(filePath).then(stats => stats.size, () => 0);
+            return { success: true, originalSize, newSize: originalSize, saved: 0, skipped: true, reason, ...ruleInfo };
+        }
+    }
+
+    const result = await writeCompressedImage(filePath, rules ? rules.applyImage(options, rule) : options);
+    return { ...result, ...ruleInfo };
+}
+
+/**
+ * Encode an image and write it back (or to its converted name) when smaller
+ * @param {string} filePath - Absolute path to image
+ * @param {object} options - Compression options with any rule applied
+ * @returns {Promise<object>} - compressImage() result
+ */
+async function writeCompressedImage(filePath, options) {
     try {
-        const {
-            quality = 80,
-            maxWidth = null,
-            maxHeight = null
-        } = options;
+        const { backup = null } = options;
 
         // Get original size
         const stats = await fs.stat(filePath);
         const originalSize = stats.size;
 
-        // Read image
-        let image = sharp(filePath);
-        const metadata = await image.metadata();
-
-        // Resize if needed
-        if (maxWidth || maxHeight) {
-            image = image.resize(maxWidth, maxHeight, {
-                fit: 'inside',
-                withoutEnlargement: true
-            });
-        }
+        // Save to temp buffer first
+        const encoded = await encodeImage(filePath, options);
 
-        // Compress based on format
-        if (metadata.format === 'png') {
-            image = image.png({ compressionLevel: 9, quality });
-        } else if (metadata.format === 'jpeg' || metadata.format === 'jpg') {
-            image = image.jpeg({ quality, mozjpeg: true });
-        } else if (metadata.format === 'webp') {
-            image = image.webp({ quality });
-        } else {
+        if (!encoded) {
             // For unsupported formats, just return original
             return {
                 success: true,
@@ -56,19 +304,62 @@ async function compressImage(filePath, options = {}) {
             };
         }
 
-        // Save to temp buffer first
-        const buffer = await image.toBuffer();
+        const { buffer } = encoded;
         const newSize = buffer.length;
+        const encodeInfo = describeEncode(encoded);
+        const targetPath = convertedPath(filePath, encoded.format);
+
+        if (targetPath && await fs.access(targetPath).then(() => true, () => false)) {
+            return {
+                success: true,
+                originalSize,
+                newSize: originalSize,
+                saved: 0,
+                skipped: true,
+                reason: `${path.basename(targetPath)} already exists`
+            };
+        }
+
+        if (encoded.targetMet === false) {
+            return {
+                success: true,
+                originalSize,
+                newSize: originalSize,
+                saved: 0,
+                skipped: true,
+                reason: `No quality reaches ${encoded.metric.toUpperCase()} ${encoded.target}`,
+                ...encodeInfo
+            };
+        }
 
         // Only save if compressed version is smaller
-        if (newSize < originalSize) {
+        if (newSize < originalSize && targetPath) {
+            // Restoring the backup brings the original back and removes the converted file
+            if (backup) await backup.save(filePath, { createdPath: targetPath });
+            await fs.writeFile(targetPath, buffer);
+            await fs.unlink(filePath);
+            const metaMoved = await moveMeta(filePath, targetPath, backup);
+            return {
+                success: true,
+                originalSize,
+                newSize,
+                saved: originalSize - newSize,
+                skipped: false,
+                convertedTo: encoded.format,
+                newName: path.basename(targetPath),
+                metaMoved,
+                ...encodeInfo
+            };
+        } else if (newSize < originalSize) {
+            if (backup) await backup.save(filePath);
             await fs.writeFile(filePath, buffer);
             return {
                 success: true,
                 originalSize,
                 newSize,
                 saved: originalSize - newSize,
-                skipped: false
+                skipped: false,
+                ...encodeInfo
             };
         } else {
             return {
@@ -77,7 +368,8 @@ async function compressImage(filePath, options = {}) {
                 newSize: originalSize,
                 saved: 0,
                 skipped: true,
-                reason: 'Compressed version is larger'
+                reason: targetPath ? `${encoded.format.toUpperCase()} version is larger` : 'Compressed version is larger',
+                ...encodeInfo
             };
         }
     } catch (error) {
@@ -93,13 +385,21 @@ async function compressImage(filePath, options = {}) {
 
 /**
  * Compress all images in a directory
+ * Images are encoded in parallel; progress and results still come in walk order
  * @param {string} rootDir - Root directory to scan
  * @param {object} options - Compression options
+ * @param {number} options.concurrency - Images encoded at once (default: CPU count)
+ * @param {AbortSignal} options.signal - Stops starting new images once aborted
+ * @param {object[]} options.resume - { path, result } of files an earlier run already finished
+ * @param {string[]} options.paths - Only these files (relative to rootDir), e.g. a selection from the file list
+ * @param {function} options.onFile - Called with (relPath, result) as each file finishes, in completion order
+ * @param {object} options.rules - loadRules() rule set of the analyzed root (default: rules of rootDir)
  * @param {function} progressCallback - Progress callback
  * @returns {Promise<object>} - Compression results
  */
 async function compressDirectory(rootDir, options = {}, progressCallback = null) {
     const imageExtensions = ['.png', '.jpg', '.jpeg', '.webp'];
+    const { concurrency, signal = null, resume = [], paths = null, onFile = null, rules = loadRules(rootDir) } = options;
     const results = {
         total: 0,
         compressed: 0,
@@ -111,64 +411,108 @@ async function compressDirectory(rootDir, options = {}, progressCallback = null)
         files: []
     };
 
-    async function scanDir(dir) {
-        const entries = await fs.readdir(dir, { withFileTypes: true });
-
-        for (const entry of entries) {
-            const fullPath = path.join(dir, entry.name);
+    // Count one file into the totals
+    const tally = (relPath, result) => {
+        results.total++;
+        results.originalSize += result.originalSize;
+        results.newSize += result.newSize;
+        results.savedSize += result.saved;
 
-            if (entry.isDirectory()) {
-                await scanDir(fullPath);
-            } else if (entry.isFile()) {
-                const ext = path.extname(entry.name).toLowerCase();
-                if (imageExtensions.includes(ext)) {
-                    results.total++;
+        if (result.success) {
+            if (result.skipped) {
+                results.skipped++;
+            } else {
+                results.compressed++;
+            }
+        } else {
+            results.failed++;
+        }
 
-                    if (progressCallback) {
-                        progressCallback({
-                            current: results.total,
-                            file: path.relative(rootDir, fullPath)
-                        });
-                    }
+        results.files.push({
+            path: relPath,
+            ...result
+        });
+    };
 
-                    const result = await compressImage(fullPath, options);
+    // Files finished by an interrupted run are counted, not compressed again - nor are their converted outputs
+    const done = new Set();
+    for (const entry of resume) {
+        tally(entry.path, entry.result);
+        done.add(entry.path);
+        if (entry.result.newName) done.add(path.join(path.dirname(entry.path), entry.result.newName));
+    }
 
-                    results.originalSize += result.originalSize;
-                    results.newSize += result.newSize;
-                    results.savedSize += result.saved;
+    const selected = paths ? new Set(paths.map(relPath => path.normalize(relPath))) : null;
+    const images = (await collectFiles(rootDir, imageExtensions, rules))
+        .filter(fullPath => !done.has(path.relative(rootDir, fullPath)))
+        .filter(fullPath => !selected || selected.has(path.relative(rootDir, fullPath)));
+    const total = results.total + images.length;
 
-                    if (result.success) {
-                        if (result.skipped) {
-                            results.skipped++;
-                        } else {
-                            results.compressed++;
-                        }
-                    } else {
-                        results.failed++;
-                    }
+    await runPool(images, fullPath => compressImage(fullPath, { ...options, rules }), {
+        concurrency,
+        signal,
+        // bg.png and bg.jpg would both convert to bg.webp - never let them race
+        serializeBy: fullPath => fullPath.slice(0, -path.extname(fullPath).length).toLowerCase(),
+        // Recorded as soon as the file is done, so a crash never redoes a file that finished behind a slow one
+        onSettled: (result, fullPath) => {
+            if (onFile) onFile(path.relative(rootDir, fullPath), result);
+        },
+        onResult: (result, fullPath) => {
+            const relPath = path.relative(rootDir, fullPath);
+            tally(relPath, result);
 
-                    results.files.push({
-                        path: path.relative(rootDir, fullPath),
-                        ...result
-                    });
-                }
+            if (progressCallback) {
+                progressCallback({
+                    current: results.total,
+                    total,
+                    file: relPath
+                });
             }
         }
-    }
+    });
 
-    await scanDir(rootDir);
+    // Stopped between files before reaching the end
+    if (results.total < total) results.cancelled = true;
     return results;
 }
 
 /**
  * Get compression estimate (dry run)
+ * Every image is encoded in memory with the given settings; predictions are cached
+ * by content hash in .optimize-data so unchanged files are not encoded again
  * @param {string} rootDir - Root directory
- * @returns {Promise<object>} - Estimation results
+ * @param {object} options - Compression options (quality, maxWidth, maxHeight, convertTo)
+ * @param {string} options.dataDir - Root directory holding .optimize-data (defaults to rootDir)
+ * @param {object} options.rules - loadRules() rule set (default: rules of dataDir)
+ * @returns {Promise<object>} - Estimation results with predicted size per file
  */
-async function estimateCompression(rootDir) {
+async function estimateCompression(rootDir, options = {}) {
     const imageExtensions = ['.png', '.jpg', '.jpeg', '.webp'];
+    const { dataDir = rootDir, rules = loadRules(dataDir), ...encodeOptions } = options;
+    const {
+        quality = 80,
+        maxWidth = null,
+        maxHeight = null,
+        palette = true,
+        colors = 256,
+        dither = 1.0,
+        effort = 7,
+        minPsnr = 36,
+        metric = 'ssim',
+        target = null,
+        minQuality = 30,
+        maxQuality = 95,
+        convertTo = null
+    } = encodeOptions;
+    const settings = { quality, maxWidth, maxHeight, palette, colors, dither, effort, minPsnr };
+    if (convertTo) settings.convertTo = convertTo;
+    // Search settings only matter in auto mode; keep them out of fixed-quality cache keys
+    if (quality === 'auto') Object.assign(settings, { metric, minQuality, maxQuality, ...(target !== null && { target }) });
+    const cache = createPreviewCache(dataDir, 'image');
     let totalImages = 0;
     let totalSize = 0;
+    let predictedSize = 0;
+    let cachedCount = 0;
     const files = [];
 
     async function scanDir(dir) {
@@ -178,16 +522,52 @@ async function estimateCompression(rootDir) {
             const fullPath = path.join(dir, entry.name);
 
             if (entry.isDirectory()) {
+                if (entry.name.startsWith('.') || rules.isIgnored(fullPath, true)) continue;
                 await scanDir(fullPath);
-            } else if (entry.isFile()) {
+            } else if (entry.isFile() && !rules.isIgnored(fullPath)) {
                 const ext = path.extname(entry.name).toLowerCase();
                 if (imageExtensions.includes(ext)) {
                     const stats = await fs.stat(fullPath);
+                    const rule = rules.resolve(fullPath);
+                    const skipReason = ruleSkipReason(fullPath, rules, rule);
+                    // Rule settings are part of the cache key, so editing a rule re-predicts its files
+                    const fileSettings = rules.applyImage(settings, rule);
+                    const hash = hashFile(fullPath);
+                    let prediction = skipReason ? { size: stats.size, reason: skipReason } : cache.get(hash, fileSettings);
+
+                    if (prediction) {
+                        if (!skipReason) cachedCount++;
+                    } else {
+                        try {
+                            const encoded = await encodeImage(fullPath, fileSettings);
+                            // compressImage keeps the original unless the new encode is smaller
+                            const usable = encoded && encoded.targetMet !== false && encoded.buffer.length < stats.size;
+                            prediction = {
+                                size: usable ? encoded.buffer.length : stats.size,
+                                ...(usable && convertedPath(fullPath, encoded.format) && { convertedTo: encoded.format }),
+                                ...(encoded ? describeEncode(encoded) : {})
+                            };
+                        } catch (error) {
+                            prediction = { size: stats.size, error: error.message };
+                        }
+                        // Failures may be transient (missing encoder, locked file), so they are retried next run
+                        if (!prediction.error) cache.set(hash, fileSettings, prediction);
+                    }
+
                     totalImages++;
                     totalSize += stats.size;
+                    predictedSize += prediction.size;
                     files.push({
                         path: path.relative(rootDir, fullPath),
-                        size: stats.size
+                        size: stats.size,
+                        predictedSize: prediction.size,
+                        saved: stats.size - prediction.size,
+                        pngMode: prediction.pngMode || null,
+                        quality: prediction.quality !== undefined ? prediction.quality : fileSettings.quality,
+                        convertedTo: prediction.convertedTo || null,
+                        rule: rule ? { patterns: rule.patterns, summary: rule.summary } : null,
+                        reason: prediction.reason || null,
+                        error: prediction.error || null
                     });
                 }
             }
@@ -195,16 +575,21 @@ async function estimateCompression(rootDir) {
     }
 
     await scanDir(rootDir);
+    cache.save();
 
     return {
         totalImages,
         totalSize,
-        estimatedSaving: Math.floor(totalSize * 0.3), // Estimate 30% reduction
+        predictedSize,
+        estimatedSaving: totalSize - predictedSize,
+        cachedCount,
         files
     };
 }
 
 module.exports = {
+    CONVERSION_TARGETS,
+    encodeImage,
     compressImage,
     compressDirectory,
     estimateCompression
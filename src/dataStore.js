@@ -0,0 +1,60 @@
+/**
+ * Data Store Module
+ * Read and write tool state inside the .optimize-data folder of a root directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const OPTIMIZE_DATA_DIR = '.optimize-data';
+
+/**
+ * Get the .optimize-data path for a root directory
+ * @param {string} rootDir - Scanned root directory
+ * @param {...string} segments - Optional sub path inside the data folder
+ * @returns {string}
+ */
+function getDataPath(rootDir, ...segments) {
+    return path.join(rootDir, OPTIMIZE_DATA_DIR, ...segments);
+}
+
+/**
+ * Read a JSON file from the data folder
+ * @param {string} rootDir - Scanned root directory
+ * @param {string} name - File name relative to the data folder
+ * @param {*} fallback - Value returned when the file is missing
+ * @returns {*}
+ */
+function readJson(rootDir, name, fallback = null) {
+    const filePath = getDataPath(rootDir, name);
+    if (!fs.existsSync(filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Write a JSON file into the data folder, creating folders as needed
+ * @param {string} rootDir - Scanned root directory
+ * @param {string} name - File name relative to the data folder
+ * @param {*} data - JSON-serializable value
+ */
+function writeJson(rootDir, name, data) {
+    const filePath = getDataPath(rootDir, name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
+}
+
+/**
+ * Build a filesystem-safe timestamp id
+ * @returns {string}
+ */
+function timestampId() {
+    return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+module.exports = {
+    OPTIMIZE_DATA_DIR,
+    getDataPath,
+    readJson,
+    writeJson,
+    timestampId
+};
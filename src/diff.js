@@ -0,0 +1,115 @@
+/**
+ * Diff Module
+ * Compare two file lists - stored snapshots, the current folder or a git ref - file by file
+ * and folder by folder
+ *
+ * Sources: "current" (a fresh scan), a history snapshot id, or "git:<ref>" (e.g. git:main, git:HEAD~5)
+ * .meta files never ship and are left out of diffs
+ */
+
+const { scanDirectory } = require('./scanner');
+const { getSnapshot } = require('./history');
+const { describeRef, listFilesAtRef } = require('./git');
+const { loadRules } = require('./rules');
+
+/**
+ * Load the file list of a diff source
+ * @param {string} rootDir - Scanned root directory
+ * @param {string} source - "current", a snapshot id or "git:<ref>"
+ * @returns {Promise<{source: string, label: string, at: string|null, files: object[]}>}
+ */
+async function loadSource(rootDir, source) {
+    if (source === 'current') {
+        const scan = await scanDirectory(rootDir);
+        return { source, label: 'Current files', at: scan.scannedAt, files: scan.files };
+    }
+
+    if (source.startsWith('git:')) {
+        const ref = source.slice(4);
+        const commit = await describeRef(rootDir, ref);
+        return {
+            source,
+            label: `${ref} (${commit.commit.slice(0, 7)} ${commit.subject})`,
+            at: commit.date,
+            commit,
+            files: await listFilesAtRef(rootDir, ref, loadRules(rootDir))
+        };
+    }
+
+    const snapshot = getSnapshot(rootDir, source);
+    if (!snapshot) throw new Error(`Snapshot not found: ${source}`);
+    return { source, label: snapshot.label || 'Snapshot', at: snapshot.scannedAt, files: snapshot.files };
+}
+
+/**
+ * Add a file's size to its folder and every parent folder
+ * @param {object} folders - Folder path ("" = root) -> { before, after, delta }
+ * @param {string} filePath - File path relative to the root
+ * @param {string} side - "before" or "after"
+ * @param {number} size - File size
+ */
+function addToFolders(folders, filePath, side, size) {
+    const segments = filePath.split('/').slice(0, -1);
+    for (let i = 0; i <= segments.length; i++) {
+        const folderPath = segments.slice(0, i).join('/');
+        if (!folders[folderPath]) folders[folderPath] = { before: 0, after: 0, delta: 0 };
+        folders[folderPath][side] += size;
+    }
+}
+
+/**
+ * Compare two file lists
+ * @param {object[]} baseFiles - Files before ({ path, size, type })
+ * @param {object[]} headFiles - Files after
+ * @returns {object} - added / removed / grown / shrunk files (largest change first), unchangedCount,
+ *   totals and per-folder { before, after, delta } keyed by folder path ("" = root)
+ */
+function diffFiles(baseFiles, headFiles) {
+    const shipped = files => new Map(files.filter(f => f.type !== 'meta').map(f => [f.path, f]));
+    const base = shipped(baseFiles);
+    const head = shipped(headFiles);
+
+    const result = { added: [], removed: [], grown: [], shrunk: [], unchangedCount: 0, totals: null, folders: {} };
+
+    for (const [filePath, file] of head) {
+        const previous = base.get(filePath);
+        const entry = { path: filePath, type: file.type, before: previous ? previous.size : 0, after: file.size };
+        entry.delta = entry.after - entry.before;
+
+        addToFolders(result.folders, filePath, 'after', file.size);
+        if (!previous) result.added.push(entry);
+        else if (entry.delta > 0) result.grown.push(entry);
+        else if (entry.delta < 0) result.shrunk.push(entry);
+        else result.unchangedCount++;
+    }
+    for (const [filePath, file] of base) {
+        addToFolders(result.folders, filePath, 'before', file.size);
+        if (!head.has(filePath)) result.removed.push({ path: filePath, type: file.type, before: file.size, after: 0, delta: -file.size });
+    }
+
+    for (const list of [result.added, result.removed, result.grown, result.shrunk]) {
+        list.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+    }
+    for (const folder of Object.values(result.folders)) folder.delta = folder.after - folder.before;
+    result.totals = result.folders[''] || { before: 0, after: 0, delta: 0 };
+
+    return result;
+}
+
+/**
+ * Compare two diff sources
+ * @param {string} rootDir - Scanned root directory
+ * @param {string} baseSource - Source before (snapshot id, "git:<ref>" or "current")
+ * @param {string} headSource - Source after (default: current files)
+ * @returns {Promise<object>} - diffFiles() result with base and head descriptions
+ */
+async function diffSources(rootDir, baseSource, headSource = 'current') {
+    const { files: baseFiles, ...baseInfo } = await loadSource(rootDir, baseSource);
+    const { files: headFiles, ...headInfo } = await loadSource(rootDir, headSource);
+    return { base: baseInfo, head: headInfo, ...diffFiles(baseFiles, headFiles) };
+}
+
+module.exports = {
+    diffFiles,
+    diffSources
+};
@@ -0,0 +1,237 @@
+/**
+ * Duplicate Finder Module
+ * Group byte-identical files and near-identical images, merge copies into one survivor
+ */
+
+const sharp = require('sharp');
+const path = require('path');
+const { scanDirectory } = require('./scanner');
+const {
+    readMeta,
+    baseUuid,
+    rewriteUuidReferences,
+    quarantineAssets
+} = require('./assetGraph');
+
+const PERCEPTUAL_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp'];
+
+/**
+ * Compute a perceptual fingerprint of an image
+ * dHash on a 9x8 thumbnail plus mean color and aspect ratio,
+ * so flat images of different colors do not collide
+ * @param {string} filePath - Absolute path to image
+ * @returns {Promise<{hash: bigint, color: number[], aspect: number}>}
+ */
+async function imageFingerprint(filePath) {
+    const metadata = await sharp(filePath).metadata();
+    const data = await sharp(filePath)
+        .resize(9, 8, { fit: 'fill' })
+        .ensureAlpha()
+        .raw()
+        .toBuffer();
+
+    const luma = [];
+    const color = [0, 0, 0, 0];
+    for (let i = 0; i < 72; i++) {
+        const [r, g, b, a] = data.subarray(i * 4, i * 4 + 4);
+        luma.push((0.299 * r + 0.587 * g + 0.114 * b) * a / 255);
+        color[0] += r; color[1] += g; color[2] += b; color[3] += a;
+    }
+
+    let hash = 0n;
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            hash = (hash << 1n) | (luma[y * 9 + x] > luma[y * 9 + x + 1] ? 1n : 0n);
+        }
+    }
+
+    return {
+        hash,
+        color: color.map(c => c / 72),
+        aspect: metadata.width / metadata.height
+    };
+}
+
+/**
+ * Count differing bits between two hashes
+ * @param {bigint} a
+ * @param {bigint} b
+ * @returns {number}
+ */
+function hammingDistance(a, b) {
+    let x = a ^ b;
+    let count = 0;
+    while (x) {
+        count += Number(x & 1n);
+        x >>= 1n;
+    }
+    return count;
+}
+
+/**
+ * Check whether two image fingerprints look the same
+ * @param {object} a - imageFingerprint() result
+ * @param {object} b - imageFingerprint() result
+ * @param {number} threshold - Max differing hash bits
+ * @returns {boolean}
+ */
+function isSimilar(a, b, threshold) {
+    if (Math.abs(a.aspect - b.aspect) / Math.max(a.aspect, b.aspect) > 0.05) return false;
+    if (a.color.some((c, i) => Math.abs(c - b.color[i]) > 12)) return false;
+    return hammingDistance(a.hash, b.hash) <= threshold;
+}
+
+/**
+ * Find duplicate files in a directory
+ * @param {string} rootDir - Root directory to scan
+ * @param {object} options - Options
+ * @param {number} options.threshold - Max differing dHash bits for similar images (0-64)
+ * @returns {Promise<object>} - Duplicate groups with wasted bytes
+ */
+async function findDuplicates(rootDir, options = {}) {
+    const { threshold = 4 } = options;
+    const scan = await scanDirectory(rootDir, { hash: true });
+    const files = scan.files.filter(f => f.type !== 'meta' && f.size > 0);
+    const groups = [];
+
+    // Exact duplicates: same content hash
+    const byHash = {};
+    for (const file of files) {
+        if (!byHash[file.hash]) byHash[file.hash] = [];
+        byHash[file.hash].push(file);
+    }
+
+    for (const [hash, members] of Object.entries(byHash)) {
+        if (members.length < 2) continue;
+        groups.push({
+            kind: 'exact',
+            hash,
+            files: members.map(f => ({ path: f.path, size: f.size })),
+            wastedSize: members[0].size * (members.length - 1)
+        });
+    }
+
+    // Similar images: compare one representative per distinct content hash
+    const images = Object.values(byHash)
+        .map(members => members[0])
+        .filter(f => PERCEPTUAL_EXTENSIONS.includes(path.extname(f.path).toLowerCase()));
+
+    const prints = [];
+    for (const image of images) {
+        try {
+            prints.push({ file: image, print: await imageFingerprint(path.join(rootDir, image.path)) });
+        } catch {
+            // Unreadable image - skip perceptual matching for it
+        }
+    }
+
+    // Union-find over similar pairs
+    const parent = prints.map((_, i) => i);
+    const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    for (let i = 0; i < prints.length; i++) {
+        for (let j = i + 1; j < prints.length; j++) {
+            if (isSimilar(prints[i].print, prints[j].print, threshold)) {
+                parent[find(i)] = find(j);
+            }
+        }
+    }
+
+    const clusters = {};
+    prints.forEach((p, i) => {
+        const rootIdx = find(i);
+        if (!clusters[rootIdx]) clusters[rootIdx] = [];
+        clusters[rootIdx].push(p.file);
+    });
+
+    for (const cluster of Object.values(clusters)) {
+        if (cluster.length < 2) continue;
+        const members = cluster.flatMap(f => byHash[f.hash]);
+        const total = members.reduce((s, f) => s + f.size, 0);
+        const largest = Math.max(...members.map(f => f.size));
+        // Bytes already counted in an exact group are not wasted twice
+        const exactWaste = cluster.reduce((s, f) => s + f.size * (byHash[f.hash].length - 1), 0);
+
+        groups.push({
+            kind: 'similar',
+            files: members.map(f => ({ path: f.path, size: f.size })),
+            wastedSize: total - largest - exactWaste
+        });
+    }
+
+    groups.sort((a, b) => b.wastedSize - a.wastedSize);
+
+    return {
+        groups,
+        totalWasted: groups.reduce((s, g) => s + g.wastedSize, 0),
+        scannedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Map every UUID of a duplicate's meta to the survivor's matching UUID
+ * @param {object} dupMeta - Parsed .meta of the copy being removed
+ * @param {object} keepMeta - Parsed .meta of the survivor
+ * @returns {object} - Old base UUID -> new base UUID
+ */
+function mapMetaUuids(dupMeta, keepMeta) {
+    const uuidMap = { [baseUuid(dupMeta.uuid)]: baseUuid(keepMeta.uuid) };
+    const dupSubs = Object.entries(dupMeta.subMetas || {});
+    const keepSubs = Object.entries(keepMeta.subMetas || {});
+
+    for (const [key, sub] of dupSubs) {
+        if (!sub || typeof sub.uuid !== 'string') continue;
+        // Sub-metas are keyed by id (3.x) or by asset name (2.x); fall back to a lone sub-meta
+        const match = (keepMeta.subMetas || {})[key] || (dupSubs.length === 1 && keepSubs.length === 1 ? keepSubs[0][1] : null);
+        if (match && typeof match.uuid === 'string') {
+            uuidMap[baseUuid(sub.uuid)] = baseUuid(match.uuid);
+        }
+    }
+
+    // 3.x sub-asset UUIDs ("uuid@f9941") follow the base mapping; drop identity entries
+    for (const [from, to] of Object.entries(uuidMap)) {
+        if (from === to) delete uuidMap[from];
+    }
+    return uuidMap;
+}
+
+/**
+ * Merge duplicate copies into one survivor
+ * Rewrites UUID references in prefabs/scenes to the survivor, then quarantines the copies
+ * @param {string} rootDir - Root directory
+ * @param {string} keepPath - Relative path of the surviving copy
+ * @param {string[]} removePaths - Relative paths of the copies to remove
+ * @param {object} backup - Optional createBackupBatch() batch for the rewritten prefabs/scenes
+ * @returns {Promise<object>} - Rewritten files and quarantine result
+ */
+async function mergeDuplicates(rootDir, keepPath, removePaths, backup = null) {
+    const keepMeta = readMeta(path.join(rootDir, keepPath + '.meta'));
+    if (!keepMeta || !keepMeta.uuid) {
+        throw new Error(`Survivor has no .meta: ${keepPath}`);
+    }
+
+    const uuidMap = {};
+    for (const relPath of removePaths) {
+        if (relPath === keepPath) continue;
+        const dupMeta = readMeta(path.join(rootDir, relPath + '.meta'));
+        if (dupMeta && dupMeta.uuid) {
+            Object.assign(uuidMap, mapMetaUuids(dupMeta, keepMeta));
+        }
+    }
+
+    const rewritten = await rewriteUuidReferences(rootDir, uuidMap, await scanDirectory(rootDir), backup);
+    const quarantine = await quarantineAssets(rootDir, removePaths.filter(p => p !== keepPath));
+
+    return {
+        success: quarantine.success,
+        keepPath,
+        uuidMap,
+        rewritten,
+        ...quarantine
+    };
+}
+
+module.exports = {
+    imageFingerprint,
+    findDuplicates,
+    mergeDuplicates
+};
@@ -0,0 +1,257 @@
+/**
+ * Git Module
+ * Read asset sizes from the local repository the root directory lives in (no remote access)
+ */
+
+const path = require('path');
+const { spawn } = require('child_process');
+const { getFileType } = require('./scanner');
+const { IGNORE_FILE, RULES_FILE } = require('./rules');
+const { readJson, writeJson } = require('./dataStore');
+
+const BLAME_CACHE_FILE = 'git-blame.json';
+// Record and field separators of log formats (never part of names or subjects)
+const RECORD = '\x1e';
+const FIELD = '\x1f';
+const ZERO_OBJECT = /^0+$/;
+
+/**
+ * Run git in a directory
+ * @param {string} cwd - Working directory (inside the repository)
+ * @param {string[]} args - git arguments
+ * @param {string|null} input - Optional stdin content
+ * @returns {Promise<string>} - stdout
+ */
+function runGit(cwd, args, input = null) {
+    return new Promise((resolve, reject) => {
+        // quotePath off: non-ASCII asset names come back as UTF-8 instead of octal escapes
+        const child = spawn('git', ['-c', 'core.quotePath=false', ...args], { cwd });
+        const stdout = [];
+        const stderr = [];
+
+        child.stdout.on('data', chunk => stdout.push(chunk));
+        child.stderr.on('data', chunk => stderr.push(chunk));
+        child.on('error', error => {
+            reject(error.code === 'ENOENT' ? new Error('git is not installed or not on PATH') : error);
+        });
+        child.on('close', code => {
+            if (code === 0) {
+                resolve(Buffer.concat(stdout).toString('utf8'));
+                return;
+            }
+            const message = Buffer.concat(stderr).toString('utf8').trim().split('\n')[0];
+            reject(new Error(`git ${args[0]} failed: ${message || `exit code ${code}`}`));
+        });
+
+        if (input !== null) child.stdin.end(input);
+        else child.stdin.end();
+    });
+}
+
+/**
+ * Reject refs git could read as options
+ * @param {string} ref - Branch, tag, commit or expression such as HEAD~3
+ * @returns {string}
+ */
+function checkRef(ref) {
+    if (typeof ref !== 'string' || !/^[^-\s][^\s]*$/.test(ref)) throw new Error(`Invalid git ref: ${ref}`);
+    return ref;
+}
+
+/**
+ * Check whether a repository path is part of a scan (same filter as scanDirectory())
+ * @param {string} relPath - Path relative to the root, "/" separated
+ * @param {object} rules - loadRules() rule set of the root
+ * @returns {boolean}
+ */
+function isScannedPath(relPath, rules) {
+    const folders = relPath.split('/').slice(0, -1);
+    if (folders.some(segment => segment.startsWith('.') || segment === 'node_modules')) return false;
+    if (relPath === IGNORE_FILE || relPath === RULES_FILE) return false;
+    return !rules || !rules.isIgnored(relPath);
+}
+
+/**
+ * Describe the commit a ref points to
+ * @param {string} rootDir - Directory inside the repository
+ * @param {string} ref - Git ref
+ * @returns {Promise<{commit: string, date: string, author: string, subject: string}>}
+ */
+async function describeRef(rootDir, ref) {
+    const output = await runGit(rootDir, ['log', '-1', '--format=%H%x00%cI%x00%an%x00%s', checkRef(ref), '--']);
+    const [commit, date, author, subject] = output.trim().split('\0');
+    return { commit, date, author, subject };
+}
+
+/**
+ * List the files under the root directory as they are at a ref
+ * Sizes are blob sizes, i.e. raw bytes as committed (LFS-tracked files count as their pointer)
+ * @param {string} rootDir - Root directory inside the repository
+ * @param {string} ref - Git ref
+ * @param {object} rules - Optional loadRules() rule set; ignored files are left out as in scans
+ * @returns {Promise<object[]>} - { path, size, type } per file, paths relative to rootDir
+ */
+async function listFilesAtRef(rootDir, ref, rules = null) {
+    // Run from rootDir so ls-tree restricts the listing to it and prints relative paths
+    const output = await runGit(rootDir, ['ls-tree', '-r', '-l', '-z', checkRef(ref)]);
+    const files = [];
+
+    for (const entry of output.split('\0')) {
+        // "<mode> <type> <object> <size>\t<path>"
+        const tab = entry.indexOf('\t');
+        if (tab === -1) continue;
+        const [, type, , size] = entry.slice(0, tab).trim().split(/\s+/);
+        const relPath = entry.slice(tab + 1);
+        if (type !== 'blob' || !isScannedPath(relPath, rules)) continue;
+
+        files.push({ path: relPath, size: parseInt(size, 10), type: getFileType(path.posix.basename(relPath)) });
+    }
+
+    return files;
+}
+
+/**
+ * Measure the root directory at a ref
+ * @param {string} rootDir - Root directory inside the repository
+ * @param {string} ref - Git ref
+ * @param {object} rules - Optional loadRules() rule set
+ * @returns {Promise<object>} - Commit description with totalSize, fileCount and typeStats
+ */
+async function sizeAtRef(rootDir, ref, rules = null) {
+    const commit = await describeRef(rootDir, ref);
+    const files = await listFilesAtRef(rootDir, commit.commit, rules);
+    const typeStats = {};
+    for (const file of files) {
+        if (!typeStats[file.type]) typeStats[file.type] = { count: 0, size: 0 };
+        typeStats[file.type].count++;
+        typeStats[file.type].size += file.size;
+    }
+    return { ...commit, totalSize: files.reduce((s, f) => s + f.size, 0), fileCount: files.length, typeStats };
+}
+
+/**
+ * Measure the root directory at each recent commit that touched it
+ * @param {string} rootDir - Root directory inside the repository
+ * @param {number} limit - Commits to measure, newest first
+ * @param {object} rules - Optional loadRules() rule set
+ * @returns {Promise<object[]>} - sizeAtRef() results with delta against the commit before
+ */
+async function listCommitSizes(rootDir, limit = 30, rules = null) {
+    // One extra commit so the oldest listed one still gets a delta
+    const output = await runGit(rootDir, ['log', `--max-count=${limit + 1}`, '--format=%H', '--', '.']);
+    const commits = output.split('\n').filter(Boolean);
+
+    const sizes = [];
+    for (const commit of commits) sizes.push(await sizeAtRef(rootDir, commit, rules));
+    return sizes.slice(0, limit).map((entry, i) => ({
+        ...entry,
+        delta: sizes[i + 1] ? entry.totalSize - sizes[i + 1].totalSize : null
+    }));
+}
+
+/**
+ * Read the size of blobs
+ * @param {string} rootDir - Directory inside the repository
+ * @param {string[]} objects - Blob ids
+ * @returns {Promise<Map<string, number>>}
+ */
+async function readBlobSizes(rootDir, objects) {
+    const sizes = new Map();
+    if (!objects.length) return sizes;
+
+    const output = await runGit(rootDir, ['cat-file', '--batch-check=%(objectname) %(objectsize)'], objects.join('\n') + '\n');
+    for (const line of output.split('\n')) {
+        const [object, size] = line.split(' ');
+        if (size && size !== 'missing') sizes.set(object, parseInt(size, 10));
+    }
+    return sizes;
+}
+
+/**
+ * Attribute every file of the root to the commit that introduced it and the one that last grew it
+ * Walks the history of the root once (oldest first); renames count as a new file.
+ * Cached in .optimize-data per HEAD commit, since history below HEAD never changes
+ * @param {string} rootDir - Root directory inside the repository
+ * @returns {Promise<{head: string, commits: object, files: object}>} - commits by id
+ *   ({ author, date, subject }) and per path { size, introduced, lastGrown, lastGrownDelta }
+ */
+async function blameSizes(rootDir) {
+    const head = (await runGit(rootDir, ['rev-parse', 'HEAD'])).trim();
+    try {
+        const cached = readJson(rootDir, BLAME_CACHE_FILE);
+        if (cached && cached.head === head) return cached;
+    } catch {
+        // Corrupt cache - rebuild
+    }
+
+    const output = await runGit(rootDir, [
+        'log', '--reverse', '--raw', '--relative', '--no-abbrev', '--no-renames',
+        `--format=${RECORD}%H${FIELD}%an${FIELD}%aI${FIELD}%s`, '--', '.'
+    ]);
+
+    // Pass 1: commits and the blob each touched path points to afterwards
+    const commits = {};
+    const changes = [];
+    const objects = new Set();
+    for (const record of output.split(RECORD).slice(1)) {
+        const [header, ...lines] = record.split('\n');
+        const [commit, author, date, subject] = header.split(FIELD);
+        commits[commit] = { author, date, subject };
+
+        for (const line of lines) {
+            // ":<old mode> <new mode> <old object> <new object> <status>\t<path>"
+            const tab = line.indexOf('\t');
+            if (!line.startsWith(':') || tab === -1) continue;
+            const object = line.slice(0, tab).split(' ')[3];
+            const relPath = line.slice(tab + 1);
+            const removed = ZERO_OBJECT.test(object);
+            changes.push({ commit, relPath, object: removed ? null : object });
+            if (!removed) objects.add(object);
+        }
+    }
+
+    // Pass 2: replay the changes with blob sizes
+    const sizes = await readBlobSizes(rootDir, [...objects]);
+    const files = {};
+    for (const { commit, relPath, object } of changes) {
+        if (!object) {
+            delete files[relPath];
+            continue;
+        }
+
+        const size = sizes.get(object) || 0;
+        const file = files[relPath];
+        if (!file) {
+            files[relPath] = { size, introduced: commit, lastGrown: commit, lastGrownDelta: size };
+        } else {
+            if (size > file.size) {
+                file.lastGrown = commit;
+                file.lastGrownDelta = size - file.size;
+            }
+            file.size = size;
+        }
+    }
+
+    // Only commits still referenced by a file are worth keeping
+    const referenced = {};
+    for (const file of Object.values(files)) {
+        referenced[file.introduced] = commits[file.introduced];
+        referenced[file.lastGrown] = commits[file.lastGrown];
+    }
+
+    const result = { head, commits: referenced, files };
+    try {
+        writeJson(rootDir, BLAME_CACHE_FILE, result);
+    } catch {
+        // Read-only root - the result is still valid
+    }
+    return result;
+}
+
+module.exports = {
+    describeRef,
+    listFilesAtRef,
+    sizeAtRef,
+    listCommitSizes,
+    blameSizes
+};
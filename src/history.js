@@ -0,0 +1,136 @@
+/**
+ * History Module
+ * Persist scan snapshots to .optimize-data/history so sizes can be charted over time
+ *
+ * Layout: history/index.json (one summary per snapshot, oldest first) + history/<id>.json (file list)
+ * Scans are recorded automatically when the file list changed since the last snapshot;
+ * snapshots taken on demand are always kept and may carry a label
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getDataPath, readJson, writeJson, timestampId } = require('./dataStore');
+const { listBackups } = require('./backup');
+
+const HISTORY_DIR = 'history';
+const INDEX_FILE = 'index.json';
+// Automatic snapshots kept per root; older ones are dropped (manual ones never are)
+const MAX_AUTO_SNAPSHOTS = 200;
+
+/**
+ * Fingerprint a scan's file list, so unchanged rescans are not recorded twice
+ * @param {object[]} files - Scanned files
+ * @returns {string}
+ */
+function fingerprintFiles(files) {
+    const hash = crypto.createHash('sha1');
+    for (const line of files.map(f => `${f.path}:${f.size}`).sort()) hash.update(`${line}\n`);
+    return hash.digest('hex');
+}
+
+/**
+ * Read the snapshot index of a root
+ * @param {string} rootDir - Scanned root directory
+ * @returns {object[]} - Snapshot summaries, oldest first
+ */
+function readIndex(rootDir) {
+    try {
+        return readJson(rootDir, path.join(HISTORY_DIR, INDEX_FILE), { snapshots: [] }).snapshots;
+    } catch {
+        // Corrupt index (e.g. interrupted write) - history restarts
+        return [];
+    }
+}
+
+/**
+ * Record a scan as a snapshot
+ * @param {string} rootDir - Scanned root directory
+ * @param {object} scan - scanDirectory() result
+ * @param {object} options - Snapshot options
+ * @param {string} options.trigger - "auto" (skipped when nothing changed) or "manual"
+ * @param {string} options.label - Optional label, e.g. a sprint or build name
+ * @returns {object|null} - Snapshot summary, null when an automatic snapshot was not needed
+ */
+function recordSnapshot(rootDir, scan, options = {}) {
+    const { trigger = 'auto', label = null } = options;
+    const snapshots = readIndex(rootDir);
+    // .meta files never ship; like diffs, history leaves them out of every total
+    const shipped = scan.files.filter(f => f.type !== 'meta');
+    const { meta, ...typeStats } = scan.typeStats;
+    const fingerprint = fingerprintFiles(shipped);
+
+    const latest = snapshots[snapshots.length - 1];
+    if (trigger === 'auto' && latest && latest.fingerprint === fingerprint) return null;
+
+    const summary = {
+        id: timestampId(),
+        scannedAt: scan.scannedAt,
+        trigger,
+        label,
+        fingerprint,
+        totalSize: shipped.reduce((s, f) => s + f.size, 0),
+        fileCount: shipped.length,
+        typeStats,
+        deliveredStats: scan.deliveredStats || null
+    };
+    const files = shipped.map(({ path: filePath, size, type }) => ({ path: filePath, size, type }));
+    writeJson(rootDir, path.join(HISTORY_DIR, `${summary.id}.json`), { ...summary, files });
+
+    snapshots.push(summary);
+    const autoSnapshots = snapshots.filter(s => s.trigger === 'auto');
+    const dropped = new Set(autoSnapshots.slice(0, Math.max(0, autoSnapshots.length - MAX_AUTO_SNAPSHOTS)).map(s => s.id));
+    for (const id of dropped) fs.rmSync(getDataPath(rootDir, HISTORY_DIR, `${id}.json`), { force: true });
+
+    writeJson(rootDir, path.join(HISTORY_DIR, INDEX_FILE), { snapshots: snapshots.filter(s => !dropped.has(s.id)) });
+    return summary;
+}
+
+/**
+ * List optimization runs (backup batches that changed files) as chart annotations
+ * @param {string} rootDir - Scanned root directory
+ * @returns {object[]} - { at, batchId, operation, fileCount, originalSize }, oldest first
+ */
+function listAnnotations(rootDir) {
+    const annotations = [];
+    for (const run of listBackups(rootDir).runs) {
+        for (const batch of run.batches) {
+            const files = batch.files.filter(f => !f.path.endsWith('.meta'));
+            if (!files.length) continue;
+            annotations.push({
+                at: batch.createdAt,
+                batchId: batch.batchId,
+                operation: batch.operation,
+                fileCount: files.length,
+                originalSize: files.reduce((s, f) => s + f.size, 0)
+            });
+        }
+    }
+    return annotations.sort((a, b) => a.at.localeCompare(b.at));
+}
+
+/**
+ * Get the size history of a root
+ * @param {string} rootDir - Scanned root directory
+ * @returns {{snapshots: object[], annotations: object[]}} - Snapshot summaries and optimization runs, oldest first
+ */
+function getHistory(rootDir) {
+    return { snapshots: readIndex(rootDir), annotations: listAnnotations(rootDir) };
+}
+
+/**
+ * Load one snapshot with its file list
+ * @param {string} rootDir - Scanned root directory
+ * @param {string} id - Snapshot id
+ * @returns {object|null}
+ */
+function getSnapshot(rootDir, id) {
+    if (!readIndex(rootDir).some(s => s.id === id)) return null;
+    return readJson(rootDir, path.join(HISTORY_DIR, `${id}.json`));
+}
+
+module.exports = {
+    recordSnapshot,
+    getHistory,
+    getSnapshot
+};
@@ -0,0 +1,118 @@
+/**
+ * Image Metrics Module
+ * Compare encoded images against their source from raw pixels
+ */
+
+const sharp = require('sharp');
+
+/**
+ * Decode an image to raw RGBA pixels
+ * @param {string|Buffer|object} input - File path, encoded buffer, or sharp instance
+ * @returns {Promise<{data: Buffer, width: number, height: number}>}
+ */
+async function readRawPixels(input) {
+    const image = typeof input.raw === 'function' ? input : sharp(input);
+    const { data, info } = await image.ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height };
+}
+
+/**
+ * Peak signal-to-noise ratio between two RGBA pixel buffers of the same size
+ * Color is premultiplied by alpha, so color hidden under transparent pixels does not count
+ * @param {Buffer} a - Reference pixels
+ * @param {Buffer} b - Compared pixels
+ * @returns {number} - PSNR in dB, Infinity when identical
+ */
+function computePsnr(a, b) {
+    if (a.length !== b.length) {
+        throw new Error('Pixel buffers differ in size');
+    }
+
+    let sum = 0;
+    for (let i = 0; i < a.length; i += 4) {
+        for (let c = 0; c < 3; c++) {
+            const diff = (a[i + c] * a[i + 3] - b[i + c] * b[i + 3]) / 255;
+            sum += diff * diff;
+        }
+        const alphaDiff = a[i + 3] - b[i + 3];
+        sum += alphaDiff * alphaDiff;
+    }
+
+    const mse = sum / a.length;
+    return mse === 0 ? Infinity : 10 * Math.log10((255 * 255) / mse);
+}
+
+/**
+ * Structural similarity between two RGBA pixel buffers of the same size
+ * Mean SSIM over 8x8 windows (stride 4) on luma premultiplied by alpha, and on alpha;
+ * the lower of the two is returned so broken transparency is not hidden by good color
+ * @param {Buffer} a - Reference pixels
+ * @param {Buffer} b - Compared pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {number} - SSIM in [-1, 1], 1 when identical
+ */
+function computeSsim(a, b, width, height) {
+    if (a.length !== b.length || a.length !== width * height * 4) {
+        throw new Error('Pixel buffers differ in size');
+    }
+
+    const C1 = (0.01 * 255) ** 2;
+    const C2 = (0.03 * 255) ** 2;
+    const win = Math.min(8, width, height);
+    const stride = Math.max(1, win >> 1);
+    const n = win * win;
+
+    // Split into premultiplied luma and alpha planes
+    const planes = buf => {
+        const luma = new Float32Array(width * height);
+        const alpha = new Float32Array(width * height);
+        for (let p = 0, i = 0; p < luma.length; p++, i += 4) {
+            luma[p] = (0.299 * buf[i] + 0.587 * buf[i + 1] + 0.114 * buf[i + 2]) * buf[i + 3] / 255;
+            alpha[p] = buf[i + 3];
+        }
+        return [luma, alpha];
+    };
+
+    const meanSsim = (pa, pb) => {
+        let total = 0;
+        let windows = 0;
+
+        for (let y = 0; y + win <= height; y += stride) {
+            for (let x = 0; x + win <= width; x += stride) {
+                let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+                for (let wy = 0; wy < win; wy++) {
+                    let p = (y + wy) * width + x;
+                    for (let wx = 0; wx < win; wx++, p++) {
+                        const va = pa[p];
+                        const vb = pb[p];
+                        sumA += va; sumB += vb;
+                        sumAA += va * va; sumBB += vb * vb; sumAB += va * vb;
+                    }
+                }
+
+                const meanA = sumA / n;
+                const meanB = sumB / n;
+                const varA = sumAA / n - meanA * meanA;
+                const varB = sumBB / n - meanB * meanB;
+                const cov = sumAB / n - meanA * meanB;
+
+                total += ((2 * meanA * meanB + C1) * (2 * cov + C2)) /
+                    ((meanA * meanA + meanB * meanB + C1) * (varA + varB + C2));
+                windows++;
+            }
+        }
+
+        return windows ? total / windows : 1;
+    };
+
+    const [lumaA, alphaA] = planes(a);
+    const [lumaB, alphaB] = planes(b);
+    return Math.min(meanSsim(lumaA, lumaB), meanSsim(alphaA, alphaB));
+}
+
+module.exports = {
+    readRawPixels,
+    computePsnr,
+    computeSsim
+};
@@ -0,0 +1,301 @@
+/**
+ * Jobs Module
+ * Run folder-wide optimizations as background jobs that can be polled, cancelled and resumed
+ *
+ * Layout: jobs/<jobId>/job.json (kind, options, status) + journal.jsonl (one finished file per line)
+ * The journal is appended after every file, so a run killed by a crash or restart resumes
+ * from the next unprocessed file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getDataPath, readJson, writeJson, timestampId } = require('./dataStore');
+const { compressDirectory } = require('./compressor');
+const { compressAudioDirectory } = require('./audioCompressor');
+const { findMissingReferences } = require('./assetGraph');
+const { createBackupBatch } = require('./backup');
+const { loadRules } = require('./rules');
+
+const JOBS_DIR = 'jobs';
+const JOB_FILE = 'job.json';
+const JOURNAL_FILE = 'journal.jsonl';
+
+// Folder runner per job kind; converts(options, rules) tells whether files may be renamed, so references are re-verified
+const JOB_KINDS = {
+    'compress-images': {
+        run: compressDirectory,
+        converts: (options, rules) => Boolean(options.convertTo) || (!options.resizeOnly && rules.convertsImages)
+    },
+    'compress-audio': { run: compressAudioDirectory, converts: () => true }
+};
+
+// Jobs running in this process: id -> { job, controller }
+const activeJobs = new Map();
+let jobCounter = 0;
+
+/**
+ * Persist a job's state
+ * @param {string} rootDir - Scanned root directory
+ * @param {object} job - Job state
+ */
+function saveJob(rootDir, job) {
+    job.updatedAt = new Date().toISOString();
+    writeJson(rootDir, path.join(JOBS_DIR, job.id, JOB_FILE), job);
+}
+
+/**
+ * Read the files a job already finished
+ * A crash can cut the last line short; unparsable lines are ignored and that file runs again
+ * @param {string} rootDir - Scanned root directory
+ * @param {string} jobId - Job id
+ * @returns {object[]} - { path, result } per finished file, in order
+ */
+function readJournal(rootDir, jobId) {
+    const journalPath = getDataPath(rootDir, JOBS_DIR, jobId, JOURNAL_FILE);
+    if (!fs.existsSync(journalPath)) return [];
+
+    const entries = [];
+    for (const line of fs.readFileSync(journalPath, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            entries.push(JSON.parse(line));
+        } catch {
+            // Partial line from an interrupted write
+        }
+    }
+    return entries;
+}
+
+/**
+ * Run (or continue) a job until it finishes, fails or is cancelled
+ * @param {string} rootDir - Scanned root directory
+ * @param {object} job - Job state
+ * @returns {Promise<void>}
+ */
+async function runJob(rootDir, job) {
+    const controller = new AbortController();
+    activeJobs.set(job.id, { job, controller });
+    job.status = 'running';
+    job.results = null;
+    job.error = null;
+
+    try {
+        const kind = JOB_KINDS[job.kind];
+        if (!kind) {
+            throw new Error(`Unknown job kind: ${job.kind}`);
+        }
+
+        const journalPath = getDataPath(rootDir, JOBS_DIR, job.id, JOURNAL_FILE);
+        const resume = readJournal(rootDir, job.id);
+        job.processed = resume.length;
+
+        // Each start gets its own backup batch; a restart also means a new backup run
+        const backup = createBackupBatch(rootDir, job.kind, { targetPath: job.targetPath, ...job.options });
+        job.batchIds.push(backup.batchId);
+
+        // Rules are read per start, so edits made while a job was paused apply to the rest of it
+        const rules = loadRules(rootDir);
+
+        // Baseline taken once, so references broken before an interruption are still reported
+        if (kind.converts(job.options, rules) && !job.referenceBaseline) {
+            job.referenceBaseline = await findMissingReferences(rootDir);
+        }
+        saveJob(rootDir, job);
+
+        const results = await kind.run(path.resolve(rootDir, job.targetPath || '.'), {
+            ...job.options,
+            backup,
+            resume,
+            rules,
+            signal: controller.signal,
+            onFile: (relPath, result) => {
+                fs.appendFileSync(journalPath, JSON.stringify({ path: relPath, result }) + '\n', 'utf8');
+            }
+        }, progress => {
+            job.processed = progress.current;
+            job.total = progress.total;
+            job.currentFile = progress.file;
+        });
+
+        results.batchIds = job.batchIds;
+        results.brokenReferences = job.referenceBaseline
+            ? await findMissingReferences(rootDir, job.referenceBaseline)
+            : [];
+        job.results = results;
+        job.total = Math.max(job.total, results.total);
+        job.status = results.cancelled ? 'cancelled' : 'completed';
+    } catch (error) {
+        job.status = 'failed';
+        job.error = error.message;
+    } finally {
+        activeJobs.delete(job.id);
+        job.currentFile = null;
+        job.finishedAt = new Date().toISOString();
+        saveJob(rootDir, job);
+    }
+}
+
+/**
+ * Run a job in the background
+ * runJob() records its own failures; this catches the one it cannot, a job state that fails to save
+ * @param {string} rootDir - Scanned root directory
+ * @param {object} job - Job state
+ */
+function launchJob(rootDir, job) {
+    runJob(rootDir, job).catch(error => {
+        activeJobs.delete(job.id);
+        job.status = 'failed';
+        job.error = error.message;
+        try {
+            saveJob(rootDir, job);
+        } catch {
+            // The data folder is not writable; getJob() reports the job as interrupted
+        }
+    });
+}
+
+/**
+ * Strip internal fields from a job for API responses
+ * @param {object} job - Job state
+ * @returns {object}
+ */
+function describeJob(job) {
+    const { referenceBaseline, ...info } = job;
+    return info;
+}
+
+/**
+ * Start a background job
+ * @param {string} rootDir - Scanned root directory
+ * @param {string} kind - "compress-images" or "compress-audio"
+ * @param {string|null} targetPath - Folder relative to rootDir, null for the whole root
+ * @param {object} options - Compression options passed to the folder runner; paths limits it to selected files
+ * @returns {object} - The new job
+ */
+function createJob(rootDir, kind, targetPath, options = {}) {
+    if (!JOB_KINDS[kind]) {
+        throw new Error(`Unknown job kind: ${kind}`);
+    }
+
+    jobCounter++;
+    const job = {
+        id: `${timestampId()}-${String(jobCounter).padStart(3, '0')}`,
+        kind,
+        targetPath: targetPath || null,
+        options,
+        status: 'queued',
+        total: 0,
+        processed: 0,
+        currentFile: null,
+        batchIds: [],
+        results: null,
+        error: null,
+        createdAt: new Date().toISOString(),
+        finishedAt: null
+    };
+    saveJob(rootDir, job);
+
+    launchJob(rootDir, job);
+    return describeJob(job);
+}
+
+/**
+ * Read a job's saved state
+ * @param {string} rootDir - Scanned root directory
+ * @param {string} jobId - Job id
+ * @returns {object|null}
+ */
+function loadJob(rootDir, jobId) {
+    // Ids come from URLs - never let them walk out of the jobs folder
+    if (!/^[\w-]+$/.test(jobId)) return null;
+    return readJson(rootDir, path.join(JOBS_DIR, jobId, JOB_FILE));
+}
+
+/**
+ * Get a job's current state
+ * A job the journal shows as running but that no longer runs in this process was interrupted
+ * @param {string} rootDir - Scanned root directory
+ * @param {string} jobId - Job id
+ * @returns {object|null} - Job state, null when unknown
+ */
+function getJob(rootDir, jobId) {
+    const active = activeJobs.get(jobId);
+    if (active) return describeJob(active.job);
+
+    const job = loadJob(rootDir, jobId);
+    if (!job) return null;
+
+    if (job.status === 'running' || job.status === 'queued') {
+        job.status = 'interrupted';
+        job.processed = readJournal(rootDir, jobId).length;
+        job.currentFile = null;
+    }
+    return describeJob(job);
+}
+
+/**
+ * List every job of a root directory, newest first
+ * @param {string} rootDir - Scanned root directory
+ * @returns {object[]}
+ */
+function listJobs(rootDir) {
+    const jobsDir = getDataPath(rootDir, JOBS_DIR);
+    if (!fs.existsSync(jobsDir)) return [];
+
+    return fs.readdirSync(jobsDir)
+        .map(jobId => getJob(rootDir, jobId))
+        .filter(Boolean)
+        .sort((a, b) => b.id.localeCompare(a.id));
+}
+
+/**
+ * Ask a running job to stop; files in progress finish, no new file starts
+ * @param {string} rootDir - Scanned root directory
+ * @param {string} jobId - Job id
+ * @returns {object} - Job state
+ */
+function cancelJob(rootDir, jobId) {
+    const active = activeJobs.get(jobId);
+    if (!active) {
+        throw new Error('Job is not running');
+    }
+
+    active.controller.abort();
+    active.job.status = 'cancelling';
+    return describeJob(active.job);
+}
+
+/**
+ * Continue a cancelled, failed or interrupted job from the next unprocessed file
+ * @param {string} rootDir - Scanned root directory
+ * @param {string} jobId - Job id
+ * @returns {object} - Job state
+ */
+function resumeJob(rootDir, jobId) {
+    if (activeJobs.has(jobId)) {
+        throw new Error('Job is already running');
+    }
+
+    const job = loadJob(rootDir, jobId);
+    if (!job) {
+        throw new Error('Job not found');
+    }
+    if (job.status === 'completed') {
+        throw new Error('Job already completed');
+    }
+    if (!JOB_KINDS[job.kind]) {
+        throw new Error(`Unknown job kind: ${job.kind}`);
+    }
+
+    job.finishedAt = null;
+    launchJob(rootDir, job);
+    return describeJob(job);
+}
+
+module.exports = {
+    createJob,
+    getJob,
+    listJobs,
+    cancelJob,
+    resumeJob
+};
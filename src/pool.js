@@ -0,0 +1,66 @@
+/**
+ * Worker Pool Module
+ * Run async jobs with bounded concurrency, reporting results in input order
+ */
+
+const os = require('os');
+
+/**
+ * Run a worker over every item with at most `concurrency` jobs in flight
+ * Results reach onResult in input order even when jobs finish out of order,
+ * so progress counters and aggregated totals match a one-by-one run
+ * @param {Array} items - Job inputs
+ * @param {function(*, number): Promise<*>} worker - Called with (item, index)
+ * @param {object} options - Pool options
+ * @param {number} options.concurrency - Jobs in flight (default: CPU count)
+ * @param {function(*): string} options.serializeBy - Jobs with the same key never overlap and run in input order
+ *   (e.g. two sources that would write the same output file)
+ * @param {function(*, *, number)} options.onResult - Called with (result, item, index) in input order
+ * @param {function(*, *, number)} options.onSettled - Called with (result, item, index) as soon as each job finishes,
+ *   for work that must not wait on a slower earlier job (e.g. journaling)
+ * @param {AbortSignal} options.signal - Once aborted no new job starts; jobs in flight still finish
+ * @returns {Promise<Array>} - Results in input order, unstarted items left empty
+ */
+async function runPool(items, worker, options = {}) {
+    const { concurrency = os.cpus().length, serializeBy = null, onResult = null, onSettled = null, signal = null } = options;
+    const limit = Math.max(1, Math.min(concurrency || 1, items.length));
+    const results = new Array(items.length);
+    const finished = new Array(items.length).fill(false);
+    const tails = new Map();
+    let next = 0;
+    let reported = 0;
+
+    // Hand out every result whose predecessors are all done
+    function flush() {
+        while (reported < items.length && finished[reported]) {
+            if (onResult) onResult(results[reported], items[reported], reported);
+            reported++;
+        }
+    }
+
+    async function lane() {
+        while (next < items.length && !(signal && signal.aborted)) {
+            const index = next++;
+            const key = serializeBy ? serializeBy(items[index]) : null;
+            const previous = key !== null ? tails.get(key) : null;
+
+            const job = (async () => {
+                if (previous) await previous;
+                return worker(items[index], index);
+            })();
+            if (key !== null) tails.set(key, job.catch(() => {}));
+
+            results[index] = await job;
+            finished[index] = true;
+            if (onSettled) onSettled(results[index], items[index], index);
+            flush();
+        }
+    }
+
+    await Promise.all(Array.from({ length: limit }, lane));
+    return results;
+}
+
+module.exports = {
+    runPool
+};
@@ -0,0 +1,90 @@
+/**
+ * Preview Cache Module
+ * Remember predicted sizes from dry-run encodes, keyed by file content hash and settings
+ *
+ * Every edit or settings change adds new keys, so entries unused for MAX_AGE_MS are dropped
+ * and at most MAX_ENTRIES of the most recently used ones are kept
+ */
+
+const { readJson, writeJson } = require('./dataStore');
+
+const PREVIEW_CACHE_FILE = 'preview-cache.json';
+const MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_ENTRIES = 5000;
+
+/**
+ * Drop entries that were not used recently, oldest first
+ * Entries written before usedAt was tracked count as unused
+ * @param {object} entries - key -> { value, usedAt }
+ * @param {number} now - Current time in ms
+ * @returns {object} - Kept entries
+ */
+function pruneEntries(entries, now) {
+    const fresh = Object.entries(entries)
+        .filter(([, entry]) => entry && typeof entry.usedAt === 'number' && now - entry.usedAt <= MAX_AGE_MS)
+        .sort((a, b) => b[1].usedAt - a[1].usedAt)
+        .slice(0, MAX_ENTRIES);
+    return Object.fromEntries(fresh);
+}
+
+/**
+ * Open the preview cache of a root directory
+ * @param {string} rootDir - Scanned root directory
+ * @param {string} kind - Encoder family ("image" or "audio"), part of the key
+ * @returns {{get: function, set: function, save: function}}
+ */
+function createPreviewCache(rootDir, kind) {
+    let entries = readJson(rootDir, PREVIEW_CACHE_FILE, {});
+    let dirty = false;
+
+    /**
+     * Build the cache key; settings are sorted so key order does not matter
+     * @param {string} hash - File content hash
+     * @param {object} settings - Encoder settings
+     * @returns {string}
+     */
+    function keyOf(hash, settings) {
+        const sorted = Object.keys(settings).sort().map(k => [k, settings[k]]);
+        return `${kind}:${hash}:${JSON.stringify(sorted)}`;
+    }
+
+    return {
+        /**
+         * @param {string} hash - File content hash
+         * @param {object} settings - Encoder settings
+         * @returns {object|undefined} - Cached prediction
+         */
+        get(hash, settings) {
+            const entry = entries[keyOf(hash, settings)];
+            if (!entry || typeof entry.usedAt !== 'number') return undefined;
+            entry.usedAt = Date.now();
+            dirty = true;
+            return entry.value;
+        },
+
+        /**
+         * @param {string} hash - File content hash
+         * @param {object} settings - Encoder settings
+         * @param {object} value - Prediction to remember
+         */
+        set(hash, settings, value) {
+            entries[keyOf(hash, settings)] = { value, usedAt: Date.now() };
+            dirty = true;
+        },
+
+        /**
+         * Persist new entries to .optimize-data, dropping stale ones
+         */
+        save() {
+            if (dirty) {
+                entries = pruneEntries(entries, Date.now());
+                writeJson(rootDir, PREVIEW_CACHE_FILE, entries);
+            }
+            dirty = false;
+        }
+    };
+}
+
+module.exports = {
+    createPreviewCache
+};
@@ -0,0 +1,371 @@
+/**
+ * Reports Module
+ * Turn a scan (plus optional compression results, estimates and budget verdicts) into
+ * exportable reports: JSON, CSV of every file, a Markdown summary for PR comments and a
+ * self-contained HTML page with the type chart and folder tree
+ */
+
+const REPORT_FORMATS = {
+    json: { contentType: 'application/json', extension: 'json' },
+    csv: { contentType: 'text/csv', extension: 'csv' },
+    md: { contentType: 'text/markdown', extension: 'md' },
+    html: { contentType: 'text/html', extension: 'html' }
+};
+
+// Bar colors of the HTML type chart, as in the Statistics tab
+const TYPE_COLORS = {
+    image: '#ff6b6b',
+    script: '#00a8cc',
+    audio: '#9b59b6',
+    model: '#00aa55',
+    prefab: '#ff9500',
+    scene: '#6366f1',
+    other: '#999999'
+};
+
+/**
+ * Format bytes
+ * @param {number} b - Bytes (may be negative)
+ * @returns {string}
+ */
+function formatBytes(b) {
+    if (!b) return '0 B';
+    const sign = b < 0 ? '-' : '';
+    const k = 1024, s = ['B', 'KB', 'MB', 'GB'];
+    const i = Math.min(Math.floor(Math.log(Math.abs(b)) / Math.log(k)), s.length - 1);
+    return sign + (Math.abs(b) / Math.pow(k, i)).toFixed(2) + ' ' + s[i];
+}
+
+/**
+ * Count the folders of a scan tree, root excluded
+ * @param {object} node - folderTree node
+ * @returns {number}
+ */
+function countFolders(node) {
+    return Object.values(node.children || {}).reduce((s, child) => s + 1 + countFolders(child), 0);
+}
+
+/**
+ * Reduce compressDirectory() / compressAudioDirectory() results to what a report shows
+ * @param {object|null} results - Run results
+ * @returns {object|null}
+ */
+function summarizeRun(results) {
+    if (!results) return null;
+
+    const { total, compressed, converted, skipped, failed, originalSize, newSize, savedSize, batchId } = results;
+    return {
+        total, compressed, converted, skipped, failed, originalSize, newSize, savedSize, batchId,
+        files: (results.files || []).map(f => ({
+            path: f.path.split('\\').join('/'),
+            status: !f.success ? 'failed' : f.skipped ? 'skipped' : 'compressed',
+            originalSize: f.originalSize,
+            newSize: f.newSize,
+            saved: f.saved,
+            newName: f.newName || (f.newPath ? f.newPath.split(/[\\/]/).pop() : null),
+            reason: f.reason || f.error || null
+        }))
+    };
+}
+
+/**
+ * Build the report model every format renders from
+ * @param {object} scan - scanDirectory() result (delivered sizes optional)
+ * @param {object} options - Extra sections
+ * @param {object} options.compression - { images, audio } run results of compressDirectory() / compressAudioDirectory()
+ * @param {object} options.estimate - { images, audio } results of estimateCompression() / estimateAudioCompression()
+ * @param {object[]} options.budgets - evaluateBudgets() results
+ * @param {number} options.top - Largest files listed (default 20)
+ * @returns {object}
+ */
+function buildReport(scan, options = {}) {
+    const { compression = null, estimate = null, budgets = null, top = 20 } = options;
+    const files = scan.files.map(({ name, path, size, type, details, delivered }) => ({
+        name, path, size, type,
+        ...(details && { width: details.width, height: details.height, duration: details.duration }),
+        ...(delivered && { delivered })
+    }));
+    const assets = files.filter(f => f.type !== 'meta');
+
+    return {
+        generatedAt: new Date().toISOString(),
+        scannedAt: scan.scannedAt,
+        rootPath: scan.rootPath,
+        totalSize: files.reduce((s, f) => s + f.size, 0),
+        fileCount: files.length,
+        folderCount: countFolders(scan.folderTree),
+        deliveredStats: scan.deliveredStats || null,
+        typeStats: scan.typeStats,
+        largest: [...assets].sort((a, b) => b.size - a.size).slice(0, top).map(({ path, size, type }) => ({ path, size, type })),
+        compression: compression ? { images: summarizeRun(compression.images), audio: summarizeRun(compression.audio) } : null,
+        estimate: estimate ? {
+            images: estimate.images && { count: estimate.images.totalImages, size: estimate.images.totalSize, saving: estimate.images.estimatedSaving },
+            audio: estimate.audio && { count: estimate.audio.totalAudio, size: estimate.audio.totalSize, saving: estimate.audio.estimatedSaving }
+        } : null,
+        budgets,
+        folderTree: scan.folderTree,
+        files
+    };
+}
+
+/**
+ * Get the compression outcome of every file of the report, by path
+ * @param {object} report - buildReport() result
+ * @returns {Map<string, object>}
+ */
+function compressionByPath(report) {
+    const byPath = new Map();
+    if (!report.compression) return byPath;
+    for (const run of [report.compression.images, report.compression.audio]) {
+        for (const file of run ? run.files : []) byPath.set(file.path, file);
+    }
+    return byPath;
+}
+
+/**
+ * Type stats sorted by size, largest first
+ * @param {object} report - buildReport() result
+ * @returns {Array<[string, {count: number, size: number}]>}
+ */
+function sortedTypes(report) {
+    return Object.entries(report.typeStats).sort((a, b) => b[1].size - a[1].size);
+}
+
+/**
+ * Quote one CSV field
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render every file as CSV, with delivered sizes and compression outcome when known
+ * @param {object} report - buildReport() result
+ * @returns {string}
+ */
+function renderCsv(report) {
+    const compressed = compressionByPath(report);
+    const header = ['path', 'name', 'type', 'size', 'width', 'height', 'duration',
+        'inlined', 'gzip', 'brotli', 'zip', 'status', 'originalSize', 'newSize', 'saved', 'newName'];
+
+    const lines = [header.join(',')];
+    for (const file of report.files) {
+        const delivered = file.delivered || {};
+        const outcome = compressed.get(file.path) || {};
+        lines.push([
+            file.path, file.name, file.type, file.size, file.width, file.height, file.duration,
+            delivered.inlined, delivered.gzip, delivered.brotli, delivered.zip,
+            outcome.status, outcome.originalSize, outcome.newSize, outcome.saved, outcome.newName
+        ].map(csvField).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Escape text for a Markdown table cell
+ * @param {string} text - Cell text
+ * @returns {string}
+ */
+function mdCell(text) {
+    return String(text).replace(/\|/g, '\\|');
+}
+
+/**
+ * Render the Markdown summary (sizes by type, largest files, savings, budgets)
+ * @param {object} report - buildReport() result
+ * @returns {string}
+ */
+function renderMarkdown(report) {
+    const lines = [
+        '## Asset size report',
+        '',
+        `**${formatBytes(report.totalSize)}** in ${report.fileCount} files, ${report.folderCount} folders (\`${mdCell(report.rootPath)}\`, scanned ${report.scannedAt})`,
+        ''
+    ];
+
+    if (report.deliveredStats) {
+        const { inlined, gzip, brotli, zip } = report.deliveredStats;
+        lines.push(`Delivered: inlined ${formatBytes(inlined)} · gzip ${formatBytes(gzip)} · brotli ${formatBytes(brotli)} · zip ${formatBytes(zip)}`, '');
+    }
+
+    lines.push('| Type | Files | Size | Share |', '| --- | ---: | ---: | ---: |');
+    for (const [type, stats] of sortedTypes(report)) {
+        const share = report.totalSize ? (stats.size / report.totalSize * 100).toFixed(1) : '0.0';
+        lines.push(`| ${type} | ${stats.count} | ${formatBytes(stats.size)} | ${share}% |`);
+    }
+
+    if (report.largest.length) {
+        lines.push('', `### Largest ${report.largest.length} files`, '', '| File | Type | Size |', '| --- | --- | ---: |');
+        for (const file of report.largest) lines.push(`| \`${mdCell(file.path)}\` | ${file.type} | ${formatBytes(file.size)} |`);
+    }
+
+    if (report.compression) {
+        lines.push('', '### Compression', '', '| Run | Compressed | Skipped | Failed | Before | After | Saved |', '| --- | ---: | ---: | ---: | ---: | ---: | ---: |');
+        for (const [label, run] of [['Images', report.compression.images], ['Audio', report.compression.audio]]) {
+            if (!run) continue;
+            lines.push(`| ${label} | ${run.compressed} | ${run.skipped} | ${run.failed} | ${formatBytes(run.originalSize)} | ${formatBytes(run.newSize)} | ${formatBytes(run.savedSize)} |`);
+        }
+    }
+
+    if (report.estimate) {
+        lines.push('', '### Possible savings', '');
+        for (const [label, entry] of [['Images', report.estimate.images], ['Audio', report.estimate.audio]]) {
+            if (entry) lines.push(`- ${label}: ${formatBytes(entry.saving)} of ${formatBytes(entry.size)} (${entry.count} files)`);
+        }
+    }
+
+    if (report.budgets && report.budgets.length) {
+        lines.push('', '### Network budgets', '', '| Network | Size | Limit | Headroom | Result |', '| --- | ---: | ---: | ---: | --- |');
+        for (const budget of report.budgets) {
+            const verdict = budget.pass ? '✅ pass' : `❌ fail${budget.issues.length ? ` (${mdCell(budget.issues.join('; '))})` : ''}`;
+            lines.push(`| ${budget.name} (${budget.format}) | ${formatBytes(budget.size)} | ${formatBytes(budget.maxSize)} | ${formatBytes(budget.headroom)} | ${verdict} |`);
+        }
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} text - Text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+/**
+ * Render the folder tree as nested <details>, largest folders first
+ * @param {object} node - folderTree node
+ * @returns {string}
+ */
+function renderTreeHtml(node) {
+    return Object.values(node.children || {}).sort((a, b) => b.size - a.size).map(child => {
+        const label = `<span class="name">📁 ${escapeHtml(child.name)} <small>(${child.fileCount})</small></span><span class="size">${formatBytes(child.size)}</span>`;
+        return Object.keys(child.children || {}).length
+            ? `<details><summary>${label}</summary>${renderTreeHtml(child)}</details>`
+            : `<div class="leaf">${label}</div>`;
+    }).join('');
+}
+
+/**
+ * Render a self-contained HTML page (no external assets)
+ * @param {object} report - buildReport() result
+ * @returns {string}
+ */
+function renderHtml(report) {
+    const chart = sortedTypes(report).filter(([type]) => type !== 'meta').map(([type, stats]) => {
+        const share = report.totalSize ? (stats.size / report.totalSize * 100).toFixed(1) : '0.0';
+        return `<div class="bar-row">
+            <span class="bar-label">${escapeHtml(type)} <small>${stats.count} files</small></span>
+            <span class="bar"><span style="width: ${share}%; background: ${TYPE_COLORS[type] || TYPE_COLORS.other}"></span></span>
+            <span class="bar-size">${formatBytes(stats.size)} · ${share}%</span>
+        </div>`;
+    }).join('');
+
+    const table = (headings, rows) => rows.length
+        ? `<table><tr>${headings.map(h => `<th>${h}</th>`).join('')}</tr>${rows.map(cells => `<tr>${cells.map(c => `<td>${c}</td>`).join('')}</tr>`).join('')}</table>`
+        : '';
+
+    const largest = table(['File', 'Type', 'Size'],
+        report.largest.map(f => [`<code>${escapeHtml(f.path)}</code>`, escapeHtml(f.type), formatBytes(f.size)]));
+
+    const runs = report.compression
+        ? [['Images', report.compression.images], ['Audio', report.compression.audio]].filter(([, run]) => run)
+        : [];
+    const compression = table(['Run', 'Compressed', 'Skipped', 'Failed', 'Before', 'After', 'Saved'],
+        runs.map(([label, run]) => [label, run.compressed, run.skipped, run.failed,
+            formatBytes(run.originalSize), formatBytes(run.newSize), formatBytes(run.savedSize)]));
+
+    const budgets = table(['Network', 'Size', 'Limit', 'Headroom', 'Result'],
+        (report.budgets || []).map(b => [`${escapeHtml(b.name)} (${b.format})`, formatBytes(b.size), formatBytes(b.maxSize),
+            formatBytes(b.headroom), b.pass ? '<span class="pass">pass</span>' : `<span class="fail">fail</span> ${escapeHtml(b.issues.join('; '))}`]));
+
+    const delivered = report.deliveredStats
+        ? `<p>Delivered: inlined ${formatBytes(report.deliveredStats.inlined)} · gzip ${formatBytes(report.deliveredStats.gzip)} · brotli ${formatBytes(report.deliveredStats.brotli)} · zip ${formatBytes(report.deliveredStats.zip)}</p>`
+        : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>Asset size report - ${escapeHtml(report.rootPath)}</title>
+<style>
+    body { font-family: 'Segoe UI', Tahoma, sans-serif; background: #f5f7fa; color: #1a1a1a; margin: 0; padding: 24px; }
+    main { max-width: 960px; margin: 0 auto; }
+    section { background: #fff; border: 1px solid #e1e4e8; border-radius: 8px; padding: 16px 20px; margin-bottom: 16px; }
+    h1 { font-size: 1.4rem; margin: 0 0 4px; }
+    h2 { font-size: 1.05rem; margin: 0 0 12px; }
+    .meta { color: #666; font-size: 0.85rem; }
+    .totals { display: flex; gap: 24px; font-size: 1.1rem; margin-top: 12px; }
+    .totals b { display: block; font-size: 1.4rem; }
+    .bar-row { display: grid; grid-template-columns: 160px 1fr 150px; align-items: center; gap: 12px; margin: 6px 0; }
+    .bar { background: #f0f2f5; border-radius: 4px; height: 14px; overflow: hidden; }
+    .bar span { display: block; height: 100%; }
+    .bar-size { text-align: right; font-size: 0.85rem; color: #666; }
+    small { color: #999; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.85rem; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e1e4e8; }
+    td:not(:first-child), th:not(:first-child) { text-align: right; }
+    code { font-family: Consolas, monospace; }
+    details, .leaf { margin-left: 16px; }
+    summary, .leaf { display: flex; justify-content: space-between; padding: 3px 0; cursor: default; }
+    summary { cursor: pointer; }
+    .size { font-family: Consolas, monospace; color: #666; }
+    .pass { color: #00aa55; font-weight: 600; }
+    .fail { color: #dc3545; font-weight: 600; }
+</style>
+</head>
+<body>
+<main>
+    <section>
+        <h1>Asset size report</h1>
+        <div class="meta">${escapeHtml(report.rootPath)} · scanned ${escapeHtml(report.scannedAt)}</div>
+        <div class="totals">
+            <div><b>${formatBytes(report.totalSize)}</b>Total size</div>
+            <div><b>${report.fileCount}</b>Files</div>
+            <div><b>${report.folderCount}</b>Folders</div>
+        </div>
+        ${delivered}
+    </section>
+    <section><h2>Distribution by Type</h2>${chart}</section>
+    ${largest ? `<section><h2>Largest Files</h2>${largest}</section>` : ''}
+    ${compression ? `<section><h2>Compression</h2>${compression}</section>` : ''}
+    ${budgets ? `<section><h2>Network Budgets</h2>${budgets}</section>` : ''}
+    <section><h2>Folder Structure</h2>${renderTreeHtml(report.folderTree)}</section>
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a report in one of REPORT_FORMATS
+ * @param {object} report - buildReport() result
+ * @param {string} format - "json", "csv", "md" or "html"
+ * @returns {{content: string, contentType: string, extension: string}}
+ */
+function renderReport(report, format) {
+    // Own keys only, so "toString" or "constructor" is not taken for a format
+    if (!Object.hasOwn(REPORT_FORMATS, format)) throw new Error(`Unsupported report format: ${format}`);
+
+    const renderers = {
+        json: () => JSON.stringify(report, null, 2),
+        csv: () => renderCsv(report),
+        md: () => renderMarkdown(report),
+        html: () => renderHtml(report)
+    };
+    return { content: renderers[format](), ...REPORT_FORMATS[format] };
+}
+
+module.exports = {
+    REPORT_FORMATS,
+    formatBytes,
+    buildReport,
+    renderReport
+};
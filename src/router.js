@@ -0,0 +1,1438 @@
+/**
+ * Router Module
+ * HTTP routes shared by the browser server (app.js) and the desktop app (electron-main.js)
+ *
+ * Every API lives in the route table below; both entry points mount handleRequest(),
+ * so a route added here is available in both
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { scanDirectory, computeDeliveredSize } = require('./scanner');
+const { subscribe } = require('./watcher');
+const { CONVERSION_TARGETS, compressDirectory, estimateCompression } = require('./compressor');
+const { compressAudioDirectory, estimateAudioCompression } = require('./audioCompressor');
+const { findUnusedAssets, getDependencyReport, findMissingReferences, quarantineAssets } = require('./assetGraph');
+const { findDuplicates, mergeDuplicates } = require('./duplicates');
+const { loadProfiles, saveProfiles, findFormatConflicts, evaluateBudgets } = require('./budgets');
+const { analyzeBuild } = require('./buildAnalyzer');
+const { createBackupBatch, listBackups, restoreBackups } = require('./backup');
+const { createJob, getJob, listJobs, cancelJob, resumeJob } = require('./jobs');
+const { OPTIMIZE_DATA_DIR, timestampId } = require('./dataStore');
+const { loadRules, addToIgnoreFile } = require('./rules');
+const { REPORT_FORMATS, buildReport, renderReport } = require('./reports');
+const { recordSnapshot, getHistory, getSnapshot } = require('./history');
+const { diffSources } = require('./diff');
+const { sizeAtRef, listCommitSizes, blameSizes } = require('./git');
+
+let ROOT_DIR = path.resolve(__dirname, '../../../assets');
+const PUBLIC_DIR = path.resolve(__dirname, '../public');
+const TAGS_FILE = 'tags.json';
+
+// MIME types for static files
+const mimeTypes = {
+    '.html': 'text/html',
+    '.css': 'text/css',
+    '.js': 'application/javascript',
+    '.json': 'application/json'
+};
+
+/**
+ * Serve static file
+ * @param {string} filePath
+ * @param {http.ServerResponse} res
+ */
+function serveStatic(filePath, res) {
+    const ext = path.extname(filePath);
+    const contentType = mimeTypes[ext] || 'text/plain';
+
+    fs.readFile(filePath, (err, data) => {
+        if (err) {
+            res.writeHead(404);
+            res.end('Not Found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': contentType });
+        res.end(data);
+    });
+}
+
+/**
+ * Check the image conversion targets of a run against the enabled network profiles
+ * @param {string|null} convertTo - Requested format ("webp", "avif")
+ * @param {object} rules - loadRules() rule set; the convertTo of every rule is checked too
+ * @param {boolean} resizeOnly - The run ignores rule conversions, so only convertTo is checked
+ * @returns {string|null} - Error message, null when every enabled network accepts every target
+ */
+function checkConversionTarget(convertTo, rules, resizeOnly = false) {
+    const targets = (resizeOnly ? [] : rules.imageConversions).map(rule => ({ format: rule.convertTo, source: ` (rule ${rule.match})` }));
+    if (convertTo) targets.unshift({ format: convertTo, source: '' });
+
+    const profiles = loadProfiles(ROOT_DIR);
+    for (const { format, source } of targets) {
+        if (!CONVERSION_TARGETS.includes(format)) return `Unsupported conversion format: ${format}${source}`;
+
+        const conflicts = findFormatConflicts(profiles, format);
+        if (conflicts.length) {
+            return `${format.toUpperCase()}${source} is not accepted by: ${conflicts.map(p => p.name).join(', ')}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Answer a job request: 404 for unknown jobs, otherwise the job state after the action
+ * @param {http.ServerResponse} res
+ * @param {string} jobId - Job id from the URL
+ * @param {function(): object} action - Returns the job state (may throw)
+ */
+function respondWithJob(res, jobId, action) {
+    try {
+        if (!getJob(ROOT_DIR, jobId)) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: 'Job not found' }));
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, job: action() }));
+    } catch (error) {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: error.message }));
+    }
+}
+
+/**
+ * Keep an automatic history snapshot of a scan; history errors never fail the scan
+ * @param {object} scan - scanDirectory() result
+ */
+function recordScan(scan) {
+    try {
+        recordSnapshot(ROOT_DIR, scan);
+    } catch (error) {
+        console.error('Failed to record scan history:', error.message);
+    }
+}
+
+// Route table: method null matches any method, ":name" path segments become handler params
+const routes = [
+    // API: Scan directory (with image dimensions / audio duration from the scan index)
+    {
+        method: null,
+        path: '/api/scan',
+        async handler(req, res) {
+            try {
+                const scan = await scanDirectory(ROOT_DIR, { details: true });
+                recordScan(scan);
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(scan));
+            } catch (error) {
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: error.message }));
+            }
+        }
+    },
+
+    // API: Scan directory with single-HTML delivered sizes
+    {
+        method: null,
+        path: '/api/scan/delivered',
+        async handler(req, res) {
+            try {
+                const scan = await scanDirectory(ROOT_DIR, { details: true, delivered: true });
+                recordScan(scan);
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(scan));
+            } catch (error) {
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: error.message }));
+            }
+        }
+    },
+
+    // API: Size history (snapshot summaries and optimization runs)
+    {
+        method: 'GET',
+        path: '/api/history',
+        async handler(req, res) {
+            try {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: true, ...getHistory(ROOT_DIR) }));
+            } catch (error) {
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: false, error: error.message }));
+            }
+        }
+    },
+
+    // API: Take a history snapshot now, with an optional label
+    {
+        method: 'POST',
+        path: '/api/history/snapshot',
+        async handler(req, res) {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', async () => {
+                try {
+                    const { label } = body ? JSON.parse(body) : {};
+                    const scan = await scanDirectory(ROOT_DIR, { delivered: true });
+                    const snapshot = recordSnapshot(ROOT_DIR, scan, { trigger: 'manual', label: label || null });
+
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: true, snapshot }));
+                } catch (error) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, error: error.message }));
+                }
+            });
+        }
+    },
+
+    // API: One history snapshot with its file list
+    {
+        method: 'GET',
+        path: '/api/history/:id',
+        async handler(req, res, params) {
+            try {
+                const snapshot = getSnapshot(ROOT_DIR, params.id);
+                if (!snapshot) {
+                    res.writeHead(404, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, error: 'Snapshot not found' }));
+                    return;
+                }
+
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: true, snapshot }));
+            } catch (error) {
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: false, error: error.message }));
+            }
+        }
+    },
+
+    // API: Compare two scans (?base=<snapshot id|git:ref|current>&head=..., head defaults to current files)
+    {
+        method: 'GET',
+        path: '/api/diff',
+        async handler(req, res) {
+            try {
+                const query = new URL(req.url, 'http://localhost').searchParams;
+                const base = query.get('base');
+
+                if (!base) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, error: 'No base selected' }));
+                    return;
+                }
+
+                const diff = await diffSources(ROOT_DIR, base, query.get('head') || 'current');
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: true, ...diff }));
+            } catch (error) {
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: false, error: error.message }));
+            }
+        }
+    },
+
+    // API: Size of the root at recent commits that touched it (?limit=30)
+    {
+        method: 'GET',
+        path: '/api/git/sizes',
+        async handler(req, res) {
+            try {
+                const limit = parseInt(new URL(req.url, 'http://localhost').searchParams.get('limit'), 10) || 30;
+                const commits = await listCommitSizes(ROOT_DIR, Math.min(limit, 200), loadRules(ROOT_DIR));
+
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: true, commits }));
+            } catch (error) {
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: false, error: error.message }));
+            }
+        }
+    },
+
+    // API: Size of the root at one commit, branch or tag (?ref=)
+    {
+        method: 'GET',
+        path: '/api/git/size',
+        async handler(req, res) {
+            try {
+                const ref = new URL(req.url, 'http://localhost').searchParams.get('ref') || 'HEAD';
+                const size = await sizeAtRef(ROOT_DIR, ref, loadRules(ROOT_DIR));
+
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: true, ...size }));
+            } catch (error) {
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: false, error: error.message }));
+            }
+        }
+    },
+
+    // API: Commit and author that introduced / last grew each file
+    {
+        method: 'GET',
+        path: '/api/git/blame',
+        async handler(req, res) {
+            try {
+                const blame = await blameSizes(ROOT_DIR);
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: true, ...blame }));
+            } catch (error) {
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: false, error: error.message }));
+            }
+        }
+    },
+
+    // API: Export a size report (?format=json|csv|md|html); a POST body may add the last compression results
+    {
+        method: null,
+        path: '/api/report',
+        async handler(req, res) {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', async () => {
+                try {
+                    const options = body ? JSON.parse(body) : {};
+                    const format = options.format || new URL(req.url, 'http://localhost').searchParams.get('format') || 'json';
+
+                    if (!Object.hasOwn(REPORT_FORMATS, format)) {
+                        res.writeHead(400, { 'Content-Type': 'application/json' });
+                        res.end(JSON.stringify({ success: false, error: `Unsupported report format: ${format}` }));
+                        return;
+                    }
+
+                    const scan = await scanDirectory(ROOT_DIR, { details: true, delivered: true });
+                    const report = buildReport(scan, {
+                        compression: options.compression || null,
+                        budgets: evaluateBudgets(ROOT_DIR, scan)
+                    });
+                    const { content, contentType, extension } = renderReport(report, format);
+
+                    res.writeHead(200, {
+                        'Content-Type': `${contentType}; charset=utf-8`,
+                        'Content-Disposition': `attachment; filename="size-report-${timestampId()}.${extension}"`
+                    });
+                    res.end(content);
+                } catch (error) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, error: error.message }));
+                }
+            });
+        }
+    },
+
+    // API: Live file changes (Server-Sent Events), ?delivered=1 adds delivered sizes
+    {
+        method: 'GET',
+        path: '/api/events',
+        async handler(req, res) {
+            const rootDir = ROOT_DIR;
+            const delivered = new URL(req.url, 'http://localhost').searchParams.get('delivered') === '1';
+
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive'
+            });
+            res.write(`data: ${JSON.stringify({ type: 'ready', rootPath: rootDir })}\n\n`);
+
+            /**
+             * Forward one batch of changes, measuring delivered sizes when asked
+             * @param {object} batch - Watcher batch
+             * @returns {Promise<void>}
+             */
+            async function send(batch) {
+                if (batch.rescan) {
+                    res.write(`data: ${JSON.stringify({ type: 'rescan' })}\n\n`);
+                    return;
+                }
+
+                const changes = [];
+                for (const change of batch.changes) {
+                    if (!delivered || !change.file || change.file.type === 'meta') {
+                        changes.push(change);
+                        continue;
+                    }
+                    try {
+                        const deliveredSize = await computeDeliveredSize(path.join(rootDir, change.path));
+                        changes.push({ ...change, file: { ...change.file, delivered: deliveredSize } });
+                    } catch {
+                        // Removed again before it could be measured
+                        changes.push({ path: change.path, file: null });
+                    }
+                }
+                res.write(`data: ${JSON.stringify({ type: 'changes', changes })}\n\n`);
+            }
+
+            // Batches are measured one after another so they reach the page in order
+            let sending = Promise.resolve();
+            const unsubscribe = subscribe(rootDir, batch => {
+                sending = sending.then(() => send(batch));
+            });
+            res.on('close', unsubscribe);
+        }
+    },
+
+    // API: Estimate compression (encodes every image in memory, nothing is written)
+    {
+        method: null,
+        path: '/api/compress/estimate',
+        async handler(req, res) {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', async () => {
+                try {
+                    const { targetPath, ...imageOptions } = body ? JSON.parse(body) : {};
+                    const estimateDir = targetPath ? path.resolve(ROOT_DIR, targetPath) : ROOT_DIR;
+
+                    // Security check: ensure path is within ROOT_DIR
+                    if (!estimateDir.startsWith(ROOT_DIR) || !fs.existsSync(estimateDir)) {
+                        res.writeHead(400, { 'Content-Type': 'application/json' });
+                        res.end(JSON.stringify({ error: 'Directory does not exist' }));
+                        return;
+                    }
+
+                    const estimate = await estimateCompression(estimateDir, { ...imageOptions, dataDir: ROOT_DIR });
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify(estimate));
+                } catch (error) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: error.message }));
+                }
+            });
+        }
+    },
+
+    // API: Get image metadata
+    {
+        method: 'POST',
+        path: '/api/image/metadata',
+        async handler(req, res) {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', async () => {
+                try {
+                    const { filePath } = JSON.parse(body);
+                    const fullPath = path.resolve(ROOT_DIR, filePath);
+
+                    // Security check: ensure path is within ROOT_DIR
+                    if (!fullPath.startsWith(ROOT_DIR)) {
+                        res.writeHead(403, { 'Content-Type': 'application/json' });
+                        res.end(JSON.stringify({ success: false, error: 'Invalid path' }));
+                        return;
+                    }
+
+                    const sharp = require('sharp');
+                    const image = sharp(fullPath);
+                    const metadata = await image.metadata();
+
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({
+                        success: true,
+                        width: metadata.width,
+                        height: metadata.height,
+                        format: metadata.format
+                    }));
+                } catch (error) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, error: error.message }));
+                }
+            });
+        }
+    },
+
+    // API: Resize single image
+    {
+        method: 'POST',
+        path: '/api/resize/single',
+        async handler(req, res) {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', async () => {
+                try {
+                    const { filePath, width, height } = JSON.parse(body);
+                    const fullPath = path.resolve(ROOT_DIR, filePath);
+
+                    // Security check: ensure path is within ROOT_DIR
+                    if (!fullPath.startsWith(ROOT_DIR)) {
+                        res.writeHead(403, { 'Content-Type': 'application/json' });
+                        res.end(JSON.stringify({ success: false, error: 'Invalid path' }));
+                        return;
+                    }
+
+                    const sharp = require('sharp');
+                    const fs = require('fs').promises;
+
+                    // Get original size and dimensions
+                    const stats = await fs.stat(fullPath);
+                    const originalSize = stats.size;
+
+                    const image = sharp(fullPath);
+                    const metadata = await image.metadata();
+
+                    // Calculate final dimensions
+                    let finalWidth = width;
+                    let finalHeight = height;
+
+                    // If only width provided, calculate height maintaining aspect ratio
+                    if (width && !height) {
+                        const aspectRatio = metadata.height / metadata.width;
+                        finalHeight = Math.round(width * aspectRatio);
+                    }
+                    // If only height provided, calculate width maintaining aspect ratio
+                    else if (height && !width) {
+                        const aspectRatio = metadata.width / metadata.height;
+                        finalWidth = Math.round(height * aspectRatio);
+                    }
+
+                    // Check if size actually changed
+                    if (metadata.width === finalWidth && metadata.height === finalHeight) {
+                        res.writeHead(200, { 'Content-Type': 'application/json' });
+                        res.end(JSON.stringify({
+                            success: true,
+                            skipped: true,
+                            reason: 'Image already has the requested dimensions',
+                            originalSize,
+                            newSize: originalSize,
+                            saved: 0,
+                            originalWidth: metadata.width,
+                            originalHeight: metadata.height,
+                            newWidth: finalWidth,
+                            newHeight: finalHeight
+                        }));
+                        return;
+                    }
+
+                    // Resize image - maintain aspect ratio if only one dimension provided
+                    const resizedBuffer = await image
+                        .resize(finalWidth, finalHeight, {
+                            fit: 'fill'
+                        })
+                        .toBuffer();
+                    const newMetadata = await sharp(resizedBuffer).metadata();
+
+                    // Snapshot the original, then save resized image
+                    const backup = createBackupBatch(ROOT_DIR, 'resize', { width: finalWidth, height: finalHeight });
+                    await backup.save(fullPath);
+                    await fs.writeFile(fullPath, resizedBuffer);
+
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({
+                        success: true,
+                        skipped: false,
+                        originalSize,
+                        newSize: resizedBuffer.length,
+                        saved: originalSize - resizedBuffer.length,
+                        originalWidth: metadata.width,
+                        originalHeight: metadata.height,
+                        newWidth: newMetadata.width,
+                        newHeight: newMetadata.height,
+                        batchId: backup.batchId
+                    }));
+                } catch (error) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, error: error.message }));
+                }
+            });
+        }
+    },
+
+    // API: Compress single image
+    {
+        method: 'POST',
+        path: '/api/compress/single',
+        async handler(req, res) {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', async () => {
+                try {
+                    const { filePath, ...imageOptions } = JSON.parse(body);
+                    const fullPath = path.resolve(ROOT_DIR, filePath);
+
+                    // Security check: ensure path is within ROOT_DIR
+                    if (!fullPath.startsWith(ROOT_DIR)) {
+                        res.writeHead(403, { 'Content-Type': 'application/json' });
+                        res.end(JSON.stringify({ success: false, error: 'Invalid path' }));
+                        return;
+                    }
+
+                    const rules = loadRules(ROOT_DIR);
+                    const formatError = checkConversionTarget(imageOptions.convertTo, rules);
+                    if (formatError) {
+                        res.writeHead(400, { 'Content-Type': 'application/json' });
+                        res.end(JSON.stringify({ success: false, error: formatError }));
+                        return;
+                    }
+
+                    const { compressImage } = require('./compressor');
+                    const backup = createBackupBatch(ROOT_DIR, 'compress-image', imageOptions);
+                    const baseline = imageOptions.convertTo || rules.convertsImages ? await findMissingReferences(ROOT_DIR) : null;
+                    const result = await compressImage(fullPath, { ...imageOptions, backup, rules });
+                    const brokenReferences = baseline ? await findMissingReferences(ROOT_DIR, baseline) : [];
+
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ...result, batchId: backup.batchId, brokenReferences }));
+                } catch (error) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, error: error.message }));
+                }
+            });
+        }
+    },
+
+    // API: Set root directory
+    {
+        method: 'POST',
+        path: '/api/set-root',
+        async handler(req, res) {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', async () => {
+                try {
+                    const { rootPath } = JSON.parse(body);
+                    const newRootPath = path.resolve(rootPath);
+
+                    // Check if directory exists
+                    const fs = require('fs');
+                    if (!fs.existsSync(newRootPath)) {
+                        res.writeHead(400, { 'Content-Type': 'application/json' });
+                        res.end(JSON.stringify({ success: false, error: 'Directory does not exist' }));
+                        return;
+                    }
+
+                    // Update ROOT_DIR
+                    ROOT_DIR = newRootPath;
+
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: true, rootPath: ROOT_DIR }));
+                } catch (error) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, error: error.message }));
+                }
+            });
+        }
+    },
+
+    // API: Get tags
+    {
+        method: 'GET',
+        path: '/api/tags/get',
+        async handler(req, res) {
+            try {
+                const dataDir = path.join(ROOT_DIR, OPTIMIZE_DATA_DIR);
+                const tagsFilePath = path.join(dataDir, TAGS_FILE);
+
+                // Check if tags file exists
+                if (!fs.existsSync(tagsFilePath)) {
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: true, tags: {} }));
+                    return;
+                }
+
+                // Read tags file
+                const tagsData = fs.readFileSync(tagsFilePath, 'utf8');
+                const tags = JSON.parse(tagsData);
+
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: true, tags }));
+            } catch (error) {
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: false, error: error.message }));
+            }
+        }
+    },
+
+    // API: Save tags
+    {
+        method: 'POST',
+        path: '/api/tags/save',
+        async handler(req, res) {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', async () => {
+                try {
+                    const { tags } = JSON.parse(body);
+                    const dataDir = path.join(ROOT_DIR, OPTIMIZE_DATA_DIR);
+                    const tagsFilePath = path.join(dataDir, TAGS_FILE);
+
+                    // Create .optimize-data directory if it doesn't exist
+                    if (!fs.existsSync(dataDir)) {
+                        fs.mkdirSync(dataDir, { recursive: true });
+                    }
+
+                    // Write tags to file
+                    fs.writeFileSync(tagsFilePath, JSON.stringify(tags, null, 2), 'utf8');
+
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: true }));
+                } catch (error) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, error: error.message }));
+                }
+            });
+        }
+    },
+
+    // API: Find unused assets
+    {
+        method: 'GET',
+        path: '/api/unused',
+        async handler(req, res) {
+            try {
+                const unused = await findUnusedAssets(ROOT_DIR);
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: true, ...unused }));
+            } catch (error) {
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: false, error: error.message }));
+            }
+        }
+    },
+
+    // API: Asset dependency graph
+    {
+        method: 'GET',
+        path: '/api/deps',
+        async handler(req, res) {
+            try {
+                const report = await getDependencyReport(ROOT_DIR);
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: true, ...report }));
+            } catch (error) {
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: false, error: error.message }));
+            }
+        }
+    },
+
+    // API: Move unused assets to quarantine
+    {
+        method: 'POST',
+        path: '/api/unused/quarantine',
+        async handler(req, res) {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', async () => {
+                try {
+                    const { paths } = JSON.parse(body);
+
+                    if (!Array.isArray(paths) || paths.length === 0) {
+                        res.writeHead(400, { 'Content-Type': 'application/json' });
+                        res.end(JSON.stringify({ success: false, error: 'No paths provided' }));
+                        return;
+                    }
+
+                    const result = await quarantineAssets(ROOT_DIR, paths);
+
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify(result));
+                } catch (error) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, error: error.message }));
+                }
+            });
+        }
+    },
+
+    // API: Add files to .optimizeignore, so scans and compression skip them
+    {
+        method: 'POST',
+        path: '/api/ignore',
+        async handler(req, res) {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', async () => {
+                try {
+                    const { paths } = JSON.parse(body);
+
+                    if (!Array.isArray(paths) || paths.length === 0) {
+                        res.writeHead(400, { 'Content-Type': 'application/json' });
+                        res.end(JSON.stringify({ success: false, error: 'No paths provided' }));
+                        return;
+                    }
+
+                    const added = addToIgnoreFile(ROOT_DIR, paths);
+
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: true, added }));
+                } catch (error) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, error: error.message }));
+                }
+            });
+        }
+    },
+
+    // API: Find duplicate assets
+    {
+        method: 'GET',
+        path: '/api/duplicates',
+        async handler(req, res) {
+            try {
+                const duplicates = await findDuplicates(ROOT_DIR);
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: true, ...duplicates }));
+            } catch (error) {
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: false, error: error.message }));
+            }
+        }
+    },
+
+    // API: Merge duplicate assets into one survivor
+    {
+        method: 'POST',
+        path: '/api/duplicates/merge',
+        async handler(req, res) {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', async () => {
+                try {
+                    const { keep, remove } = JSON.parse(body);
+                    const paths = [keep, ...(remove || [])];
+
+                    // Security check: ensure every path is within ROOT_DIR
+                    if (!keep || !Array.isArray(remove) || paths.some(p => !path.resolve(ROOT_DIR, p).startsWith(ROOT_DIR))) {
+                        res.writeHead(403, { 'Content-Type': 'application/json' });
+                        res.end(JSON.stringify({ success: false, error: 'Invalid path' }));
+                        return;
+                    }
+
+                    const backup = createBackupBatch(ROOT_DIR, 'merge-duplicates', { keep, remove });
+                    const result = await mergeDuplicates(ROOT_DIR, keep, remove, backup);
+
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ...result, batchId: backup.batchId }));
+                } catch (error) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, error: error.message }));
+                }
+            });
+        }
+    },
+
+    // API: Evaluate network budgets
+    {
+        method: 'GET',
+        path: '/api/budgets',
+        async handler(req, res) {
+            try {
+                const profiles = loadProfiles(ROOT_DIR);
+                const results = evaluateBudgets(ROOT_DIR, await scanDirectory(ROOT_DIR, { delivered: true }), profiles);
+
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: true, profiles, results }));
+            } catch (error) {
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: false, error: error.message }));
+            }
+        }
+    },
+
+    // API: Save network budget profiles
+    {
+        method: 'POST',
+        path: '/api/budgets/save',
+        async handler(req, res) {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', async () => {
+                try {
+                    const { profiles } = JSON.parse(body);
+
+                    if (!Array.isArray(profiles)) {
+                        res.writeHead(400, { 'Content-Type': 'application/json' });
+                        res.end(JSON.stringify({ success: false, error: 'Invalid profiles' }));
+                        return;
+                    }
+
+                    saveProfiles(ROOT_DIR, profiles);
+
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: true }));
+                } catch (error) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, error: error.message }));
+                }
+            });
+        }
+    },
+
+    // API: Analyze a Cocos build output (web-mobile folder or playable HTML)
+    {
+        method: 'POST',
+        path: '/api/build/analyze',
+        async handler(req, res) {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', async () => {
+                try {
+                    const { buildPath, sourcePath } = JSON.parse(body);
+
+                    if (!buildPath || !fs.existsSync(buildPath)) {
+                        res.writeHead(400, { 'Content-Type': 'application/json' });
+                        res.end(JSON.stringify({ success: false, error: 'Build path does not exist' }));
+                        return;
+                    }
+
+                    const result = await analyzeBuild(path.resolve(buildPath), {
+                        sourceDir: sourcePath ? path.resolve(sourcePath) : ROOT_DIR
+                    });
+
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: true, ...result }));
+                } catch (error) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, error: error.message }));
+                }
+            });
+        }
+    },
+
+    // API: List backups of destructive operations
+    {
+        method: 'GET',
+        path: '/api/backups',
+        async handler(req, res) {
+            try {
+                const backups = listBackups(ROOT_DIR);
+
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: true, ...backups }));
+            } catch (error) {
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: false, error: error.message }));
+            }
+        }
+    },
+
+    // API: Restore backups (whole run, one batch, or one file of a batch)
+    {
+        method: 'POST',
+        path: '/api/backups/restore',
+        async handler(req, res) {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', async () => {
+                try {
+                    const { runId, batchId, path: relPath } = JSON.parse(body);
+
+                    if (!runId && !batchId) {
+                        res.writeHead(400, { 'Content-Type': 'application/json' });
+                        res.end(JSON.stringify({ success: false, error: 'No backup selected' }));
+                        return;
+                    }
+
+                    const result = await restoreBackups(ROOT_DIR, { runId, batchId, path: relPath });
+
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify(result));
+                } catch (error) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, error: error.message }));
+                }
+            });
+        }
+    },
+
+    // API: Start a background optimization job
+    {
+        method: 'POST',
+        path: '/api/jobs',
+        async handler(req, res) {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', async () => {
+                try {
+                    const { kind, targetPath, ...options } = JSON.parse(body);
+
+                    if (targetPath) {
+                        const jobDir = path.resolve(ROOT_DIR, targetPath);
+
+                        // Security check: ensure path is within ROOT_DIR
+                        if (!jobDir.startsWith(ROOT_DIR)) {
+                            res.writeHead(403, { 'Content-Type': 'application/json' });
+                            res.end(JSON.stringify({ success: false, error: 'Invalid path' }));
+                            return;
+                        }
+                        if (!fs.existsSync(jobDir)) {
+                            res.writeHead(400, { 'Content-Type': 'application/json' });
+                            res.end(JSON.stringify({ success: false, error: 'Directory does not exist' }));
+                            return;
+                        }
+                    }
+
+                    const formatError = kind === 'compress-images' ? checkConversionTarget(options.convertTo, loadRules(ROOT_DIR), options.resizeOnly) : null;
+                    if (formatError) {
+                        res.writeHead(400, { 'Content-Type': 'application/json' });
+                        res.end(JSON.stringify({ success: false, error: formatError }));
+                        return;
+                    }
+
+                    const job = createJob(ROOT_DIR, kind, targetPath, options);
+
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: true, job }));
+                } catch (error) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, error: error.message }));
+                }
+            });
+        }
+    },
+
+    // API: List jobs (interrupted ones can be resumed)
+    {
+        method: 'GET',
+        path: '/api/jobs',
+        async handler(req, res) {
+            try {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: true, jobs: listJobs(ROOT_DIR) }));
+            } catch (error) {
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: false, error: error.message }));
+            }
+        }
+    },
+
+    // API: Job status
+    {
+        method: 'GET',
+        path: '/api/jobs/:id',
+        async handler(req, res, params) {
+            respondWithJob(res, params.id, () => getJob(ROOT_DIR, params.id));
+        }
+    },
+
+    // API: Cancel a running job
+    {
+        method: 'POST',
+        path: '/api/jobs/:id/cancel',
+        async handler(req, res, params) {
+            respondWithJob(res, params.id, () => cancelJob(ROOT_DIR, params.id));
+        }
+    },
+
+    // API: Resume a cancelled, failed or interrupted job
+    {
+        method: 'POST',
+        path: '/api/jobs/:id/resume',
+        async handler(req, res, params) {
+            respondWithJob(res, params.id, () => resumeJob(ROOT_DIR, params.id));
+        }
+    },
+
+    // API: Native folder dialog (Windows)
+    {
+        method: 'POST',
+        path: '/api/native-folder-dialog',
+        async handler(req, res) {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', async () => {
+                try {
+                    const { initialPath } = JSON.parse(body);
+                    const { exec } = require('child_process');
+                    const scriptPath = path.join(__dirname, 'folder-dialog.ps1');
+
+                    // Build PowerShell command
+                    const psCommand = `powershell -ExecutionPolicy Bypass -File "${scriptPath}" "${initialPath || ROOT_DIR}"`;
+
+                    exec(psCommand, (error, stdout, stderr) => {
+                        if (error) {
+                            res.writeHead(500, { 'Content-Type': 'application/json' });
+                            res.end(JSON.stringify({ success: false, error: error.message }));
+                            return;
+                        }
+
+                        const selectedPath = stdout.trim();
+
+                        if (selectedPath) {
+                            res.writeHead(200, { 'Content-Type': 'application/json' });
+                            res.end(JSON.stringify({
+                                success: true,
+                                path: selectedPath
+                            }));
+                        } else {
+                            // User cancelled
+                            res.writeHead(200, { 'Content-Type': 'application/json' });
+                            res.end(JSON.stringify({ success: false, cancelled: true }));
+                        }
+                    });
+                } catch (error) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, error: error.message }));
+                }
+            });
+        }
+    },
+
+    // API: List directories
+    {
+        method: 'POST',
+        path: '/api/list-directories',
+        async handler(req, res) {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', async () => {
+                try {
+                    const { dirPath } = JSON.parse(body);
+                    let targetDir = dirPath ? path.resolve(dirPath) : ROOT_DIR;
+
+                    // Security check: for relative paths, ensure they're within ROOT_DIR
+                    if (dirPath && !path.isAbsolute(dirPath)) {
+                        targetDir = path.resolve(ROOT_DIR, dirPath);
+                        if (!targetDir.startsWith(ROOT_DIR)) {
+                            res.writeHead(403, { 'Content-Type': 'application/json' });
+                            res.end(JSON.stringify({ success: false, error: 'Invalid path' }));
+                            return;
+                        }
+                    }
+
+                    // Check if directory exists
+                    if (!fs.existsSync(targetDir)) {
+                        res.writeHead(400, { 'Content-Type': 'application/json' });
+                        res.end(JSON.stringify({ success: false, error: 'Directory does not exist' }));
+                        return;
+                    }
+
+                    // Read directory contents
+                    const entries = await fs.promises.readdir(targetDir, { withFileTypes: true });
+                    const directories = entries
+                        .filter(entry => entry.isDirectory())
+                        .map(entry => ({
+                            name: entry.name,
+                            path: path.join(targetDir, entry.name)
+                        }))
+                        .sort((a, b) => a.name.localeCompare(b.name));
+
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({
+                        success: true,
+                        currentPath: targetDir,
+                        parentPath: path.dirname(targetDir),
+                        directories
+                    }));
+                } catch (error) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, error: error.message }));
+                }
+            });
+        }
+    },
+
+    // API: Compress images
+    {
+        method: 'POST',
+        path: '/api/compress/run',
+        async handler(req, res) {
+            try {
+                // Parse body for options
+                let body = '';
+                req.on('data', chunk => { body += chunk; });
+                req.on('end', async () => {
+                    const options = body ? JSON.parse(body) : {};
+                    const { targetPath } = options;
+
+                    // Determine directory to compress
+                    let compressDir = ROOT_DIR;
+                    if (targetPath) {
+                        compressDir = path.resolve(ROOT_DIR, targetPath);
+
+                        // Security check: ensure path is within ROOT_DIR
+                        if (!compressDir.startsWith(ROOT_DIR)) {
+                            res.writeHead(403, { 'Content-Type': 'application/json' });
+                            res.end(JSON.stringify({ error: 'Invalid path' }));
+                            return;
+                        }
+
+                        // Check if directory exists
+                        const fs = require('fs');
+                        if (!fs.existsSync(compressDir)) {
+                            res.writeHead(400, { 'Content-Type': 'application/json' });
+                            res.end(JSON.stringify({ error: 'Directory does not exist' }));
+                            return;
+                        }
+                    }
+
+                    // A broken or unacceptable rule file rejects the run before it starts
+                    let rules;
+                    let formatError;
+                    try {
+                        rules = loadRules(ROOT_DIR);
+                        formatError = checkConversionTarget(options.convertTo, rules);
+                    } catch (error) {
+                        formatError = error.message;
+                    }
+                    if (formatError) {
+                        res.writeHead(400, { 'Content-Type': 'application/json' });
+                        res.end(JSON.stringify({ error: formatError }));
+                        return;
+                    }
+
+                    // Send headers for Server-Sent Events
+                    res.writeHead(200, {
+                        'Content-Type': 'text/event-stream',
+                        'Cache-Control': 'no-cache',
+                        'Connection': 'keep-alive'
+                    });
+
+                    // Progress callback
+                    const progressCallback = (progress) => {
+                        res.write(`data: ${JSON.stringify({ type: 'progress', ...progress })}\n\n`);
+                    };
+
+                    // Closing the page stops the run between files
+                    const controller = new AbortController();
+                    res.on('close', () => controller.abort());
+
+                    try {
+                        const backup = createBackupBatch(ROOT_DIR, 'compress-images', options);
+                        const baseline = options.convertTo || rules.convertsImages ? await findMissingReferences(ROOT_DIR) : null;
+                        const results = await compressDirectory(compressDir, { ...options, backup, rules, signal: controller.signal }, progressCallback);
+                        results.batchId = backup.batchId;
+                        results.brokenReferences = baseline ? await findMissingReferences(ROOT_DIR, baseline) : [];
+                        res.write(`data: ${JSON.stringify({ type: 'complete', results })}\n\n`);
+                        res.end();
+                    } catch (error) {
+                        res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
+                        res.end();
+                    }
+                });
+            } catch (error) {
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: error.message }));
+            }
+        }
+    },
+
+    // API: Estimate audio compression
+    {
+        method: 'POST',
+        path: '/api/audio/estimate',
+        async handler(req, res) {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', async () => {
+                try {
+                    const { targetPath, bitrate, sampleRate, channels, format } = body ? JSON.parse(body) : {};
+                    let audioDir = ROOT_DIR;
+
+                    if (targetPath) {
+                        audioDir = path.resolve(ROOT_DIR, targetPath);
+
+                        // Security check
+                        if (!fs.existsSync(audioDir)) {
+                            res.writeHead(400, { 'Content-Type': 'application/json' });
+                            res.end(JSON.stringify({ error: 'Directory does not exist' }));
+                            return;
+                        }
+                    }
+
+                    const estimate = await estimateAudioCompression(audioDir, {
+                        bitrate: bitrate || '96k',
+                        sampleRate: sampleRate || null,
+                        channels: channels || null,
+                        format: format || null,
+                        dataDir: ROOT_DIR
+                    });
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify(estimate));
+                } catch (error) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: error.message }));
+                }
+            });
+        }
+    },
+
+    // API: Compress single audio file
+    {
+        method: 'POST',
+        path: '/api/audio/compress/single',
+        async handler(req, res) {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', async () => {
+                try {
+                    const { filePath, bitrate, channels, format } = JSON.parse(body);
+                    const fullPath = path.resolve(ROOT_DIR, filePath);
+
+                    // Security check
+                    if (!fullPath.startsWith(ROOT_DIR)) {
+                        res.writeHead(403, { 'Content-Type': 'application/json' });
+                        res.end(JSON.stringify({ success: false, error: 'Invalid path' }));
+                        return;
+                    }
+
+                    const { compressAudio } = require('./audioCompressor');
+                    const audioOptions = {
+                        bitrate: bitrate || '96k',
+                        channels: channels || null,
+                        format: format || null
+                    };
+                    const backup = createBackupBatch(ROOT_DIR, 'compress-audio', audioOptions);
+                    const baseline = await findMissingReferences(ROOT_DIR);
+                    const result = await compressAudio(fullPath, { ...audioOptions, backup, rules: loadRules(ROOT_DIR) });
+                    const brokenReferences = await findMissingReferences(ROOT_DIR, baseline);
+
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ...result, batchId: backup.batchId, brokenReferences }));
+                } catch (error) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, error: error.message }));
+                }
+            });
+        }
+    },
+
+    // API: Compress audio
+    {
+        method: 'POST',
+        path: '/api/audio/compress',
+        async handler(req, res) {
+            try {
+                let body = '';
+                req.on('data', chunk => { body += chunk; });
+                req.on('end', async () => {
+                    const options = body ? JSON.parse(body) : {};
+                    const { targetPath, bitrate, sampleRate, channels, format, concurrency } = options;
+
+                    // Determine directory to compress
+                    let compressDir = ROOT_DIR;
+                    if (targetPath) {
+                        compressDir = path.resolve(ROOT_DIR, targetPath);
+
+                        // Security check
+                        if (!fs.existsSync(compressDir)) {
+                            res.writeHead(400, { 'Content-Type': 'application/json' });
+                            res.end(JSON.stringify({ error: 'Directory does not exist' }));
+                            return;
+                        }
+                    }
+
+                    // Send headers for Server-Sent Events
+                    res.writeHead(200, {
+                        'Content-Type': 'text/event-stream',
+                        'Cache-Control': 'no-cache',
+                        'Connection': 'keep-alive'
+                    });
+
+                    // Progress callback
+                    const progressCallback = (progress) => {
+                        res.write(`data: ${JSON.stringify({ type: 'progress', ...progress })}\n\n`);
+                    };
+
+                    // Closing the page stops the run between files
+                    const controller = new AbortController();
+                    res.on('close', () => controller.abort());
+
+                    try {
+                        const audioOptions = {
+                            bitrate: bitrate || '96k',
+                            sampleRate: sampleRate || null,
+                            channels: channels || null,
+                            format: format || null
+                        };
+                        const backup = createBackupBatch(ROOT_DIR, 'compress-audio', { targetPath, ...audioOptions });
+                        const baseline = await findMissingReferences(ROOT_DIR);
+                        const results = await compressAudioDirectory(compressDir, {
+                            ...audioOptions,
+                            concurrency,
+                            backup,
+                            rules: loadRules(ROOT_DIR),
+                            signal: controller.signal
+                        }, progressCallback);
+                        results.batchId = backup.batchId;
+                        results.brokenReferences = await findMissingReferences(ROOT_DIR, baseline);
+                        res.write(`data: ${JSON.stringify({ type: 'complete', results })}\n\n`);
+                        res.end();
+                    } catch (error) {
+                        res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
+                        res.end();
+                    }
+                });
+            } catch (error) {
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: error.message }));
+            }
+        }
+    }
+];
+
+// Compiled once: path pattern -> regex + param names
+const compiledRoutes = routes.map(route => {
+    const params = [];
+    const pattern = route.path.replace(/:(\w+)/g, (match, name) => {
+        params.push(name);
+        return '([\\w-]+)';
+    });
+    return { ...route, regex: new RegExp(`^${pattern}$`), params };
+});
+
+/**
+ * Find the route for a request
+ * @param {string} method - HTTP method
+ * @param {string} pathname - Request path without query string
+ * @returns {{route: object, params: object}|null}
+ */
+function matchRoute(method, pathname) {
+    for (const route of compiledRoutes) {
+        if (route.method && route.method !== method) continue;
+
+        const match = pathname.match(route.regex);
+        if (!match) continue;
+
+        const params = Object.fromEntries(route.params.map((name, i) => [name, match[i + 1]]));
+        return { route, params };
+    }
+    return null;
+}
+
+/**
+ * HTTP request listener: API routes first, then static files from public/
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @returns {Promise<void>}
+ */
+async function handleRequest(req, res) {
+    const url = req.url;
+
+    // Routes match on the path; handlers read query strings themselves
+    const matched = matchRoute(req.method, url.split('?')[0]);
+    if (matched) {
+        await matched.route.handler(req, res, matched.params);
+        return;
+    }
+
+    // Static files
+    let filePath = path.join(PUBLIC_DIR, url === '/' ? 'index.html' : url);
+    serveStatic(filePath, res);
+}
+
+/**
+ * List every API route, e.g. "POST /api/jobs/:id/cancel" ("*" for any method)
+ * @returns {string[]}
+ */
+function listRoutes() {
+    return routes.map(route => `${route.method || '*'} ${route.path}`);
+}
+
+/**
+ * Get the directory being analyzed (changed by /api/set-root)
+ * @returns {string}
+ */
+function getRootDir() {
+    return ROOT_DIR;
+}
+
+module.exports = {
+    handleRequest,
+    listRoutes,
+    getRootDir
+};
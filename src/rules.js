@@ -0,0 +1,306 @@
+/**
+ * Rules Module
+ * Project-level scan and optimization policy, kept next to the assets so it can be versioned:
+ *
+ * .optimizeignore       - gitignore syntax; matching files are neither scanned nor compressed
+ * .optimize-rules.json  - per-folder settings, e.g.
+ *   { "rules": [
+ *       { "match": "resources/ui/**", "image": { "lossless": true } },
+ *       { "match": "textures/bg/**", "image": { "maxSize": 1024, "convertTo": "webp" } },
+ *       { "match": "audio/bgm/**", "audio": { "bitrate": "64k", "channels": 1 } },
+ *       { "match": "fonts/**", "skip": true }
+ *   ] }
+ * Every matching rule applies in file order, later rules override earlier ones; rule settings
+ * override the settings picked in the UI
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const IGNORE_FILE = '.optimizeignore';
+const RULES_FILE = '.optimize-rules.json';
+
+// Settings a rule may set, per asset kind
+const IMAGE_RULE_KEYS = ['quality', 'lossless', 'maxSize', 'convertTo', 'palette', 'colors', 'dither', 'effort'];
+const AUDIO_RULE_KEYS = ['bitrate', 'sampleRate', 'channels', 'format'];
+
+/**
+ * Convert a gitignore-style glob to a regex body
+ * @param {string} glob - Glob without leading "/" or trailing "/"
+ * @returns {string}
+ */
+function globToRegex(glob) {
+    let regex = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            // "**/" matches zero or more folders, a trailing "**" everything below
+            if (glob[i + 2] === '/') {
+                regex += '(?:.*/)?';
+                i += 2;
+            } else {
+                regex += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            regex += '[^/]*';
+        } else if (char === '?') {
+            regex += '[^/]';
+        } else if (char === '[') {
+            const end = glob.indexOf(']', i + 1);
+            if (end === -1) {
+                regex += '\\[';
+            } else {
+                regex += '[' + glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+                i = end;
+            }
+        } else if (char === '\\' && i + 1 < glob.length) {
+            regex += '\\' + glob[++i];
+        } else {
+            regex += char.replace(/[.+^${}()|\\]/g, '\\$&');
+        }
+    }
+    return regex;
+}
+
+/**
+ * Compile one gitignore line
+ * @param {string} line - Pattern line
+ * @returns {{pattern: string, regex: RegExp, negate: boolean, dirOnly: boolean}|null} - null for blanks and comments
+ */
+function compilePattern(line) {
+    let pattern = line.replace(/(?<!\\)\s+$/, '');
+    if (!pattern || pattern.startsWith('#')) return null;
+
+    const original = pattern;
+    const negate = pattern.startsWith('!');
+    if (negate) pattern = pattern.slice(1);
+    if (pattern.startsWith('\\#') || pattern.startsWith('\\!')) pattern = pattern.slice(1);
+
+    const dirOnly = pattern.endsWith('/');
+    if (dirOnly) pattern = pattern.slice(0, -1);
+
+    // A slash anywhere but the end anchors the pattern to the root; otherwise it matches at any depth
+    const anchored = pattern.includes('/');
+    if (pattern.startsWith('/')) pattern = pattern.slice(1);
+    if (!pattern) return null;
+
+    const prefix = anchored ? '' : '(?:.*/)?';
+    return { pattern: original, regex: new RegExp(`^${prefix}${globToRegex(pattern)}$`), negate, dirOnly };
+}
+
+/**
+ * Check a path and its parent folders against one compiled pattern
+ * A pattern that matches a folder matches everything inside it
+ * @param {object} compiled - compilePattern() result
+ * @param {string} relPath - Path relative to the root, "/" separated
+ * @param {boolean} isDir - Whether relPath is a folder
+ * @returns {boolean}
+ */
+function matchesPath(compiled, relPath, isDir) {
+    const segments = relPath.split('/');
+    for (let i = 1; i <= segments.length; i++) {
+        const candidate = segments.slice(0, i).join('/');
+        const candidateIsDir = i < segments.length || isDir;
+        if (compiled.dirOnly && !candidateIsDir) continue;
+        if (compiled.regex.test(candidate)) return true;
+    }
+    return false;
+}
+
+/**
+ * Read a policy file of the root, null when missing
+ * @param {string} rootDir - Root directory
+ * @param {string} name - File name
+ * @returns {string|null}
+ */
+function readPolicyFile(rootDir, name) {
+    const filePath = path.join(rootDir, name);
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+}
+
+/**
+ * Summarize resolved settings for display, e.g. "max 1024px, webp"
+ * @param {object} resolved - resolve() result
+ * @returns {string}
+ */
+function describeSettings(resolved) {
+    if (resolved.skip) return 'not optimized';
+
+    const parts = [];
+    const { image, audio } = resolved;
+    if (image.lossless) parts.push('lossless');
+    if (image.maxSize) parts.push(`max ${image.maxSize}px`);
+    if (image.quality !== undefined) parts.push(`quality ${image.quality}`);
+    if (image.convertTo) parts.push(image.convertTo);
+    if (image.palette === false) parts.push('no palette');
+    if (image.colors) parts.push(`${image.colors} colors`);
+    if (image.effort) parts.push(`effort ${image.effort}`);
+    if (audio.bitrate) parts.push(audio.bitrate);
+    if (audio.channels) parts.push(audio.channels === 1 ? 'mono' : `${audio.channels} channels`);
+    if (audio.sampleRate) parts.push(`${audio.sampleRate} Hz`);
+    if (audio.format) parts.push(audio.format);
+    return parts.join(', ');
+}
+
+/**
+ * Load the ignore list and rules of a root directory
+ * @param {string} rootDir - Root directory the patterns are relative to
+ * @returns {{rootDir: string, convertsImages: boolean, imageConversions: {match: string, convertTo: string}[],
+ *   isIgnored: function, resolve: function, applyImage: function, applyAudio: function}}
+ */
+function loadRules(rootDir) {
+    const ignoreText = readPolicyFile(rootDir, IGNORE_FILE);
+    const ignorePatterns = ignoreText ? ignoreText.split(/\r?\n/).map(compilePattern).filter(Boolean) : [];
+
+    let rules = [];
+    const rulesText = readPolicyFile(rootDir, RULES_FILE);
+    if (rulesText) {
+        let parsed;
+        try {
+            parsed = JSON.parse(rulesText);
+        } catch (error) {
+            // A broken policy must not silently compress files it protects
+            throw new Error(`Invalid ${RULES_FILE}: ${error.message}`);
+        }
+        rules = (parsed.rules || []).filter(rule => rule && typeof rule.match === 'string').map(rule => ({
+            ...rule,
+            compiled: compilePattern(rule.match.replace(/^!/, ''))
+        })).filter(rule => rule.compiled);
+    }
+
+    /**
+     * Convert an absolute or root-relative path to a root-relative "/" path
+     * @param {string} filePath - Path
+     * @returns {string}
+     */
+    function toRelative(filePath) {
+        const relPath = path.isAbsolute(filePath) ? path.relative(rootDir, filePath) : filePath;
+        return relPath.split(path.sep).join('/');
+    }
+
+    /**
+     * @param {string} filePath - Absolute or root-relative path
+     * @param {boolean} isDir - Whether the path is a folder
+     * @returns {boolean} - True when .optimizeignore excludes the path (last matching line wins)
+     */
+    function isIgnored(filePath, isDir = false) {
+        const relPath = toRelative(filePath);
+        // Outside the root: the policy does not apply
+        if (!relPath || relPath.startsWith('..')) return false;
+
+        let ignored = false;
+        for (const compiled of ignorePatterns) {
+            if (ignored === !compiled.negate) continue;
+            if (matchesPath(compiled, relPath, isDir)) ignored = !compiled.negate;
+        }
+        return ignored;
+    }
+
+    /**
+     * @param {string} filePath - Absolute or root-relative file path
+     * @returns {{patterns: string[], skip: boolean, image: object, audio: object, summary: string}|null}
+     *   Merged settings of every matching rule, null when no rule matches
+     */
+    function resolve(filePath) {
+        const relPath = toRelative(filePath);
+        const matched = rules.filter(rule => matchesPath(rule.compiled, relPath, false));
+        if (!matched.length) return null;
+
+        const resolved = { patterns: matched.map(rule => rule.match), skip: false, image: {}, audio: {} };
+        for (const rule of matched) {
+            if (rule.skip !== undefined) resolved.skip = Boolean(rule.skip);
+            for (const key of IMAGE_RULE_KEYS) {
+                if (rule.image && rule.image[key] !== undefined) resolved.image[key] = rule.image[key];
+            }
+            for (const key of AUDIO_RULE_KEYS) {
+                if (rule.audio && rule.audio[key] !== undefined) resolved.audio[key] = rule.audio[key];
+            }
+        }
+        resolved.summary = describeSettings(resolved);
+        return resolved;
+    }
+
+    /**
+     * Merge a rule's image settings into compression options
+     * @param {object} options - Compression options picked by the user; with resizeOnly only the rule's maxSize applies
+     * @param {object|null} resolved - resolve() result
+     * @returns {object} - Options for compressImage() / encodeImage()
+     */
+    function applyImage(options, resolved) {
+        if (!resolved) return options;
+
+        const { lossless, maxSize, ...settings } = resolved.image;
+        // A resize keeps the caller's lossless encode; rule quality or conversion would defeat it
+        if (options.resizeOnly) {
+            return maxSize ? { ...options, maxWidth: maxSize, maxHeight: maxSize } : options;
+        }
+
+        const applied = { ...options, ...settings };
+        if (maxSize) {
+            applied.maxWidth = maxSize;
+            applied.maxHeight = maxSize;
+        }
+        // Lossless keeps the format (unless the rule itself converts) and drops quality search
+        if (lossless) {
+            applied.lossless = true;
+            applied.palette = false;
+            if (settings.convertTo === undefined) applied.convertTo = null;
+            if (applied.quality === 'auto') applied.quality = 80;
+        }
+        return applied;
+    }
+
+    /**
+     * Merge a rule's audio settings into compression options
+     * @param {object} options - Compression options picked by the user
+     * @param {object|null} resolved - resolve() result
+     * @returns {object} - Options for compressAudio()
+     */
+    function applyAudio(options, resolved) {
+        return resolved ? { ...options, ...resolved.audio } : options;
+    }
+
+    // Rules that rename images mean references must be re-verified after a run
+    const imageConversions = rules.filter(rule => rule.image && rule.image.convertTo)
+        .map(rule => ({ match: rule.match, convertTo: rule.image.convertTo }));
+    const convertsImages = imageConversions.length > 0;
+
+    return { rootDir, convertsImages, imageConversions, isIgnored, resolve, applyImage, applyAudio };
+}
+
+/**
+ * Append files to the root's .optimizeignore, each as an exact root-anchored pattern
+ * @param {string} rootDir - Root directory
+ * @param {string[]} relPaths - File paths relative to the root, "/" separated
+ * @returns {string[]} - Lines added; files the ignore list already covers are left out
+ */
+function addToIgnoreFile(rootDir, relPaths) {
+    const rules = loadRules(rootDir);
+    const lines = [];
+
+    for (const relPath of relPaths) {
+        if (typeof relPath !== 'string' || !relPath || path.isAbsolute(relPath) || relPath.split('/').includes('..')) {
+            throw new Error(`Invalid path: ${relPath}`);
+        }
+        if (rules.isIgnored(relPath)) continue;
+        // Escape glob characters and trailing blanks so the line matches this file only
+        lines.push('/' + relPath.replace(/[*?[\\]/g, '\\$&').replace(/\s$/, '\\$&'));
+    }
+    if (!lines.length) return lines;
+
+    const existing = readPolicyFile(rootDir, IGNORE_FILE) || '';
+    const separator = existing && !existing.endsWith('\n') ? '\n' : '';
+    fs.appendFileSync(path.join(rootDir, IGNORE_FILE), `${separator}${lines.join('\n')}\n`, 'utf8');
+    return lines;
+}
+
+module.exports = {
+    IGNORE_FILE,
+    RULES_FILE,
+    globToRegex,
+    compilePattern,
+    matchesPath,
+    loadRules,
+    addToIgnoreFile
+};
@@ -0,0 +1,73 @@
+/**
+ * Scan Index Module
+ * Remember derived per-file data (hash, delivered sizes, image/audio details) between scans,
+ * keyed by relative path and valid while the file's size and mtime are unchanged
+ */
+
+const { readJson, writeJson } = require('./dataStore');
+
+const SCAN_INDEX_FILE = 'scan-index.json';
+// Bump when the shape of stored entries changes; older indexes are discarded
+const SCAN_INDEX_VERSION = 1;
+
+/**
+ * Open the scan index of a root directory
+ * @param {string} rootDir - Scanned root directory
+ * @returns {{get: function, set: function, save: function}}
+ */
+function createScanIndex(rootDir) {
+    let saved = null;
+    try {
+        saved = readJson(rootDir, SCAN_INDEX_FILE);
+    } catch {
+        // Corrupt index (e.g. interrupted write) - rebuild from scratch
+    }
+    const entries = saved && saved.version === SCAN_INDEX_VERSION ? saved.files : {};
+    const seen = new Set();
+    let dirty = false;
+
+    return {
+        /**
+         * @param {string} relPath - File path relative to the root
+         * @param {fs.Stats} stat - Current file stats
+         * @returns {object} - Cached derived data, empty when the file changed since it was indexed
+         */
+        get(relPath, stat) {
+            seen.add(relPath);
+            const entry = entries[relPath];
+            if (entry && entry.size === stat.size && entry.mtimeMs === stat.mtimeMs) return entry.data;
+            return {};
+        },
+
+        /**
+         * @param {string} relPath - File path relative to the root
+         * @param {fs.Stats} stat - File stats the data was derived from
+         * @param {object} data - Derived data to remember
+         */
+        set(relPath, stat, data) {
+            entries[relPath] = { size: stat.size, mtimeMs: stat.mtimeMs, data };
+            dirty = true;
+        },
+
+        /**
+         * Persist the index to .optimize-data
+         * @param {boolean} prune - Drop files not seen since the index was opened (after a full scan)
+         */
+        save(prune = false) {
+            if (prune) {
+                for (const relPath of Object.keys(entries)) {
+                    if (!seen.has(relPath)) {
+                        delete entries[relPath];
+                        dirty = true;
+                    }
+                }
+            }
+            if (dirty) writeJson(rootDir, SCAN_INDEX_FILE, { version: SCAN_INDEX_VERSION, files: entries });
+            dirty = false;
+        }
+    };
+}
+
+module.exports = {
+    createScanIndex
+};
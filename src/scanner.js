@@ -5,10 +5,20 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const sharp = require('sharp');
+const { createScanIndex } = require('./scanIndex');
+const { IGNORE_FILE, RULES_FILE, loadRules } = require('./rules');
+
+const gzipAsync = promisify(zlib.gzip);
+const brotliAsync = promisify(zlib.brotliCompress);
+const deflateRawAsync = promisify(zlib.deflateRaw);
 
 // File type mapping
 const fileTypeMap = {
-    image: ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.bmp', '.tga', '.psd'],
+    image: ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.avif', '.bmp', '.tga', '.psd'],
     script: ['.ts', '.js', '.json'],
     audio: ['.mp3', '.wav', '.ogg', '.m4a', '.aac'],
     model: ['.fbx', '.gltf', '.glb', '.obj', '.dae'],
@@ -19,6 +29,15 @@ const fileTypeMap = {
     scene: ['.scene', '.fire']
 };
 
+// Types with decodable details (image dimensions, audio duration)
+const DETAIL_TYPES = ['image', 'audio'];
+
+// Extensions inlined as text in a single-HTML build; everything else is base64-encoded
+const textExtensions = [
+    '.js', '.ts', '.json', '.prefab', '.scene', '.fire', '.anim', '.mtl', '.material',
+    '.html', '.css', '.txt', '.plist', '.atlas', '.fnt', '.effect', '.chunk', '.xml', '.svg', '.csv'
+];
+
 /**
  * Get file type based on extension
  * @param {string} filename
@@ -32,37 +51,163 @@ function getFileType(filename) {
     return 'other';
 }
 
+/**
+ * Compute the content hash of a file
+ * @param {string} filePath - Absolute file path
+ * @returns {string} - SHA-1 hex digest
+ */
+function hashFile(filePath) {
+    return crypto.createHash('sha1').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Estimate the delivered size of a file inlined into a single HTML playable
+ * Binary files become base64 (~33% larger), then the HTML is gzip/brotli-compressed.
+ * Also reports the deflated raw size, as stored in a zip upload
+ * @param {string} filePath - Absolute file path
+ * @param {Buffer} content - File content when already read
+ * @returns {Promise<{inlined: number, gzip: number, brotli: number, zip: number}>}
+ */
+async function computeDeliveredSize(filePath, content = null) {
+    if (!content) content = await fs.promises.readFile(filePath);
+    const isText = textExtensions.includes(path.extname(filePath).toLowerCase());
+    const inlined = isText ? content : Buffer.from(content.toString('base64'));
+
+    // Async zlib runs on the thread pool, so large files do not block the server
+    const [gzip, brotli, zip] = await Promise.all([
+        gzipAsync(inlined, { level: 9 }),
+        // Quality 9 is close to max ratio at a fraction of the cost of 11
+        brotliAsync(inlined, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 9 } }),
+        deflateRawAsync(content, { level: 9 })
+    ]);
+
+    return { inlined: inlined.length, gzip: gzip.length, brotli: brotli.length, zip: zip.length };
+}
+
+/**
+ * Read image dimensions or audio duration of a file
+ * @param {string} filePath - Absolute file path
+ * @param {string} type - File type from getFileType()
+ * @returns {Promise<object|null>} - Details, null when the file cannot be decoded
+ */
+async function readFileDetails(filePath, type) {
+    try {
+        if (type === 'image') {
+            const { width, height, format, hasAlpha } = await sharp(filePath).metadata();
+            return { width, height, format, hasAlpha };
+        }
+        if (type === 'audio') {
+            // Required here: audioCompressor itself requires the scanner
+            const { getAudioMetadata } = require('./audioCompressor');
+            const { duration, codec, sampleRate, channels, bitrate } = await getAudioMetadata(filePath);
+            return { duration, codec, sampleRate, channels, bitrate };
+        }
+    } catch {
+        // Unsupported format (e.g. .psd) or no ffprobe - no details
+    }
+    return null;
+}
+
+/**
+ * Add derived data (hash, delivered sizes, details) to a scanned file
+ * Data of unchanged files comes from the scan index; only changed files are read
+ * @param {string} fullPath - Absolute file path
+ * @param {object} file - Scanned file, extended in place
+ * @param {fs.Stats} stat - File stats
+ * @param {object} options - scanDirectory() options
+ * @param {object} index - createScanIndex() index, null to skip caching
+ * @returns {Promise<void>}
+ */
+async function deriveFileData(fullPath, file, stat, options, index) {
+    const data = index ? { ...index.get(file.path, stat) } : {};
+    let content = null;
+    let changed = false;
+
+    if (options.hash && data.hash === undefined) {
+        content = content || await fs.promises.readFile(fullPath);
+        data.hash = crypto.createHash('sha1').update(content).digest('hex');
+        changed = true;
+    }
+    // .meta files never ship, so they have no delivered size
+    if (options.delivered && file.type !== 'meta' && data.delivered === undefined) {
+        content = content || await fs.promises.readFile(fullPath);
+        data.delivered = await computeDeliveredSize(fullPath, content);
+        changed = true;
+    }
+    if (options.details && DETAIL_TYPES.includes(file.type) && data.details === undefined) {
+        data.details = await readFileDetails(fullPath, file.type);
+        changed = true;
+    }
+
+    if (changed && index) index.set(file.path, stat, data);
+
+    if (options.hash) file.hash = data.hash;
+    if (options.delivered && data.delivered) file.delivered = data.delivered;
+    if (options.details && data.details) file.details = data.details;
+}
+
 /**
  * Scan directory recursively
+ * Async, so the server keeps answering while a large tree is walked; derived data is cached
+ * in .optimize-data/scan-index.json and recomputed only for files whose size or mtime changed
  * @param {string} dir - Directory path to scan
- * @returns {object} - Scan results with files, folderTree, typeStats
+ * @param {object} options - Scan options
+ * @param {boolean} options.hash - Add a SHA-1 content hash to every file
+ * @param {boolean} options.delivered - Add inlined/gzip/brotli delivered sizes to every file
+ * @param {boolean} options.details - Add image dimensions / audio duration (file.details)
+ * @param {boolean} options.useIndex - Read and update the scan index (default true)
+ * @param {object} options.rules - loadRules() rule set (default: rules of dir); ignored paths are left out
+ *   and every other file gets the rule that applies to it (file.rule)
+ * @returns {Promise<object>} - Scan results with files, folderTree, typeStats
  */
-function scanDirectory(dir) {
+async function scanDirectory(dir, options = {}) {
+    const { delivered = false, useIndex = true, rules = loadRules(dir) } = options;
+    const index = useIndex ? createScanIndex(dir) : null;
     const files = [];
     const folderTree = { name: path.basename(dir), children: {}, size: 0, fileCount: 0 };
     const typeStats = {};
+    const deliveredStats = { raw: 0, inlined: 0, gzip: 0, brotli: 0, zip: 0 };
 
-    function scan(currentDir, currentTree, relativePath) {
+    async function scan(currentDir, currentTree, relativePath) {
         let items;
-        try { items = fs.readdirSync(currentDir); } catch { return; }
+        try { items = await fs.promises.readdir(currentDir); } catch { return; }
+
+        // Stat the whole folder at once; derived data is then read file by file
+        const stats = await Promise.all(items.map(item =>
+            fs.promises.stat(path.join(currentDir, item)).catch(() => null)));
+
+        for (let i = 0; i < items.length; i++) {
+            const item = items[i];
+            const stat = stats[i];
+            if (!stat) continue;
 
-        for (const item of items) {
             const fullPath = path.join(currentDir, item);
             const relPath = relativePath ? `${relativePath}/${item}` : item;
 
-            let stat;
-            try { stat = fs.statSync(fullPath); } catch { continue; }
-
             if (stat.isDirectory()) {
-                if (item.startsWith('.') || item === 'node_modules') continue;
+                if (item.startsWith('.') || item === 'node_modules' || rules.isIgnored(relPath, true)) continue;
                 currentTree.children[item] = { name: item, children: {}, size: 0, fileCount: 0 };
-                scan(fullPath, currentTree.children[item], relPath);
+                await scan(fullPath, currentTree.children[item], relPath);
                 currentTree.size += currentTree.children[item].size;
                 currentTree.fileCount += currentTree.children[item].fileCount;
-            } else {
+            } else if (relPath === IGNORE_FILE || relPath === RULES_FILE) {
+                // Tool policy, not a shipped asset
+                continue;
+            } else if (!rules.isIgnored(relPath)) {
                 const size = stat.size;
                 const type = getFileType(item);
-                files.push({ name: item, path: relPath, size, type });
+                const file = { name: item, path: relPath, size, type };
+                const rule = rules.resolve(relPath);
+                if (rule) file.rule = { patterns: rule.patterns, summary: rule.summary };
+                await deriveFileData(fullPath, file, stat, options, index);
+                if (file.delivered) {
+                    deliveredStats.raw += size;
+                    deliveredStats.inlined += file.delivered.inlined;
+                    deliveredStats.gzip += file.delivered.gzip;
+                    deliveredStats.brotli += file.delivered.brotli;
+                    deliveredStats.zip += file.delivered.zip;
+                }
+                files.push(file);
                 currentTree.size += size;
                 currentTree.fileCount++;
                 if (!typeStats[type]) typeStats[type] = { count: 0, size: 0 };
@@ -72,12 +217,90 @@ function scanDirectory(dir) {
         }
     }
 
-    scan(dir, folderTree, '');
-    return { files, folderTree, typeStats, scannedAt: new Date().toISOString(), rootPath: dir };
+    await scan(dir, folderTree, '');
+    if (index) {
+        try {
+            index.save(true);
+        } catch {
+            // Read-only root - the scan result is still valid
+        }
+    }
+
+    const result = { files, folderTree, typeStats, scannedAt: new Date().toISOString(), rootPath: dir };
+    if (delivered) result.deliveredStats = deliveredStats;
+    return result;
+}
+
+/**
+ * Build folderTree and typeStats from a flat file list
+ * Used for file lists that do not come from a directory walk (e.g. build output)
+ * @param {object[]} files - Files with path, size and type
+ * @param {string} rootName - Name of the tree root
+ * @returns {{folderTree: object, typeStats: object}}
+ */
+function summarizeFiles(files, rootName) {
+    const folderTree = { name: rootName, children: {}, size: 0, fileCount: 0 };
+    const typeStats = {};
+
+    for (const file of files) {
+        let node = folderTree;
+        node.size += file.size;
+        node.fileCount++;
+        for (const segment of file.path.split('/').slice(0, -1)) {
+            if (!node.children[segment]) {
+                node.children[segment] = { name: segment, children: {}, size: 0, fileCount: 0 };
+            }
+            node = node.children[segment];
+            node.size += file.size;
+            node.fileCount++;
+        }
+
+        if (!typeStats[file.type]) typeStats[file.type] = { count: 0, size: 0 };
+        typeStats[file.type].count++;
+        typeStats[file.type].size += file.size;
+    }
+
+    return { folderTree, typeStats };
+}
+
+/**
+ * Collect files with the given extensions, skipping hidden folders
+ * @param {string} rootDir - Root directory to scan
+ * @param {string[]} extensions - Lowercase extensions with dot
+ * @param {object} rules - Optional loadRules() rule set; paths it ignores are skipped
+ * @returns {Promise<string[]>} - Absolute paths in walk order
+ */
+async function collectFiles(rootDir, extensions, rules = null) {
+    const found = [];
+
+    async function scanDir(dir) {
+        const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+
+        for (const entry of entries) {
+            const fullPath = path.join(dir, entry.name);
+
+            if (entry.isDirectory()) {
+                // Skip tool data (.optimize-data backups) and other hidden folders
+                if (entry.name.startsWith('.')) continue;
+                if (rules && rules.isIgnored(fullPath, true)) continue;
+                await scanDir(fullPath);
+            } else if (entry.isFile() && extensions.includes(path.extname(entry.name).toLowerCase())) {
+                if (rules && rules.isIgnored(fullPath)) continue;
+                found.push(fullPath);
+            }
+        }
+    }
+
+    await scanDir(rootDir);
+    return found;
 }
 
 module.exports = {
     fileTypeMap,
     getFileType,
-    scanDirectory
+    hashFile,
+    computeDeliveredSize,
+    summarizeFiles,
+    scanDirectory,
+    collectFiles
 };
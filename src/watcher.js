@@ -0,0 +1,236 @@
+/**
+ * Watcher Module
+ * Watch a root directory and report changed files in batches
+ *
+ * Uses recursive fs.watch where the platform supports it, otherwise polls the tree.
+ * One watcher per root is shared by every subscriber and closed with the last one
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getFileType } = require('./scanner');
+const { IGNORE_FILE, RULES_FILE, loadRules } = require('./rules');
+
+// Quiet period before a batch of changes is reported (editors and exporters write in bursts)
+const BATCH_DELAY = 200;
+const POLL_INTERVAL = 2000;
+
+// rootDir -> { listeners, close }
+const watchers = new Map();
+
+/**
+ * Check whether a relative path is hidden from scans (.optimize-data, node_modules, ...)
+ * @param {string} relPath - Path relative to the root, "/" separated
+ * @returns {boolean}
+ */
+function isIgnored(relPath) {
+    return relPath.split('/').some(segment => segment.startsWith('.') || segment === 'node_modules');
+}
+
+/**
+ * Describe one path after a change
+ * A removed or newly ignored path (file or whole folder) yields { path, file: null };
+ * a folder that appeared yields one entry per file inside it
+ * @param {string} rootDir - Watched root directory
+ * @param {string} relPath - Changed path relative to the root
+ * @param {object} rules - loadRules() rule set of the root
+ * @returns {Promise<object[]>} - { path, file } entries, file as in scanDirectory() results
+ */
+async function describePath(rootDir, relPath, rules) {
+    const fullPath = path.join(rootDir, relPath);
+
+    let stat;
+    try {
+        stat = await fs.promises.stat(fullPath);
+    } catch {
+        return [{ path: relPath, file: null }];
+    }
+
+    if (rules.isIgnored(relPath, stat.isDirectory())) return [{ path: relPath, file: null }];
+
+    if (stat.isFile()) {
+        const name = path.basename(relPath);
+        const file = { name, path: relPath, size: stat.size, type: getFileType(name) };
+        const rule = rules.resolve(relPath);
+        if (rule) file.rule = { patterns: rule.patterns, summary: rule.summary };
+        return [{ path: relPath, file }];
+    }
+    if (!stat.isDirectory()) return [];
+
+    const entries = [];
+    let items;
+    try { items = await fs.promises.readdir(fullPath); } catch { return []; }
+    for (const item of items) {
+        const childPath = `${relPath}/${item}`;
+        if (!isIgnored(childPath)) entries.push(...await describePath(rootDir, childPath, rules));
+    }
+    return entries;
+}
+
+/**
+ * Snapshot every file of a tree as relPath -> "size:mtime", for the polling fallback
+ * @param {string} rootDir - Root directory
+ * @returns {Promise<Map<string, string>>}
+ */
+async function snapshotTree(rootDir) {
+    const snapshot = new Map();
+
+    async function walk(dir, relativePath) {
+        let entries;
+        try { entries = await fs.promises.readdir(dir, { withFileTypes: true }); } catch { return; }
+
+        for (const entry of entries) {
+            const relPath = relativePath ? `${relativePath}/${entry.name}` : entry.name;
+            // Root policy files are hidden from scans but their edits must be seen
+            if (isIgnored(entry.name) && !(relPath === IGNORE_FILE || relPath === RULES_FILE)) continue;
+
+            if (entry.isDirectory()) {
+                await walk(path.join(dir, entry.name), relPath);
+            } else if (entry.isFile()) {
+                try {
+                    const stat = await fs.promises.stat(path.join(dir, entry.name));
+                    snapshot.set(relPath, `${stat.size}:${stat.mtimeMs}`);
+                } catch {
+                    // Removed while walking - the next poll reports it
+                }
+            }
+        }
+    }
+
+    await walk(rootDir, '');
+    return snapshot;
+}
+
+/**
+ * Start watching a root directory
+ * @param {string} rootDir - Root directory
+ * @param {function(string|null)} onPath - Called with each changed relative path, null when unknown
+ * @returns {function} - Stops watching
+ */
+function startWatching(rootDir, onPath) {
+    try {
+        const watcher = fs.watch(rootDir, { recursive: true }, (eventType, filename) => {
+            onPath(filename ? filename.toString().split(path.sep).join('/') : null);
+        });
+        // Watch errors (e.g. root removed) leave nothing to watch; subscribers rescan
+        watcher.on('error', () => onPath(null));
+        return () => watcher.close();
+    } catch {
+        // Recursive fs.watch unavailable on this platform - poll instead
+    }
+
+    let previous = null;
+    let stopped = false;
+    let timer = null;
+
+    async function poll() {
+        const current = await snapshotTree(rootDir);
+        if (stopped) return;
+        if (previous) {
+            for (const [relPath, signature] of current) {
+                if (previous.get(relPath) !== signature) onPath(relPath);
+            }
+            for (const relPath of previous.keys()) {
+                if (!current.has(relPath)) onPath(relPath);
+            }
+        }
+        previous = current;
+        timer = setTimeout(poll, POLL_INTERVAL);
+    }
+
+    poll();
+    return () => {
+        stopped = true;
+        clearTimeout(timer);
+    };
+}
+
+/**
+ * Subscribe to file changes under a root directory
+ * Listeners get batches: { changes: [{ path, file }] } (file null = removed),
+ * or { rescan: true } when the watcher cannot tell what changed
+ * @param {string} rootDir - Root directory
+ * @param {function(object)} listener - Called with each batch
+ * @returns {function} - Unsubscribes; the watcher closes with its last subscriber
+ */
+function subscribe(rootDir, listener) {
+    let entry = watchers.get(rootDir);
+
+    if (!entry) {
+        const pending = new Set();
+        let rescan = false;
+        let timer = null;
+        let flushing = false;
+
+        // Describe and report everything collected so far
+        const deliver = async () => {
+            const paths = [...pending];
+            pending.clear();
+
+            let batch;
+            if (rescan) {
+                rescan = false;
+                batch = { rescan: true };
+            } else {
+                let rules;
+                try {
+                    rules = loadRules(rootDir);
+                } catch {
+                    // Rules file mid-edit - the next batch picks up the saved version
+                    return;
+                }
+
+                // A new folder reports itself and each file inside; keep one entry per path
+                const changes = new Map();
+                for (const relPath of paths) {
+                    for (const change of await describePath(rootDir, relPath, rules)) changes.set(change.path, change);
+                }
+                if (!changes.size) return;
+                batch = { changes: [...changes.values()] };
+            }
+            for (const notify of entry.listeners) notify(batch);
+        };
+
+        // One flush at a time, so a slow rescan never overlaps the next and batches arrive in order
+        const flush = async () => {
+            timer = null;
+            if (flushing) return;
+            flushing = true;
+            try {
+                await deliver();
+            } finally {
+                flushing = false;
+                // Changes that came in meanwhile get their own batch
+                if ((pending.size || rescan) && !timer) timer = setTimeout(flush, BATCH_DELAY);
+            }
+        };
+
+        entry = { listeners: new Set(), close: null };
+        entry.close = startWatching(rootDir, relPath => {
+            // Policy edits can hide or reveal any file - rescan everything
+            if (relPath === null || relPath === IGNORE_FILE || relPath === RULES_FILE) {
+                rescan = true;
+            } else if (isIgnored(relPath)) {
+                return;
+            } else {
+                pending.add(relPath);
+            }
+            if (!timer) timer = setTimeout(flush, BATCH_DELAY);
+        });
+        watchers.set(rootDir, entry);
+    }
+
+    entry.listeners.add(listener);
+
+    return () => {
+        entry.listeners.delete(listener);
+        if (!entry.listeners.size && watchers.get(rootDir) === entry) {
+            entry.close();
+            watchers.delete(rootDir);
+        }
+    };
+}
+
+module.exports = {
+    subscribe
+};
@@ -0,0 +1,139 @@
+/**
+ * HTTP round trips through the shared router against a temporary root
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const sharp = require('sharp');
+const { handleRequest } = require('../src/router');
+
+let server;
+let baseUrl;
+let rootDir;
+
+/**
+ * Build a one second mono 16-bit PCM WAV with a sine tone
+ * @returns {Buffer}
+ */
+function sineWav() {
+    const sampleRate = 44100;
+    const data = Buffer.alloc(sampleRate * 2);
+    for (let i = 0; i < sampleRate; i++) {
+        data.writeInt16LE(Math.round(Math.sin(i / sampleRate * 440 * 2 * Math.PI) * 12000), i * 2);
+    }
+
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + data.length, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(1, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * 2, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(data.length, 40);
+    return Buffer.concat([header, data]);
+}
+
+/**
+ * Send a JSON request to the test server
+ * @param {string} method - HTTP method
+ * @param {string} urlPath - Path with query
+ * @param {object} body - Optional JSON body
+ * @returns {Promise<{status: number, body: object}>}
+ */
+async function request(method, urlPath, body = null) {
+    const res = await fetch(baseUrl + urlPath, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: res.status, body: await res.json() };
+}
+
+test.before(async () => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimize-api-'));
+    fs.mkdirSync(path.join(rootDir, 'textures'));
+    fs.mkdirSync(path.join(rootDir, 'audio'));
+
+    // Noise does not compress losslessly, so a lossy re-encode is always smaller
+    const raw = Buffer.alloc(128 * 128 * 3);
+    for (let i = 0; i < raw.length; i++) raw[i] = (i * 2654435761 >>> 24) ^ (i % 251);
+    await sharp(raw, { raw: { width: 128, height: 128, channels: 3 } }).png().toFile(path.join(rootDir, 'textures/noise.png'));
+    fs.writeFileSync(path.join(rootDir, 'audio/tone.wav'), sineWav());
+    fs.writeFileSync(path.join(rootDir, 'audio/tone.wav.meta'), JSON.stringify({ uuid: 'bbbbbbbb-0000-0000-0000-000000000001' }));
+
+    server = http.createServer(handleRequest);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const { status } = await request('POST', '/api/set-root', { rootPath: rootDir });
+    assert.strictEqual(status, 200);
+});
+
+test.after(() => {
+    server.close();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
+test('scan lists the files of the root', async () => {
+    const { status, body } = await request('GET', '/api/scan');
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.files.map(f => f.path).sort(), ['audio/tone.wav', 'audio/tone.wav.meta', 'textures/noise.png']);
+});
+
+test('single image compression re-encodes the file in place', async () => {
+    const before = fs.statSync(path.join(rootDir, 'textures/noise.png')).size;
+    const { status, body } = await request('POST', '/api/compress/single', { filePath: 'textures/noise.png', quality: 50, palette: true, colors: 16 });
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.success, true, body.error);
+    assert.strictEqual(body.originalSize, before);
+    assert.ok(body.newSize < before);
+    assert.strictEqual(fs.statSync(path.join(rootDir, 'textures/noise.png')).size, body.newSize);
+    assert.ok(body.batchId);
+    assert.deepStrictEqual(body.brokenReferences, []);
+});
+
+test('single image compression refuses paths outside the root', async () => {
+    const { status, body } = await request('POST', '/api/compress/single', { filePath: '../outside.png' });
+    assert.strictEqual(status, 403);
+    assert.strictEqual(body.success, false);
+});
+
+test('single audio compression converts WAV to MP3 and moves the .meta', async () => {
+    const { status, body } = await request('POST', '/api/audio/compress/single', { filePath: 'audio/tone.wav', bitrate: '64k' });
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.success, true, body.error);
+    assert.strictEqual(body.converted, true);
+    assert.ok(fs.existsSync(path.join(rootDir, 'audio/tone.mp3')));
+    assert.ok(fs.existsSync(path.join(rootDir, 'audio/tone.mp3.meta')));
+    assert.ok(!fs.existsSync(path.join(rootDir, 'audio/tone.wav')));
+});
+
+test('a rule converting to a format the networks reject blocks compression', async () => {
+    const rulesPath = path.join(rootDir, '.optimize-rules.json');
+    fs.writeFileSync(rulesPath, JSON.stringify({ rules: [{ match: 'textures/**', image: { convertTo: 'avif' } }] }));
+    try {
+        const { status, body } = await request('POST', '/api/compress/single', { filePath: 'textures/noise.png' });
+        assert.strictEqual(status, 400);
+        assert.match(body.error, /AVIF \(rule textures\/\*\*\) is not accepted by/);
+    } finally {
+        fs.rmSync(rulesPath);
+    }
+});
+
+test('unknown API routes answer 404', async () => {
+    const res = await fetch(`${baseUrl}/api/nope`);
+    assert.strictEqual(res.status, 404);
+});
@@ -0,0 +1,47 @@
+/**
+ * Reachability of assets in the .meta UUID graph
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findUnusedAssets } = require('../src/assetGraph');
+
+/**
+ * Write files into a fresh temp folder
+ * @param {object} files - Relative path -> JSON content
+ * @returns {string} - Folder path
+ */
+function writeProject(files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimize-graph-'));
+    for (const [relPath, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(dir, relPath)), { recursive: true });
+        fs.writeFileSync(path.join(dir, relPath), JSON.stringify(content));
+    }
+    return dir;
+}
+
+test('resources and Asset Bundle folders are roots, other folders are not', async (t) => {
+    const rootDir = writeProject({
+        'bundles/ui.meta': { importer: 'directory', uuid: '11111111-0000-0000-0000-000000000001', userData: { isBundle: true } },
+        'bundles/ui/panel.prefab': [],
+        'bundles/ui/panel.prefab.meta': { uuid: '11111111-0000-0000-0000-000000000002' },
+        'legacy.meta': { uuid: '22222222-0000-0000-0000-000000000001', isBundle: true, subMetas: {} },
+        'legacy/old.prefab': [],
+        'legacy/old.prefab.meta': { uuid: '22222222-0000-0000-0000-000000000002' },
+        'resources/loaded.prefab': [],
+        'resources/loaded.prefab.meta': { uuid: '33333333-0000-0000-0000-000000000001' },
+        'misc.meta': { importer: 'directory', uuid: '44444444-0000-0000-0000-000000000001', userData: {} },
+        'misc/orphan.prefab': [],
+        'misc/orphan.prefab.meta': { uuid: '44444444-0000-0000-0000-000000000002' }
+    });
+    t.after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+
+    const result = await findUnusedAssets(rootDir);
+
+    assert.deepStrictEqual(result.unused.map(a => a.path), ['misc/orphan.prefab']);
+    assert.strictEqual(result.rootCount, 3);
+});
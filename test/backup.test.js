@@ -0,0 +1,109 @@
+/**
+ * Backups taken before destructive writes, and per-file restores of converted assets
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { createBackupBatch, restoreBackups } = require('../src/backup');
+const { compressImage } = require('../src/compressor');
+const { compressAudio } = require('../src/audioCompressor');
+
+const UUID = '0275e94c-56a7-410f-bd1a-fc7483f7d14a';
+
+let rootDir;
+
+test.beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimize-backup-'));
+});
+
+test.afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
+/**
+ * Write a file with a Cocos .meta next to it
+ * @param {string} name - File name inside the root
+ * @param {Buffer} content - File content
+ * @returns {string} - Absolute path
+ */
+function writeAsset(name, content) {
+    const filePath = path.join(rootDir, name);
+    fs.writeFileSync(filePath, content);
+    fs.writeFileSync(`${filePath}.meta`, JSON.stringify({ ver: '1.0.0', uuid: UUID }));
+    return filePath;
+}
+
+/**
+ * Build a half second mono 16-bit PCM WAV with a sine tone
+ * @returns {Buffer}
+ */
+function sineWav() {
+    const sampleRate = 22050;
+    const data = Buffer.alloc(sampleRate);
+    for (let i = 0; i < sampleRate / 2; i++) {
+        data.writeInt16LE(Math.round(Math.sin(i / sampleRate * 440 * 2 * Math.PI) * 12000), i * 2);
+    }
+
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + data.length, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(1, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * 2, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(data.length, 40);
+    return Buffer.concat([header, data]);
+}
+
+/**
+ * Check that a converted asset was restored with its original .meta and nothing converted is left
+ * @param {string} original - Original file name
+ * @param {string} converted - Converted file name
+ * @param {Buffer} content - Original file content
+ */
+function assertRestored(original, converted, content) {
+    const read = name => fs.readFileSync(path.join(rootDir, name));
+    assert.ok(read(original).equals(content));
+    assert.strictEqual(JSON.parse(read(`${original}.meta`)).uuid, UUID);
+    assert.ok(!fs.existsSync(path.join(rootDir, converted)));
+    assert.ok(!fs.existsSync(path.join(rootDir, `${converted}.meta`)));
+}
+
+test('restoring one converted image also restores its .meta', async () => {
+    const png = await sharp({ create: { width: 64, height: 64, channels: 3, background: '#3a7' } }).png().toBuffer();
+    const filePath = writeAsset('bg.png', png);
+    const backup = createBackupBatch(rootDir, 'compress-image', { convertTo: 'webp' });
+
+    const result = await compressImage(filePath, { convertTo: 'webp', backup });
+    assert.strictEqual(result.success, true);
+    assert.ok(fs.existsSync(path.join(rootDir, 'bg.webp.meta')));
+
+    const restored = await restoreBackups(rootDir, { runId: backup.runId, batchId: backup.batchId, path: 'bg.png' });
+    assert.deepStrictEqual(restored.restored.sort(), ['bg.png', 'bg.png.meta']);
+    assertRestored('bg.png', 'bg.webp', png);
+});
+
+test('restoring one converted WAV also restores its .meta', async () => {
+    const wav = sineWav();
+    const filePath = writeAsset('hit.wav', wav);
+    const backup = createBackupBatch(rootDir, 'compress-audio', { format: 'mp3' });
+
+    const result = await compressAudio(filePath, { format: 'mp3', backup });
+    assert.strictEqual(result.success, true);
+    assert.ok(fs.existsSync(path.join(rootDir, 'hit.mp3.meta')));
+
+    const restored = await restoreBackups(rootDir, { runId: backup.runId, batchId: backup.batchId, path: 'hit.wav' });
+    assert.deepStrictEqual(restored.restored.sort(), ['hit.wav', 'hit.wav.meta']);
+    assertRestored('hit.wav', 'hit.mp3', wav);
+});
@@ -0,0 +1,131 @@
+/**
+ * Network budget verdicts
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { evaluateBudgets, findFormatConflicts, loadProfiles, saveProfiles } = require('../src/budgets');
+
+const KB = 1024;
+
+/**
+ * Build a profile with test defaults
+ * @param {object} overrides - Profile fields
+ * @returns {object}
+ */
+function profile(overrides) {
+    return { id: 'net', name: 'Net', maxSize: 100 * KB, format: 'html', maxFiles: null, allowExternalRequests: false, enabled: true, ...overrides };
+}
+
+/**
+ * Create a root with the given text files
+ * @param {object} files - Relative path -> content
+ * @returns {string} - Root path
+ */
+function writeRoot(files) {
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimize-budgets-'));
+    for (const [relPath, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(rootDir, relPath)), { recursive: true });
+        fs.writeFileSync(path.join(rootDir, relPath), content);
+    }
+    return rootDir;
+}
+
+test('html networks measure inlined size, zip networks deflated size', () => {
+    const scan = {
+        files: [
+            { path: 'a.png', type: 'image', size: 60 * KB, delivered: { inlined: 80 * KB, zip: 58 * KB } },
+            { path: 'b.mp3', type: 'audio', size: 30 * KB, delivered: { inlined: 40 * KB, zip: 29 * KB } },
+            { path: 'a.png.meta', type: 'meta', size: 50 * KB }
+        ]
+    };
+    const [html, zip] = evaluateBudgets(os.tmpdir(), scan, [profile({ id: 'html' }), profile({ id: 'zip', format: 'zip' })]);
+
+    assert.strictEqual(html.size, 120 * KB);
+    assert.strictEqual(html.headroom, -20 * KB);
+    assert.strictEqual(html.pass, false);
+    assert.deepStrictEqual(html.offenders.map(f => f.path), ['a.png']);
+
+    assert.strictEqual(zip.size, 87 * KB);
+    assert.strictEqual(zip.pass, true);
+    assert.deepStrictEqual(zip.offenders, []);
+});
+
+test('offenders are the largest files whose removal gets under the cap', () => {
+    const scan = {
+        files: [
+            { path: 'small.png', type: 'image', size: 10 * KB },
+            { path: 'big.png', type: 'image', size: 50 * KB },
+            { path: 'mid.png', type: 'image', size: 30 * KB },
+            { path: 'bgm.mp3', type: 'audio', size: 40 * KB }
+        ]
+    };
+    const [result] = evaluateBudgets(os.tmpdir(), scan, [profile({ maxSize: 50 * KB })]);
+
+    // 130 KB against 50 KB: dropping big.png and bgm.mp3 removes the 80 KB overflow
+    assert.strictEqual(result.size, 130 * KB);
+    assert.deepStrictEqual(result.offenders.map(f => f.path), ['big.png', 'bgm.mp3']);
+});
+
+test('file count, external URLs and image formats fail a network under its cap', (t) => {
+    const rootDir = writeRoot({
+        'src/track.js': 'fetch("https://tracker.example.com/pixel"); fetch("http://localhost:3000/dev");',
+        'src/ok.js': 'const local = "http://127.0.0.1/x";'
+    });
+    t.after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+    const scan = {
+        files: [
+            { path: 'src/track.js', type: 'script', size: KB },
+            { path: 'src/ok.js', type: 'script', size: KB },
+            { path: 'bg.avif', type: 'image', size: KB },
+            { path: 'ui.webp', type: 'image', size: KB }
+        ]
+    };
+    const [zip, permissive, disabled] = evaluateBudgets(rootDir, scan, [
+        profile({ id: 'zip', format: 'zip', maxFiles: 3 }),
+        profile({ id: 'permissive', allowExternalRequests: true, imageFormats: ['png', 'jpeg', 'webp', 'avif'] }),
+        profile({ id: 'off', enabled: false })
+    ]);
+
+    assert.strictEqual(disabled, undefined);
+    assert.strictEqual(zip.pass, false);
+    assert.deepStrictEqual(zip.issues, [
+        '4 files, zip limit is 3',
+        '1 files reference external URLs',
+        '2 images in formats it does not accept (allowed: png, jpeg)'
+    ]);
+    assert.deepStrictEqual(zip.externalRequests, [{ path: 'src/track.js', urls: ['https://tracker.example.com/pixel'] }]);
+
+    assert.strictEqual(permissive.pass, true);
+    assert.deepStrictEqual(permissive.externalRequests, []);
+});
+
+test('format conflicts list enabled networks that reject a format', () => {
+    const profiles = [
+        profile({ id: 'a', imageFormats: ['png', 'jpeg', 'webp'] }),
+        profile({ id: 'b' }),
+        profile({ id: 'c', imageFormats: ['png', 'jpeg', 'webp', 'avif'] }),
+        profile({ id: 'd', enabled: false })
+    ];
+
+    assert.deepStrictEqual(findFormatConflicts(profiles, 'webp').map(p => p.id), ['b']);
+    assert.deepStrictEqual(findFormatConflicts(profiles, 'avif').map(p => p.id), ['a', 'b']);
+    assert.deepStrictEqual(findFormatConflicts(profiles, 'jpg'), []);
+});
+
+test('saved profiles override defaults and custom profiles are kept', (t) => {
+    const rootDir = writeRoot({});
+    t.after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+
+    saveProfiles(rootDir, [{ id: 'meta', maxSize: 3 * 1024 * KB }, profile({ id: 'custom', name: 'Custom' })]);
+    const profiles = loadProfiles(rootDir);
+
+    const meta = profiles.find(p => p.id === 'meta');
+    assert.strictEqual(meta.maxSize, 3 * 1024 * KB);
+    assert.strictEqual(meta.name, 'Meta');
+    assert.strictEqual(profiles[profiles.length - 1].id, 'custom');
+});
@@ -0,0 +1,102 @@
+/**
+ * Mapping Cocos build output back to asset paths
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { decodeUuid, analyzeBuild } = require('../src/buildAnalyzer');
+
+/**
+ * Write files into a fresh temp folder
+ * @param {object} files - Relative path -> content
+ * @returns {string} - Folder path
+ */
+function writeBuild(files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimize-build-'));
+    for (const [relPath, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(dir, relPath)), { recursive: true });
+        fs.writeFileSync(path.join(dir, relPath), content);
+    }
+    return dir;
+}
+
+/**
+ * Compress a dashed UUID the way the Cocos editor does, as an independent reference for decodeUuid()
+ * @param {string} uuid - Dashed UUID
+ * @param {number} keep - Leading hex digits kept as is (2 or 5)
+ * @returns {string}
+ */
+function compressUuid(uuid, keep) {
+    const keys = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+    const hex = uuid.replace(/-/g, '');
+    let compressed = hex.slice(0, keep);
+    for (let i = keep; i < hex.length; i += 3) {
+        const value = parseInt(hex.slice(i, i + 3), 16);
+        compressed += keys[value >> 6] + keys[value & 63];
+    }
+    return compressed;
+}
+
+test('decodeUuid expands 22 and 23 character UUIDs', () => {
+    // Example from the Cocos Creator docs
+    assert.strictEqual(decodeUuid('fcmR3XADNLgJ1ByKhqcC5Z'), 'fc991dd7-0033-4b80-9d41-c8a86a702e59');
+
+    for (const uuid of ['0275e94c-56a7-410f-bd1a-fc7483f7d14a', 'ffffffff-ffff-ffff-ffff-ffffffffffff', '00000000-0000-0000-0000-000000000000']) {
+        assert.strictEqual(compressUuid(uuid, 2).length, 22);
+        assert.strictEqual(decodeUuid(compressUuid(uuid, 2)), uuid);
+        assert.strictEqual(compressUuid(uuid, 5).length, 23);
+        assert.strictEqual(decodeUuid(compressUuid(uuid, 5)), uuid);
+    }
+});
+
+test('decodeUuid keeps sub-asset suffixes and leaves other strings alone', () => {
+    assert.strictEqual(decodeUuid('02delMVqdBD70a/HSD99FK@f9941'), '0275e94c-56a7-410f-bd1a-fc7483f7d14a@f9941');
+    assert.strictEqual(decodeUuid('0275e94c-56a7-410f-bd1a-fc7483f7d14a@6c48a'), '0275e94c-56a7-410f-bd1a-fc7483f7d14a@6c48a');
+    assert.strictEqual(decodeUuid('0d8ab0bf6'), '0d8ab0bf6');
+});
+
+test('Creator 2.x builds map res/ files through src/settings.js', async (t) => {
+    // Minified the way the editor writes it: unquoted keys, !0 for true, mixed quotes, a trailing comma
+    const settings = '/* built */ window._CCSettings={platform:"web-mobile",debug:!1,groupList:[\'default\'],collisionMatrix:[[!0]],' +
+        'rawAssets:{assets:{0:["textures/hero.png",1],"29FYIk+N1GYaeWH/q1NxQO":["sounds/bgm.mp3",2],}},' +
+        'assetTypes:["cc.SpriteFrame","cc.Texture2D","cc.AudioClip"],' +
+        'scenes:[{url:"db://assets/Scene/main.fire",uuid:2}],' +
+        'packedAssets:{"0d8ab0bf6":[0,"29FYIk+N1GYaeWH/q1NxQO"]},' +
+        'uuids:["02delMVqdBD70a/HSD99FK","27abcdefghijklmnopqrst","f1b8dWmwPdNzrVRhGfKL/3X"]};';
+    const buildDir = writeBuild({
+        'src/settings.3a1b2.js': settings,
+        'res/import/0d/0d8ab0bf6.json': 'x'.repeat(300),
+        'res/import/f1/f1b8d5a6-c0f7-4dce-b551-8467ca2ffdd7.json': 'x'.repeat(50),
+        'res/raw-assets/02/0275e94c-56a7-410f-bd1a-fc7483f7d14a.8c2f1.png': 'x'.repeat(1000)
+    });
+    t.after(() => fs.rmSync(buildDir, { recursive: true, force: true }));
+
+    const result = await analyzeBuild(buildDir);
+    const byPath = Object.fromEntries(result.files.map(f => [f.path, f]));
+
+    // The pack splits evenly between its two members; the texture also owns its raw file
+    assert.strictEqual(byPath['resources/textures/hero.png'].size, 1150);
+    assert.strictEqual(byPath['resources/textures/hero.png'].type, 'image');
+    assert.strictEqual(byPath['resources/sounds/bgm.mp3'].size, 150);
+    assert.strictEqual(byPath['resources/sounds/bgm.mp3'].type, 'audio');
+    assert.strictEqual(byPath['Scene/main.fire'].size, 50);
+    assert.strictEqual(byPath['Scene/main.fire'].mapped, 'config');
+    assert.strictEqual(result.unmappedCount, 0);
+});
+
+test('settings.js is parsed, never executed', async (t) => {
+    const buildDir = writeBuild({
+        'src/settings.js': 'window._CCSettings=(function(){globalThis.settingsScriptRan=true;return {uuids:[]}})();',
+        'res/raw-assets/02/0275e94c-56a7-410f-bd1a-fc7483f7d14a.8c2f1.png': 'x'.repeat(1000)
+    });
+    t.after(() => fs.rmSync(buildDir, { recursive: true, force: true }));
+
+    const result = await analyzeBuild(buildDir);
+
+    assert.strictEqual(globalThis.settingsScriptRan, undefined);
+    assert.strictEqual(result.unmappedCount, 1);
+});
@@ -0,0 +1,77 @@
+/**
+ * Command line exit codes and output streams
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EXIT_OK, EXIT_ERROR, run } = require('../src/cli');
+
+/**
+ * Run the CLI with captured output
+ * @param {string[]} argv - Arguments
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+async function runCli(argv) {
+    const out = { stdout: '', stderr: '' };
+    const stream = name => ({ write: chunk => { out[name] += chunk; } });
+    const code = await run(argv, { stdout: stream('stdout'), stderr: stream('stderr') });
+    return { code, ...out };
+}
+
+test('--help prints usage to stdout and succeeds', async () => {
+    for (const flag of ['-h', '--help']) {
+        const { code, stdout, stderr } = await runCli([flag]);
+        assert.strictEqual(code, EXIT_OK);
+        assert.match(stdout, /^Usage: optimize-size/);
+        assert.strictEqual(stderr, '');
+    }
+});
+
+test('a missing command prints usage to stderr', async () => {
+    const { code, stdout, stderr } = await runCli([]);
+    assert.strictEqual(code, EXIT_ERROR);
+    assert.strictEqual(stdout, '');
+    assert.match(stderr, /^Usage: optimize-size/);
+});
+
+test('a format the networks reject is an error, not a usage error', async (t) => {
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimize-cli-'));
+    t.after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+
+    const { code, stderr } = await runCli(['compress-images', rootDir, '--convert-to', 'avif']);
+    assert.strictEqual(code, EXIT_ERROR);
+    assert.match(stderr, /^Error: AVIF is not accepted by: /);
+    assert.doesNotMatch(stderr, /Usage:/);
+});
+
+test('inherited object keys are not report formats', async (t) => {
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimize-cli-'));
+    t.after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+
+    for (const format of ['toString', 'constructor']) {
+        const { code, stderr } = await runCli(['report', rootDir, '--format', format]);
+        assert.strictEqual(code, EXIT_ERROR);
+        assert.match(stderr, new RegExp(`Unsupported report format: ${format}`));
+    }
+});
+
+test('scan and check leave the project untouched unless --cache keeps the index', async (t) => {
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimize-cli-'));
+    t.after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(rootDir, 'level.json'), '{"level":1}');
+
+    for (const command of ['scan', 'check']) {
+        const { code } = await runCli([command, rootDir, '--json']);
+        assert.strictEqual(code, EXIT_OK);
+    }
+    assert.deepStrictEqual(fs.readdirSync(rootDir), ['level.json']);
+
+    // check derives delivered sizes, which the index remembers
+    const { code } = await runCli(['check', rootDir, '--cache']);
+    assert.strictEqual(code, EXIT_OK);
+    assert.ok(fs.existsSync(path.join(rootDir, '.optimize-data', 'scan-index.json')));
+});
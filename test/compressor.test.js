@@ -0,0 +1,118 @@
+/**
+ * Image encoding: palette PNG with PSNR fallback and per-image quality search
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { encodeImage } = require('../src/compressor');
+const { readRawPixels, computeSsim } = require('../src/imageMetrics');
+
+let tempDir;
+
+/**
+ * Write a smooth RGB gradient, which a small palette cannot reproduce
+ * @param {string} name - File name inside the temp folder
+ * @param {string} format - "png" or "jpeg"
+ * @returns {Promise<string>} - Absolute path
+ */
+async function writeGradient(name, format) {
+    const width = 96;
+    const height = 96;
+    const raw = Buffer.alloc(width * height * 3);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 3;
+            raw[i] = Math.round(x / (width - 1) * 255);
+            raw[i + 1] = Math.round(y / (height - 1) * 255);
+            raw[i + 2] = Math.round((x + y) / (width + height - 2) * 255);
+        }
+    }
+    const filePath = path.join(tempDir, name);
+    await sharp(raw, { raw: { width, height, channels: 3 } })[format]().toFile(filePath);
+    return filePath;
+}
+
+test.before(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimize-encode-'));
+});
+
+test.after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('palette PNG is kept when it stays above the PSNR threshold', async () => {
+    const filePath = await writeGradient('gradient.png', 'png');
+    const encoded = await encodeImage(filePath, { quality: 90, colors: 256, minPsnr: 20 });
+
+    assert.strictEqual(encoded.format, 'png');
+    assert.strictEqual(encoded.pngMode, 'palette');
+    assert.ok(encoded.psnr >= 20);
+    assert.strictEqual((await sharp(encoded.buffer).metadata()).paletteBitDepth, 8);
+});
+
+test('palette PNG falls back to lossless below the PSNR threshold', async () => {
+    const filePath = await writeGradient('gradient-fallback.png', 'png');
+    const encoded = await encodeImage(filePath, { quality: 90, colors: 2, dither: 0 });
+
+    assert.strictEqual(encoded.pngMode, 'lossless');
+    assert.ok(encoded.psnr < 36);
+    const lossless = await sharp(encoded.buffer).raw().toBuffer();
+    const source = await sharp(filePath).raw().toBuffer();
+    assert.ok(lossless.equals(source));
+});
+
+test('lossless PNG mode skips quantization', async () => {
+    const filePath = await writeGradient('gradient-lossless.png', 'png');
+    const encoded = await encodeImage(filePath, { palette: false });
+
+    assert.strictEqual(encoded.pngMode, 'lossless');
+    assert.strictEqual(encoded.psnr, null);
+});
+
+test('auto quality picks the lowest quality that meets the SSIM target', async () => {
+    const filePath = await writeGradient('gradient.jpg', 'jpeg');
+    const encoded = await encodeImage(filePath, { quality: 'auto', target: 0.95, minQuality: 30, maxQuality: 95 });
+
+    assert.strictEqual(encoded.metric, 'ssim');
+    assert.strictEqual(encoded.targetMet, true);
+    assert.ok(encoded.score >= 0.95);
+    assert.ok(encoded.quality >= 30 && encoded.quality <= 95);
+
+    // The score is the real SSIM of the returned encode, and one step lower misses the target
+    const reference = await readRawPixels(filePath);
+    const chosen = await readRawPixels(encoded.buffer);
+    assert.strictEqual(computeSsim(reference.data, chosen.data, reference.width, reference.height), encoded.score);
+    if (encoded.quality > 30) {
+        const lower = await encodeImage(filePath, { quality: encoded.quality - 1 });
+        const lowerPixels = await readRawPixels(lower.buffer);
+        assert.ok(computeSsim(reference.data, lowerPixels.data, reference.width, reference.height) < 0.95);
+    }
+});
+
+test('auto quality can search on PSNR instead', async () => {
+    const filePath = await writeGradient('gradient-psnr.jpg', 'jpeg');
+    const strict = await encodeImage(filePath, { quality: 'auto', metric: 'psnr', target: 40 });
+    const loose = await encodeImage(filePath, { quality: 'auto', metric: 'psnr', target: 30 });
+
+    assert.strictEqual(strict.metric, 'psnr');
+    assert.ok(strict.score >= 40 && loose.score >= 30);
+    assert.ok(loose.quality <= strict.quality);
+});
+
+test('an unreachable target keeps JPEG at the best quality tried and sends PNG lossless', async () => {
+    const jpegPath = await writeGradient('gradient-unreachable.jpg', 'jpeg');
+    const jpeg = await encodeImage(jpegPath, { quality: 'auto', target: 1.01, maxQuality: 90 });
+    assert.strictEqual(jpeg.targetMet, false);
+    assert.strictEqual(jpeg.quality, 90);
+
+    const pngPath = await writeGradient('gradient-unreachable.png', 'png');
+    const png = await encodeImage(pngPath, { quality: 'auto', target: 1.01 });
+    assert.strictEqual(png.targetMet, true);
+    assert.strictEqual(png.pngMode, 'lossless');
+    assert.strictEqual(png.quality, null);
+});
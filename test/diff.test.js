@@ -0,0 +1,58 @@
+/**
+ * File and folder deltas between two scans
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffFiles } = require('../src/diff');
+
+const base = [
+    { path: 'textures/bg.png', size: 5000, type: 'image' },
+    { path: 'textures/ui/button.png', size: 800, type: 'image' },
+    { path: 'textures/ui/icon.png', size: 300, type: 'image' },
+    { path: 'audio/bgm.wav', size: 9000, type: 'audio' },
+    { path: 'audio/bgm.wav.meta', size: 120, type: 'meta' },
+    { path: 'main.scene', size: 400, type: 'scene' }
+];
+const head = [
+    { path: 'textures/bg.png', size: 2000, type: 'image' },
+    { path: 'textures/ui/button.png', size: 1000, type: 'image' },
+    { path: 'textures/ui/icon.png', size: 300, type: 'image' },
+    { path: 'audio/bgm.mp3', size: 1500, type: 'audio' },
+    { path: 'audio/bgm.mp3.meta', size: 120, type: 'meta' },
+    { path: 'audio/click.mp3', size: 200, type: 'audio' },
+    { path: 'main.scene', size: 400, type: 'scene' }
+];
+
+test('files are sorted into added, removed, grown and shrunk, largest change first', () => {
+    const diff = diffFiles(base, head);
+
+    assert.deepStrictEqual(diff.added, [
+        { path: 'audio/bgm.mp3', type: 'audio', before: 0, after: 1500, delta: 1500 },
+        { path: 'audio/click.mp3', type: 'audio', before: 0, after: 200, delta: 200 }
+    ]);
+    assert.deepStrictEqual(diff.removed, [{ path: 'audio/bgm.wav', type: 'audio', before: 9000, after: 0, delta: -9000 }]);
+    assert.deepStrictEqual(diff.grown, [{ path: 'textures/ui/button.png', type: 'image', before: 800, after: 1000, delta: 200 }]);
+    assert.deepStrictEqual(diff.shrunk, [{ path: 'textures/bg.png', type: 'image', before: 5000, after: 2000, delta: -3000 }]);
+    assert.strictEqual(diff.unchangedCount, 2);
+});
+
+test('folder deltas roll up to every parent; .meta files are left out', () => {
+    const { folders, totals } = diffFiles(base, head);
+
+    assert.deepStrictEqual(folders['textures/ui'], { before: 1100, after: 1300, delta: 200 });
+    assert.deepStrictEqual(folders.textures, { before: 6100, after: 3300, delta: -2800 });
+    assert.deepStrictEqual(folders.audio, { before: 9000, after: 1700, delta: -7300 });
+    assert.deepStrictEqual(totals, { before: 15500, after: 5400, delta: -10100 });
+    assert.strictEqual(totals, folders['']);
+});
+
+test('identical and empty lists produce no changes', () => {
+    const same = diffFiles(base, base);
+    assert.strictEqual(same.added.length + same.removed.length + same.grown.length + same.shrunk.length, 0);
+    assert.strictEqual(same.unchangedCount, 5);
+    assert.strictEqual(same.totals.delta, 0);
+
+    assert.deepStrictEqual(diffFiles([], []).totals, { before: 0, after: 0, delta: 0 });
+});
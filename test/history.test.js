@@ -0,0 +1,32 @@
+/**
+ * Size history snapshots
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { scanDirectory } = require('../src/scanner');
+const { recordSnapshot, getSnapshot } = require('../src/history');
+
+test('snapshot totals and file lists leave .meta files out', async (t) => {
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimize-history-'));
+    t.after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(rootDir, 'level.json'), 'x'.repeat(100));
+    fs.writeFileSync(path.join(rootDir, 'level.json.meta'), 'x'.repeat(40));
+
+    const scan = await scanDirectory(rootDir);
+    assert.strictEqual(scan.files.length, 2);
+
+    const summary = recordSnapshot(rootDir, scan, { trigger: 'manual' });
+    assert.strictEqual(summary.totalSize, 100);
+    assert.strictEqual(summary.fileCount, 1);
+    assert.strictEqual(summary.typeStats.meta, undefined);
+    assert.deepStrictEqual(getSnapshot(rootDir, summary.id).files.map(f => f.path), ['level.json']);
+
+    // A .meta-only change is not a new automatic snapshot
+    fs.writeFileSync(path.join(rootDir, 'level.json.meta'), 'x'.repeat(60));
+    assert.strictEqual(recordSnapshot(rootDir, await scanDirectory(rootDir)), null);
+});
@@ -0,0 +1,84 @@
+/**
+ * Pixel metrics used to gate lossy encodes
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { computePsnr, computeSsim } = require('../src/imageMetrics');
+
+/**
+ * Build RGBA pixels where every pixel has the same value
+ * @param {number} count - Pixel count
+ * @param {number[]} rgba - Pixel value
+ * @returns {Buffer}
+ */
+function solid(count, rgba) {
+    const buffer = Buffer.alloc(count * 4);
+    for (let i = 0; i < buffer.length; i += 4) buffer.set(rgba, i);
+    return buffer;
+}
+
+test('PSNR is Infinity for identical pixels', () => {
+    const pixels = solid(16, [10, 200, 30, 255]);
+    assert.strictEqual(computePsnr(pixels, Buffer.from(pixels)), Infinity);
+});
+
+test('PSNR follows the mean squared error over color and alpha channels', () => {
+    // Every color channel is off by 10 on opaque pixels: MSE = 3 * 10^2 / 4 channels
+    const psnr = computePsnr(solid(16, [100, 100, 100, 255]), solid(16, [110, 110, 110, 255]));
+    assert.ok(Math.abs(psnr - 10 * Math.log10((255 * 255) / 75)) < 1e-9);
+
+    const worse = computePsnr(solid(16, [100, 100, 100, 255]), solid(16, [140, 140, 140, 255]));
+    assert.ok(worse < psnr);
+});
+
+test('PSNR ignores color under fully transparent pixels but not alpha changes', () => {
+    assert.strictEqual(computePsnr(solid(16, [255, 0, 0, 0]), solid(16, [0, 255, 0, 0])), Infinity);
+    assert.ok(computePsnr(solid(16, [255, 0, 0, 255]), solid(16, [255, 0, 0, 128])) < 20);
+});
+
+test('PSNR rejects buffers of different sizes', () => {
+    assert.throws(() => computePsnr(solid(4, [0, 0, 0, 255]), solid(8, [0, 0, 0, 255])), /differ in size/);
+});
+
+/**
+ * Build opaque RGBA stripes of alternating brightness
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} low - Dark stripe value
+ * @param {number} high - Bright stripe value
+ * @returns {Buffer}
+ */
+function stripes(width, height, low, high) {
+    const buffer = Buffer.alloc(width * height * 4);
+    for (let p = 0; p < width * height; p++) {
+        const value = (p % width) % 4 < 2 ? low : high;
+        buffer.set([value, value, value, 255], p * 4);
+    }
+    return buffer;
+}
+
+test('SSIM is 1 for identical pixels and drops as structure is lost', () => {
+    const reference = stripes(16, 16, 40, 200);
+    assert.strictEqual(computeSsim(reference, Buffer.from(reference), 16, 16), 1);
+
+    const softer = computeSsim(reference, stripes(16, 16, 70, 170), 16, 16);
+    const flat = computeSsim(reference, stripes(16, 16, 120, 120), 16, 16);
+    assert.ok(softer < 1 && softer > flat);
+    assert.ok(flat < 0.1);
+});
+
+test('SSIM reports broken transparency even when color matches', () => {
+    const reference = stripes(16, 16, 40, 200);
+    const translucent = Buffer.from(reference);
+    for (let i = 3; i < translucent.length; i += 8) translucent[i] = 0;
+
+    assert.ok(computeSsim(reference, translucent, 16, 16) < 0.5);
+});
+
+test('SSIM works on images smaller than its window and checks dimensions', () => {
+    const tiny = solid(6, [10, 20, 30, 255]);
+    assert.strictEqual(computeSsim(tiny, Buffer.from(tiny), 3, 2), 1);
+    assert.throws(() => computeSsim(tiny, tiny, 4, 2), /differ in size/);
+});
@@ -0,0 +1,137 @@
+/**
+ * Background jobs: journal-based resume and failure recording
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { setTimeout: sleep } = require('timers/promises');
+const { getDataPath, writeJson } = require('../src/dataStore');
+const { createJob, getJob, resumeJob } = require('../src/jobs');
+
+/**
+ * Create a root with noisy PNGs, which always shrink under palette quantization
+ * @param {string[]} names - Image file names
+ * @param {object} sizes - File name -> side in pixels (default 48)
+ * @returns {Promise<string>} - Root path
+ */
+async function makeRoot(names, sizes = {}) {
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimize-jobs-'));
+    for (const [n, name] of names.entries()) {
+        const side = sizes[name] || 48;
+        const raw = Buffer.alloc(side * side * 3);
+        for (let i = 0; i < raw.length; i++) raw[i] = ((i + n) * 2654435761 >>> 24) ^ (i % 251);
+        await sharp(raw, { raw: { width: side, height: side, channels: 3 } }).png().toFile(path.join(rootDir, name));
+    }
+    return rootDir;
+}
+
+/**
+ * Poll a job until it leaves the running states
+ * @param {string} rootDir - Root directory
+ * @param {string} jobId - Job id
+ * @returns {Promise<object>} - Final job state
+ */
+async function waitForJob(rootDir, jobId) {
+    for (let i = 0; i < 500; i++) {
+        const job = getJob(rootDir, jobId);
+        if (!['queued', 'running', 'cancelling'].includes(job.status)) return job;
+        await sleep(10);
+    }
+    throw new Error(`Job ${jobId} did not finish`);
+}
+
+/**
+ * Write the state a job leaves behind when the process dies mid-run
+ * @param {string} rootDir - Root directory
+ * @param {string} jobId - Job id
+ * @param {string} kind - Job kind
+ * @param {string[]} journalLines - Raw journal lines
+ */
+function writeInterruptedJob(rootDir, jobId, kind, journalLines) {
+    writeJson(rootDir, path.join('jobs', jobId, 'job.json'), {
+        id: jobId,
+        kind,
+        targetPath: null,
+        options: { quality: 50, colors: 16 },
+        status: 'running',
+        total: 3,
+        processed: 1,
+        currentFile: 'b.png',
+        batchIds: ['earlier-batch'],
+        results: null,
+        error: null,
+        createdAt: new Date().toISOString(),
+        finishedAt: null
+    });
+    fs.writeFileSync(getDataPath(rootDir, 'jobs', jobId, 'journal.jsonl'), journalLines.join('\n'));
+}
+
+test('a job killed mid-run is reported interrupted and resumes after its journal', async (t) => {
+    const rootDir = await makeRoot(['a.png', 'b.png', 'c.png']);
+    t.after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+    const untouched = fs.readFileSync(path.join(rootDir, 'a.png'));
+
+    // a.png finished before the crash; the cut-off line for b.png is ignored so b.png runs again
+    const finished = { path: 'a.png', result: { success: true, originalSize: 9000, newSize: 3000, saved: 6000, skipped: false } };
+    writeInterruptedJob(rootDir, 'crashed-001', 'compress-images', [JSON.stringify(finished), '{"path":"b.png","res']);
+
+    const interrupted = getJob(rootDir, 'crashed-001');
+    assert.strictEqual(interrupted.status, 'interrupted');
+    assert.strictEqual(interrupted.processed, 1);
+
+    resumeJob(rootDir, 'crashed-001');
+    const job = await waitForJob(rootDir, 'crashed-001');
+
+    assert.strictEqual(job.status, 'completed', job.error);
+    assert.strictEqual(job.results.total, 3);
+    assert.strictEqual(job.results.compressed, 3);
+    assert.deepStrictEqual(job.results.files.map(f => f.path), ['a.png', 'b.png', 'c.png']);
+    assert.strictEqual(job.results.savedSize - 6000, job.results.files.slice(1).reduce((sum, f) => sum + f.saved, 0));
+    assert.strictEqual(job.batchIds.length, 2);
+    assert.ok(fs.readFileSync(path.join(rootDir, 'a.png')).equals(untouched), 'a.png was compressed again');
+
+    const journal = fs.readFileSync(getDataPath(rootDir, 'jobs', 'crashed-001', 'journal.jsonl'), 'utf8');
+    assert.ok(journal.includes('"path":"c.png"'));
+    assert.throws(() => resumeJob(rootDir, 'crashed-001'), /already completed/);
+});
+
+test('a file that finishes behind a slower earlier file is journaled first', async (t) => {
+    const rootDir = await makeRoot(['a.png', 'b.png'], { 'a.png': 1200 });
+    t.after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+
+    const created = createJob(rootDir, 'compress-images', null, { quality: 50, colors: 16, concurrency: 2 });
+    const job = await waitForJob(rootDir, created.id);
+    assert.strictEqual(job.status, 'completed', job.error);
+
+    // The journal follows completion order; results keep walk order
+    const journal = fs.readFileSync(getDataPath(rootDir, 'jobs', created.id, 'journal.jsonl'), 'utf8');
+    assert.deepStrictEqual(journal.trim().split('\n').map(line => JSON.parse(line).path), ['b.png', 'a.png']);
+    assert.deepStrictEqual(job.results.files.map(f => f.path), ['a.png', 'b.png']);
+});
+
+test('a job of an unknown kind cannot be resumed', async (t) => {
+    const rootDir = await makeRoot([]);
+    t.after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+    writeInterruptedJob(rootDir, 'odd-001', 'compress-video', []);
+
+    assert.throws(() => resumeJob(rootDir, 'odd-001'), /Unknown job kind: compress-video/);
+    assert.throws(() => resumeJob(rootDir, 'missing-001'), /Job not found/);
+});
+
+test('a failure before compression starts is saved as a failed job', async (t) => {
+    const rootDir = await makeRoot(['a.png']);
+    t.after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(rootDir, '.optimize-rules.json'), '{ broken');
+
+    const created = createJob(rootDir, 'compress-images', null, {});
+    const job = await waitForJob(rootDir, created.id);
+
+    assert.strictEqual(job.status, 'failed');
+    assert.match(job.error, /Invalid \.optimize-rules\.json/);
+    assert.ok(job.finishedAt);
+});
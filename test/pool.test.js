@@ -0,0 +1,110 @@
+/**
+ * Bounded-concurrency worker pool
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { setTimeout: sleep } = require('timers/promises');
+const { runPool } = require('../src/pool');
+
+test('results are reported in input order even when jobs finish out of order', async () => {
+    const delays = [30, 5, 20, 0, 10];
+    const reported = [];
+    const finishedOrder = [];
+
+    const results = await runPool(delays, async (delay, index) => {
+        await sleep(delay);
+        finishedOrder.push(index);
+        return delay * 2;
+    }, { concurrency: 3, onResult: (result, item, index) => reported.push([index, item, result]) });
+
+    assert.notDeepStrictEqual(finishedOrder, [0, 1, 2, 3, 4]);
+    assert.deepStrictEqual(results, [60, 10, 40, 0, 20]);
+    assert.deepStrictEqual(reported, delays.map((delay, i) => [i, delay, delay * 2]));
+});
+
+test('onSettled sees each job as it finishes, before slower earlier jobs are reported', async () => {
+    const events = [];
+
+    await runPool([30, 0, 10], async (delay) => {
+        await sleep(delay);
+        return delay;
+    }, {
+        concurrency: 3,
+        onSettled: (result, item, index) => events.push(`settled ${index}`),
+        onResult: (result, item, index) => events.push(`result ${index}`)
+    });
+
+    assert.deepStrictEqual(events, ['settled 1', 'settled 2', 'settled 0', 'result 0', 'result 1', 'result 2']);
+});
+
+test('never runs more jobs at once than the concurrency', async () => {
+    let running = 0;
+    let peak = 0;
+
+    await runPool(Array.from({ length: 12 }, (_, i) => i), async (i) => {
+        running++;
+        peak = Math.max(peak, running);
+        await sleep(i % 3);
+        running--;
+    }, { concurrency: 4 });
+
+    assert.strictEqual(peak, 4);
+});
+
+test('jobs with the same serializeBy key never overlap and keep input order', async () => {
+    // a.png and a.jpg both convert to a.webp; b.png is independent
+    const items = ['a.png', 'b.png', 'a.jpg', 'b.jpg', 'a.webp'];
+    const active = new Set();
+    const log = [];
+
+    await runPool(items, async (item) => {
+        const key = item.split('.')[0];
+        assert.ok(!active.has(key), `${item} overlapped another ${key} job`);
+        active.add(key);
+        log.push(item);
+        await sleep(item === 'a.png' ? 20 : 1);
+        active.delete(key);
+    }, { concurrency: 5, serializeBy: item => item.split('.')[0] });
+
+    const order = key => log.filter(item => item.startsWith(key));
+    assert.deepStrictEqual(order('a.'), ['a.png', 'a.jpg', 'a.webp']);
+    assert.deepStrictEqual(order('b.'), ['b.png', 'b.jpg']);
+});
+
+test('a failed job does not block the next job with the same key', async () => {
+    const ran = [];
+    const x2Done = new Promise(resolve => {
+        const pool = runPool(['x1', 'x2'], async (item) => {
+            ran.push(item);
+            if (item === 'x1') throw new Error('boom');
+            resolve();
+        }, { concurrency: 2, serializeBy: () => 'x' });
+        pool.catch(() => {});
+    });
+
+    await x2Done;
+    assert.deepStrictEqual(ran, ['x1', 'x2']);
+});
+
+test('an aborted signal starts no new job; started jobs finish', async () => {
+    const controller = new AbortController();
+    const started = [];
+
+    const results = await runPool([0, 1, 2, 3, 4, 5], async (i) => {
+        started.push(i);
+        if (i === 1) controller.abort();
+        await sleep(1);
+        return i;
+    }, { concurrency: 2, signal: controller.signal });
+
+    assert.deepStrictEqual(started, [0, 1]);
+    assert.deepStrictEqual(results.slice(0, 2), [0, 1]);
+    assert.strictEqual(results.length, 6);
+    assert.ok(results.slice(2).every(result => result === undefined));
+});
+
+test('an empty list resolves at once', async () => {
+    assert.deepStrictEqual(await runPool([], async () => assert.fail('worker called')), []);
+});
@@ -0,0 +1,71 @@
+/**
+ * Dry-run prediction cache and its eviction
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readJson, writeJson } = require('../src/dataStore');
+const { createPreviewCache } = require('../src/previewCache');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Create an empty temp root
+ * @param {object} t - Test context, removes the root afterwards
+ * @returns {string} - Root path
+ */
+function makeRoot(t) {
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimize-preview-'));
+    t.after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+    return rootDir;
+}
+
+test('predictions survive a reopen and ignore settings key order', (t) => {
+    const rootDir = makeRoot(t);
+    const cache = createPreviewCache(rootDir, 'image');
+    cache.set('abc', { quality: 80, palette: true }, { size: 1200 });
+    cache.save();
+
+    const reopened = createPreviewCache(rootDir, 'image');
+    assert.deepStrictEqual(reopened.get('abc', { palette: true, quality: 80 }), { size: 1200 });
+    assert.strictEqual(reopened.get('abc', { palette: true, quality: 70 }), undefined);
+    assert.strictEqual(createPreviewCache(rootDir, 'audio').get('abc', { palette: true, quality: 80 }), undefined);
+});
+
+test('entries unused for a month and entries of the old format are dropped on save', (t) => {
+    const rootDir = makeRoot(t);
+    const key = hash => `image:${hash}:[]`;
+    writeJson(rootDir, 'preview-cache.json', {
+        [key('recent')]: { value: { size: 1 }, usedAt: Date.now() - DAY },
+        [key('stale')]: { value: { size: 2 }, usedAt: Date.now() - 40 * DAY },
+        [key('legacy')]: { size: 3 }
+    });
+
+    const cache = createPreviewCache(rootDir, 'image');
+    assert.strictEqual(cache.get('legacy', {}), undefined);
+    cache.set('new', {}, { size: 4 });
+    cache.save();
+
+    assert.deepStrictEqual(Object.keys(readJson(rootDir, 'preview-cache.json')).sort(), [key('new'), key('recent')]);
+});
+
+test('the most recently used entries are kept when the cache is full', (t) => {
+    const rootDir = makeRoot(t);
+    const entries = {};
+    for (let i = 0; i < 5000; i++) entries[`image:h${i}:[]`] = { value: { size: i }, usedAt: Date.now() - DAY - i };
+    writeJson(rootDir, 'preview-cache.json', entries);
+
+    const cache = createPreviewCache(rootDir, 'image');
+    assert.deepStrictEqual(cache.get('h4999', {}), { size: 4999 });
+    cache.set('new', {}, { size: -1 });
+    cache.save();
+
+    const kept = readJson(rootDir, 'preview-cache.json');
+    assert.strictEqual(Object.keys(kept).length, 5000);
+    assert.ok(kept['image:new:[]'] && kept['image:h4999:[]']);
+    assert.strictEqual(kept['image:h4998:[]'], undefined);
+});
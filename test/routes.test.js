@@ -0,0 +1,127 @@
+/**
+ * Route parity between the browser server (app.js) and the desktop app (electron-main.js), over real HTTP
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+const { handleRequest } = require('../src/router');
+
+/**
+ * Load electron-main.js outside Electron, with a stub 'electron' module whose app never becomes ready
+ * @returns {object} - electron-main.js exports
+ */
+function loadElectronMain() {
+    const electronStub = {
+        app: { whenReady: () => new Promise(() => {}), on: () => {}, quit: () => {} },
+        BrowserWindow: function BrowserWindow() {},
+        dialog: {},
+        ipcMain: { handle: () => {} }
+    };
+
+    const originalLoad = Module._load;
+    Module._load = function (request, ...args) {
+        return request === 'electron' ? electronStub : originalLoad.call(this, request, ...args);
+    };
+    Object.defineProperty(process.versions, 'electron', { value: 'test', configurable: true });
+
+    try {
+        return require('../electron-main');
+    } finally {
+        Module._load = originalLoad;
+        delete process.versions.electron;
+    }
+}
+
+const browser = require('../app');
+const desktop = loadElectronMain();
+const entryPoints = { 'app.js': browser.server, 'electron-main.js': desktop.server };
+
+let rootDir;
+const baseUrls = {};
+
+/**
+ * Send a request to one entry point's server
+ * @param {string} entry - "app.js" or "electron-main.js"
+ * @param {string} method - HTTP method
+ * @param {string} urlPath - Path with query
+ * @param {object} body - Optional JSON body
+ * @returns {Promise<{status: number, text: string}>}
+ */
+async function request(entry, method, urlPath, body = null) {
+    const res = await fetch(baseUrls[entry] + urlPath, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: res.status, text: await res.text() };
+}
+
+test.before(async () => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimize-routes-'));
+    fs.mkdirSync(path.join(rootDir, 'data'));
+    fs.writeFileSync(path.join(rootDir, 'data', 'level.json'), '{"level":1}');
+
+    // The exported servers only listen when their entry point is run; here each gets an ephemeral port
+    for (const [entry, server] of Object.entries(entryPoints)) {
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrls[entry] = `http://127.0.0.1:${server.address().port}`;
+    }
+});
+
+test.after(async () => {
+    for (const server of Object.values(entryPoints)) {
+        await new Promise(resolve => server.close(resolve));
+    }
+    fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
+test('both entry points mount the shared router', () => {
+    assert.deepStrictEqual(browser.server.listeners('request'), [handleRequest]);
+    assert.deepStrictEqual(desktop.server.listeners('request'), [handleRequest]);
+});
+
+test('both entry points answer a scan with the same files', async () => {
+    const scans = {};
+    for (const entry of Object.keys(entryPoints)) {
+        const setRoot = await request(entry, 'POST', '/api/set-root', { rootPath: rootDir });
+        assert.strictEqual(setRoot.status, 200, `${entry}: ${setRoot.text}`);
+
+        const scan = await request(entry, 'GET', '/api/scan');
+        assert.strictEqual(scan.status, 200, `${entry}: ${scan.text}`);
+        scans[entry] = JSON.parse(scan.text).files.map(f => [f.path, f.size]);
+    }
+
+    assert.deepStrictEqual(scans['app.js'], [['data/level.json', 11]]);
+    assert.deepStrictEqual(scans['electron-main.js'], scans['app.js']);
+});
+
+test('both entry points answer unknown paths with 404', async () => {
+    for (const entry of Object.keys(entryPoints)) {
+        const missing = await request(entry, 'GET', '/api/no-such-route');
+        assert.strictEqual(missing.status, 404, entry);
+        assert.strictEqual(missing.text, 'Not Found');
+    }
+});
+
+test('features once missing from the desktop app are routed', async () => {
+    const tags = await request('electron-main.js', 'GET', '/api/tags/get');
+    assert.strictEqual(tags.status, 200);
+    assert.deepStrictEqual(JSON.parse(tags.text), { success: true, tags: {} });
+
+    // An unknown job is answered by the jobs route, not the static file fallback
+    const job = await request('electron-main.js', 'GET', '/api/jobs/missing-001');
+    assert.strictEqual(job.status, 404);
+    assert.strictEqual(typeof JSON.parse(job.text).error, 'string');
+
+    const restore = await request('electron-main.js', 'POST', '/api/backups/restore', {});
+    assert.notStrictEqual(restore.text, 'Not Found');
+});
+
+test('route list has no duplicates', () => {
+    assert.strictEqual(new Set(browser.routes).size, browser.routes.length);
+});
@@ -0,0 +1,143 @@
+/**
+ * gitignore-style matching of .optimizeignore and .optimize-rules.json
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { globToRegex, compilePattern, matchesPath, loadRules } = require('../src/rules');
+
+/**
+ * Check a path against one pattern line
+ * @param {string} line - Pattern line
+ * @param {string} relPath - Root-relative path
+ * @param {boolean} isDir - Whether relPath is a folder
+ * @returns {boolean}
+ */
+function matches(line, relPath, isDir = false) {
+    return matchesPath(compilePattern(line), relPath, isDir);
+}
+
+/**
+ * Create a root with the given policy files
+ * @param {object} files - File name -> content
+ * @returns {string} - Root path
+ */
+function writeRoot(files) {
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimize-rules-'));
+    for (const [name, content] of Object.entries(files)) {
+        fs.writeFileSync(path.join(rootDir, name), content);
+    }
+    return rootDir;
+}
+
+test('globToRegex keeps wildcards inside one folder except for **', () => {
+    const match = (glob, candidate) => new RegExp(`^${globToRegex(glob)}$`).test(candidate);
+
+    assert.ok(match('*.png', 'a.png'));
+    assert.ok(!match('*.png', 'ui/a.png'));
+    assert.ok(match('ui/**/*.png', 'ui/a.png'));
+    assert.ok(match('ui/**/*.png', 'ui/icons/small/a.png'));
+    assert.ok(match('ui/**', 'ui/icons/a.png'));
+    assert.ok(match('icon?.png', 'icon1.png'));
+    assert.ok(!match('icon?.png', 'icon10.png'));
+    assert.ok(match('icon[0-9].png', 'icon5.png'));
+    assert.ok(!match('icon[!0-9].png', 'icon5.png'));
+    assert.ok(match('a+b (1).png', 'a+b (1).png'));
+    assert.ok(match('\\*.png', '*.png'));
+    assert.ok(!match('\\*.png', 'a.png'));
+});
+
+test('patterns without a slash match at any depth, others are anchored to the root', () => {
+    assert.ok(matches('*.wav', 'audio/sfx/click.wav'));
+    assert.ok(matches('temp', 'a/b/temp/file.png'));
+    assert.ok(matches('/temp', 'temp/file.png'));
+    assert.ok(!matches('/temp', 'a/temp/file.png'));
+    assert.ok(matches('art/src', 'art/src/hero.psd'));
+    assert.ok(!matches('art/src', 'game/art/src/hero.psd'));
+});
+
+test('a pattern matching a folder matches everything inside it; trailing / matches folders only', () => {
+    assert.ok(matches('build/', 'build/web/index.html'));
+    assert.ok(matches('build/', 'build', true));
+    assert.ok(!matches('build/', 'build'));
+    assert.ok(matches('build', 'build'));
+});
+
+test('blank lines and comments compile to nothing; escapes keep # and ! literal', () => {
+    assert.strictEqual(compilePattern(''), null);
+    assert.strictEqual(compilePattern('   '), null);
+    assert.strictEqual(compilePattern('# comment'), null);
+    assert.ok(matches('\\#notes.txt', '#notes.txt'));
+    assert.strictEqual(compilePattern('\\!keep.png').negate, false);
+    assert.ok(matches('\\!keep.png', '!keep.png'));
+});
+
+test('negation re-includes files, last matching line wins', (t) => {
+    const rootDir = writeRoot({
+        '.optimizeignore': ['*.psd', 'raw/', '!raw/keep.png', 'vendor/**', '!vendor/**/*.png', 'vendor/big.png'].join('\n')
+    });
+    t.after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+    const rules = loadRules(rootDir);
+
+    assert.ok(rules.isIgnored('art/hero.psd'));
+    assert.ok(rules.isIgnored('raw', true));
+    assert.ok(rules.isIgnored('raw/a.png'));
+    assert.ok(!rules.isIgnored('raw/keep.png'));
+    assert.ok(rules.isIgnored('vendor/lib/a.js'));
+    assert.ok(!rules.isIgnored('vendor/lib/a.png'));
+    assert.ok(rules.isIgnored('vendor/big.png'));
+    assert.ok(!rules.isIgnored(path.join(rootDir, 'textures/a.png')));
+    assert.ok(!rules.isIgnored(path.join(os.tmpdir(), 'elsewhere.psd')));
+});
+
+test('every matching rule applies in order, later ones override earlier ones', (t) => {
+    const rootDir = writeRoot({
+        '.optimize-rules.json': JSON.stringify({
+            rules: [
+                { match: 'textures/**', image: { quality: 70, convertTo: 'webp' } },
+                { match: 'textures/ui/**', image: { lossless: true, convertTo: null } },
+                { match: '*.mp3', audio: { bitrate: '64k' } }
+            ]
+        })
+    });
+    t.after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+    const rules = loadRules(rootDir);
+
+    const bg = rules.resolve('textures/bg/sky.png');
+    assert.deepStrictEqual(bg.image, { quality: 70, convertTo: 'webp' });
+    assert.deepStrictEqual(rules.applyImage({ quality: 80, palette: true }, bg), { quality: 70, palette: true, convertTo: 'webp' });
+
+    const ui = rules.resolve('textures/ui/button.png');
+    assert.deepStrictEqual(ui.patterns, ['textures/**', 'textures/ui/**']);
+    assert.deepStrictEqual(rules.applyImage({ quality: 'auto', palette: true }, ui),
+        { quality: 70, palette: false, convertTo: null, lossless: true });
+
+    assert.strictEqual(rules.resolve('audio/bgm.mp3').audio.bitrate, '64k');
+    assert.strictEqual(rules.resolve('fonts/a.ttf'), null);
+    assert.deepStrictEqual(rules.imageConversions, [{ match: 'textures/**', convertTo: 'webp' }]);
+});
+
+test('a resize-only run takes just maxSize from the rules', (t) => {
+    const rootDir = writeRoot({
+        '.optimize-rules.json': JSON.stringify({
+            rules: [{ match: 'textures/**', image: { quality: 60, convertTo: 'webp', colors: 64, maxSize: 512 } }]
+        })
+    });
+    t.after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+    const rules = loadRules(rootDir);
+
+    const resize = { maxWidth: 1024, maxHeight: 1024, quality: 100, palette: false, lossless: true, convertTo: null, resizeOnly: true };
+    assert.deepStrictEqual(rules.applyImage(resize, rules.resolve('textures/sky.png')), { ...resize, maxWidth: 512, maxHeight: 512 });
+    assert.deepStrictEqual(rules.applyImage(resize, rules.resolve('other/sky.png')), resize);
+});
+
+test('a broken rules file is an error, not an empty policy', (t) => {
+    const rootDir = writeRoot({ '.optimize-rules.json': '{ "rules": [' });
+    t.after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+
+    assert.throws(() => loadRules(rootDir), /Invalid \.optimize-rules\.json/);
+});
@@ -0,0 +1,95 @@
+/**
+ * Squarified treemap layout of the size map (public/client.js)
+ * client.js is a browser script without exports, so the function is evaluated from its source
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Evaluate one top-level function of public/client.js on its own
+ * @param {string} name - Function name
+ * @returns {function}
+ */
+function loadClientFunction(name) {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'public', 'client.js'), 'utf8');
+    const start = source.indexOf(`\nfunction ${name}(`);
+    assert.notStrictEqual(start, -1, `${name} not found in client.js`);
+    const end = source.indexOf('\n}\n', start);
+    // Evaluated in this realm, so results compare with deepStrictEqual
+    return new Function(`return ${source.slice(start + 1, end + 2)}`)();
+}
+
+const squarify = loadClientFunction('squarify');
+const EPSILON = 1e-9;
+
+/**
+ * Rectangle position and size rounded to 3 decimals
+ * @param {object} rect - squarify() rectangle
+ * @returns {number[]} - [x, y, w, h]
+ */
+function round(rect) {
+    return [rect.x, rect.y, rect.w, rect.h].map(v => Math.round(v * 1000) / 1000);
+}
+
+/**
+ * Check that a layout tiles its area exactly, with areas proportional to sizes
+ * @param {object[]} rects - squarify() result
+ * @param {number[]} bounds - [x, y, w, h]
+ */
+function assertTiles(rects, [x, y, w, h]) {
+    const total = rects.reduce((s, r) => s + r.item.size, 0);
+    for (const r of rects) {
+        assert.ok(Math.abs(r.w * r.h - r.item.size / total * w * h) < 1e-6, 'area is not proportional to size');
+        assert.ok(r.x >= x - EPSILON && r.y >= y - EPSILON, 'rectangle starts outside the area');
+        assert.ok(r.x + r.w <= x + w + EPSILON && r.y + r.h <= y + h + EPSILON, 'rectangle ends outside the area');
+    }
+    for (let i = 0; i < rects.length; i++) {
+        for (let j = i + 1; j < rects.length; j++) {
+            const [a, b] = [rects[i], rects[j]];
+            const overlapW = Math.min(a.x + a.w, b.x + b.w) - Math.max(a.x, b.x);
+            const overlapH = Math.min(a.y + a.h, b.y + b.h) - Math.max(a.y, b.y);
+            assert.ok(overlapW <= EPSILON || overlapH <= EPSILON, 'rectangles overlap');
+        }
+    }
+}
+
+test('a single item fills the whole area', () => {
+    const rects = squarify([{ size: 42 }], 10, 20, 300, 200);
+    assert.strictEqual(rects.length, 1);
+    assertTiles(rects, [10, 20, 300, 200]);
+    assert.deepStrictEqual(rects.map(round), [[10, 20, 300, 200]]);
+});
+
+test('the layout of the original paper example', () => {
+    // Bruls, Huizing, van Wijk: sizes 6 6 4 3 2 2 1 in a 6x4 rectangle
+    const items = [6, 6, 4, 3, 2, 2, 1].map(size => ({ size }));
+    const rects = squarify(items, 0, 0, 6, 4);
+
+    assertTiles(rects, [0, 0, 6, 4]);
+    assert.deepStrictEqual(rects.map(round), [
+        [0, 0, 3, 2], [0, 2, 3, 2],
+        [3, 0, 1.714, 2.333], [4.714, 0, 1.286, 2.333],
+        [3, 2.333, 1.2, 1.667], [4.2, 2.333, 1.2, 1.667], [5.4, 2.333, 0.6, 1.667]
+    ]);
+});
+
+test('rectangles stay close to square for skewed sizes', () => {
+    const items = [500, 300, 120, 80, 40, 30, 20, 10, 5, 5, 3, 1].map(size => ({ size }));
+    const rects = squarify(items, 0, 0, 800, 400);
+
+    assertTiles(rects, [0, 0, 800, 400]);
+    assert.strictEqual(rects.length, items.length);
+    assert.deepStrictEqual(rects.map(r => r.item), items);
+    const worst = Math.max(...rects.slice(0, 6).map(r => Math.max(r.w / r.h, r.h / r.w)));
+    assert.ok(worst < 3, `aspect ratio ${worst.toFixed(2)} of a large item`);
+});
+
+test('tall areas stack rows along the top edge', () => {
+    const rects = squarify([{ size: 1 }, { size: 1 }], 0, 0, 100, 400);
+    assertTiles(rects, [0, 0, 100, 400]);
+    assert.deepStrictEqual(rects.map(round), [[0, 0, 100, 200], [0, 200, 100, 200]]);
+});